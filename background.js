@@ -1,3 +1,8 @@
+// the cache database lives in the extension origin, so pages of every site end up in one place,
+// and the request scheduler, the token usage and the invalid responses see the model requests of every tab,
+// the keypoint feedback is written here too, so the votes of two tabs cannot overwrite each other
+importScripts('cache-store.js', 'request-scheduler.js', 'usage.js', 'responses.js', 'feedback.js');
+
 // initialize when plugin is installed or updated
 chrome.runtime.onInstalled.addListener(() => {
   // create right click menu
@@ -6,10 +11,21 @@ chrome.runtime.onInstalled.addListener(() => {
     title: 'Use IntelliRead to analyze page',
     contexts: ['page']
   });
+  chrome.contextMenus.create({
+    id: 'intelliread-summarize',
+    title: 'Summarize page with IntelliRead',
+    contexts: ['page']
+  });
+  chrome.contextMenus.create({
+    id: 'intelliread-highlight-selection',
+    title: 'Highlight with IntelliRead',
+    contexts: ['selection']
+  });
 
   // set default config
   chrome.storage.sync.get(
     {
+      apiProvider: 'openai',
       apiUrl: 'https://api.openai.com/v1/chat/completions',
       apiKey: '',
       modelName: 'gpt-4o-mini',
@@ -19,6 +35,7 @@ chrome.runtime.onInstalled.addListener(() => {
     (items) => {
       if (!items.apiUrl || items.apiUrl === '') {
         chrome.storage.sync.set({
+          apiProvider: 'openai',
           apiUrl: 'https://api.openai.com/v1/chat/completions',
           modelName: 'gpt-4o-mini',
           highlightColor: '#ADD8E6',
@@ -28,6 +45,22 @@ chrome.runtime.onInstalled.addListener(() => {
     }
   );
 
+  // prompt profiles moved from chrome.storage.sync to chrome.storage.local, sync allows only 8 KB per item
+  chrome.storage.sync.get({ promptProfiles: null }, (items) => {
+    if (!items.promptProfiles) return;
+    chrome.storage.local.get({ promptProfiles: null }, (localItems) => {
+      const move = () => chrome.storage.sync.remove('promptProfiles');
+      if (localItems.promptProfiles) {
+        move();
+      } else {
+        chrome.storage.local.set({ promptProfiles: items.promptProfiles }, move);
+      }
+    });
+  });
+
+  // the library used to have its own database, its pages are in the cache now
+  indexedDB.deleteDatabase('intelliread-library');
+
   // Schedule periodic cache cleanup
   schedulePeriodicCacheCleanup();
 });
@@ -42,29 +75,29 @@ function schedulePeriodicCacheCleanup() {
     periodInMinutes: CLEANUP_INTERVAL / 60 / 1000
   });
   
-  // Listen for the alarm
-  chrome.alarms.onAlarm.addListener((alarm) => {
-    if (alarm.name === 'cacheCleanup') {
-      cleanupCache();
-    }
-  });
-  
   // Run cleanup immediately on startup
   cleanupCache();
 }
 
-// Execute cache cleanup - communicate with content scripts
+// Listen for the alarm, registered at the top level so it survives restarts of the service worker
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === 'cacheCleanup') {
+    cleanupCache();
+  }
+});
+
+// new cache limits from the options apply right away
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'sync' && (changes.cacheExpirationDays || changes.maxCacheEntries)) {
+    cleanupCache();
+  }
+});
+
+// Execute cache cleanup, the cache store is owned by this worker
 function cleanupCache() {
   console.log('Running scheduled cache cleanup');
-  // Send a message to all tabs to clean their caches
-  chrome.tabs.query({}, (tabs) => {
-    tabs.forEach(tab => {
-      try {
-        chrome.tabs.sendMessage(tab.id, { action: 'cleanupCache' });
-      } catch (e) {
-        // Ignore errors for tabs that don't have our content script
-      }
-    });
+  self.IntelliReadCacheStore.enforceCacheLimits().catch(error => {
+    console.error('Failed to enforce the cache limits:', error);
   });
 }
 
@@ -72,26 +105,230 @@ function cleanupCache() {
 chrome.contextMenus.onClicked.addListener((info, tab) => {
   if (info.menuItemId === 'intelliread-analyze') {
     chrome.tabs.sendMessage(tab.id, { action: 'analyzeContent' });
+  } else if (info.menuItemId === 'intelliread-summarize') {
+    chrome.tabs.sendMessage(tab.id, { action: 'summarizePage' });
+  } else if (info.menuItemId === 'intelliread-highlight-selection') {
+    chrome.tabs.sendMessage(tab.id, { action: 'highlightSelection', text: info.selectionText });
   }
 });
 
-// handle shortcut key
+// the content script action each shortcut key triggers
+const COMMAND_ACTIONS = {
+  'trigger-intelliread': 'analyzeContent',
+  'summarize-page': 'summarizePage',
+  'next-highlight': 'nextHighlight',
+  'previous-highlight': 'previousHighlight',
+  'toggle-highlights': 'toggleHighlights',
+  'clear-highlights': 'clearHighlights'
+};
+
+// handle shortcut key, forward it to the content script of the active tab
 chrome.commands.onCommand.addListener((command) => {
-  if (command === 'trigger-intelliread') {
-    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-      chrome.tabs.sendMessage(tabs[0].id, { action: 'analyzeContent' });
-    });
-  }
+  const action = COMMAND_ACTIONS[command];
+  if (!action) return;
+
+  chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+    if (tabs[0]) {
+      chrome.tabs.sendMessage(tabs[0].id, { action });
+    }
+  });
 });
 
+// settings sent to content scripts, with the defaults for keys that were never saved
+const CONTENT_SETTINGS_DEFAULTS = {
+  apiProvider: 'openai',
+  apiUrl: '',
+  apiKey: '',
+  apiVersion: '',
+  modelName: '',
+  highlightColor: '#ADD8E6',
+  highlightStyle: 'background',
+  batchMode: false,
+  batchCharBudget: 4000,
+  structuredOutput: 'auto',
+  reuseCacheAcrossModels: false,
+  analysisMode: 'full',
+  domainAnalysisModes: {},
+  categorizeHighlights: false,
+  categoryStyles: {},
+  showRationales: false,
+  showMinimap: false,
+  fuzzyMatching: false,
+  fuzzyMatchThreshold: 0.85,
+  domainPromptProfiles: {},
+  siteRules: []
+};
+
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === 'getSettings') {
     chrome.storage.sync.get(
-      ['apiUrl', 'apiKey', 'modelName', 'highlightColor', 'highlightStyle'],
+      CONTENT_SETTINGS_DEFAULTS,
       (items) => {
-        sendResponse(items);
+        // the prompt profiles are in local storage, see prompts.js
+        chrome.storage.local.get({ promptProfiles: [] }, (localItems) => {
+          sendResponse({ ...items, promptProfiles: localItems.promptProfiles });
+        });
       }
     );
     return true;
+  } else if (request.action === 'analysisProgress') {
+    if (sender.tab) {
+      updateProgressBadge(sender.tab.id, request.progress);
+    }
+  } else if (request.action === 'cacheRequest') {
+    let args;
+    try {
+      args = getCacheRequestArgs(request, sender);
+    } catch (error) {
+      console.warn(`Cache request ${request.method} rejected:`, error.message);
+      sendResponse({ success: false, error: error.message });
+      return true;
+    }
+    self.IntelliReadCacheStore[request.method](...args)
+      .then(result => {
+        sendResponse({ success: true, result });
+      })
+      .catch(error => {
+        console.error(`Cache request ${request.method} failed:`, error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  } else if (request.action === 'requestSlot') {
+    // model requests of every tab share the rate limits
+    self.IntelliReadScheduler.requestSlot(request.tokens)
+      .then(slot => {
+        sendResponse(slot);
+      })
+      .catch(error => {
+        // the request is not sent unchecked, acquireRequestSlot fails it with this error
+        console.error('Failed to schedule the request:', error);
+        sendResponse({ granted: false, error: error.message });
+      });
+    return true;
+  } else if (request.action === 'reportRateLimit') {
+    self.IntelliReadScheduler.reportRateLimit(request.waitMs);
+  } else if (request.action === 'recordUsage') {
+    self.IntelliReadUsage.recordUsage(request.usage)
+      .then(() => {
+        sendResponse({ success: true });
+      })
+      .catch(error => {
+        console.error('Failed to record token usage:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  } else if (request.action === 'recordParseFailure') {
+    self.IntelliReadResponses.recordParseFailure(request.failure)
+      .then(() => {
+        sendResponse({ success: true });
+      })
+      .catch(error => {
+        console.error('Failed to record the invalid response:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  } else if (request.action === 'recordFeedback' || request.action === 'resetFeedback') {
+    let write;
+    if (request.action === 'recordFeedback' && sender.tab && sender.tab.url) {
+      // a tab votes on the domain of its own page
+      const domain = new URL(sender.tab.url).hostname;
+      write = self.IntelliReadFeedback.recordKeypointFeedback(domain, request.keypoint, request.isAccepted);
+    } else if (request.action === 'resetFeedback' && isExtensionPage(sender)) {
+      write = self.IntelliReadFeedback.resetDomainFeedback(request.domain);
+    } else {
+      sendResponse({ success: false, error: `${request.action} is not allowed from this sender` });
+      return true;
+    }
+    write
+      .then(() => {
+        sendResponse({ success: true });
+      })
+      .catch(error => {
+        console.error('Failed to save the keypoint feedback:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  } else if (request.action === 'getBudgetStatus') {
+    loadBudgetStatus()
+      .then(status => {
+        sendResponse(status);
+      })
+      .catch(error => {
+        console.error('Failed to check the budget:', error);
+        sendResponse({ exceeded: false });
+      });
+    return true;
+  }
+});
+
+// cache calls a content script may make, each only about the page of its own tab: the url and domain
+// come from the tab, the content script passes the other arguments
+const PAGE_CACHE_METHODS = {
+  checkCache: (page, args) => [page.domain, ...args],
+  cacheAnalysisResult: (page, args) => [page.domain, page.url, ...args],
+  hasUrlBeenHighlighted: (page) => [page.url],
+  setDomainAutoHighlight: (page, args) => [page.domain, ...args],
+  isDomainAutoHighlightEnabled: (page) => [page.domain],
+  clearDomainCache: (page) => [page.domain],
+  savePageSummary: (page, args) => [page.url, page.domain, ...args],
+  getPageSummary: (page) => [page.url],
+  saveHighlightEdits: (page, args) => [page.url, page.domain, ...args],
+  getHighlightEdits: (page) => [page.url],
+  saveLibraryPage: (page, args) => [page.url, page.domain, ...args],
+  importLegacyCache: (page, args) => [page.domain, ...args]
+};
+
+// whether a message comes from a page of the extension, like the options, rather than a content script
+function isExtensionPage(sender) {
+  return typeof sender.url === 'string' && sender.url.startsWith(chrome.runtime.getURL(''));
+}
+
+/**
+ * Get the arguments of a cache call, extension pages may call any function of the cache store,
+ * content scripts only the functions about their own page
+ * @param {{method: string, args: Array}} request The cache request
+ * @param {chrome.runtime.MessageSender} sender The sender of the request
+ * @returns {Array} The arguments to call the cache store function with
+ * @throws {Error} If the sender may not call the function
+ */
+function getCacheRequestArgs(request, sender) {
+  const args = Array.isArray(request.args) ? request.args : [];
+  if (isExtensionPage(sender)) {
+    if (!Object.prototype.hasOwnProperty.call(self.IntelliReadCacheStore, request.method)) {
+      throw new Error(`Unknown cache method: ${request.method}`);
+    }
+    return args;
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(PAGE_CACHE_METHODS, request.method)) {
+    throw new Error(`Cache method not allowed from a page: ${request.method}`);
+  }
+  if (!sender.tab || !sender.tab.url) {
+    throw new Error('The page of the cache request is unknown');
   }
-});
\ No newline at end of file
+  const url = new URL(sender.tab.url);
+  return PAGE_CACHE_METHODS[request.method]({ url: url.href, domain: url.hostname }, args);
+}
+
+// check today's and this month's spending against the budgets from the options,
+// not named getBudgetStatus since usage.js declares that global in this worker too
+async function loadBudgetStatus() {
+  const settings = await new Promise((resolve) => {
+    chrome.storage.sync.get({ modelPrices: {}, dailyBudget: 0, monthlyBudget: 0 }, resolve);
+  });
+  const usage = await self.IntelliReadUsage.getUsage();
+  return self.IntelliReadUsage.getBudgetStatus(usage, settings);
+}
+
+// show the analysis progress of a tab on the action badge
+function updateProgressBadge(tabId, progress) {
+  if (progress.status !== 'running') {
+    chrome.action.setBadgeText({ tabId, text: '' });
+    return;
+  }
+
+  const done = progress.processed + progress.failed;
+  const percent = progress.total > 0 ? Math.floor((done / progress.total) * 100) : 0;
+  chrome.action.setBadgeBackgroundColor({ tabId, color: progress.failed > 0 ? '#e67e22' : '#3498db' });
+  chrome.action.setBadgeText({ tabId, text: `${percent}%` });
+}
\ No newline at end of file
@@ -0,0 +1,258 @@
+/**
+ * IntelliRead Backup
+ * Build and check the versioned JSON archive used to move the cache and the settings to another installation.
+ * Besides the chrome.storage.sync settings it carries the prompt profiles, the keypoint feedback and the token usage
+ * from chrome.storage.local. Secrets such as the API key and the recent parse failures, which only help to debug
+ * this installation, are never written to an archive.
+ * Used by the options page.
+ */
+
+// create a global object for IntelliReadBackup
+window.IntelliReadBackup = {};
+
+const BACKUP_FORMAT = 'intelliread-backup';
+
+// bump when the archive layout changes, archives of other versions are rejected
+const BACKUP_VERSION = 1;
+
+// settings that stay on this machine
+const SECRET_SETTING_KEYS = ['apiKey'];
+
+// the chrome.storage.sync settings an archive can restore with their default, an imported value needs the type of its default
+const BACKUP_SETTING_DEFAULTS = {
+  apiProvider: 'openai',
+  apiUrl: '',
+  apiVersion: '',
+  modelName: '',
+  analysisMode: 'full',
+  batchMode: false,
+  batchCharBudget: 4000,
+  requestsPerMinute: 0,
+  tokensPerMinute: 0,
+  dailyBudget: 0,
+  monthlyBudget: 0,
+  modelPrices: {},
+  structuredOutput: 'auto',
+  reuseCacheAcrossModels: false,
+  cacheExpirationDays: 30,
+  maxCacheEntries: 5000,
+  highlightColor: '#ADD8E6',
+  highlightStyle: 'background',
+  domainAnalysisModes: {},
+  categorizeHighlights: false,
+  categoryStyles: {},
+  showRationales: false,
+  showMinimap: false,
+  fuzzyMatching: false,
+  fuzzyMatchThreshold: 0.85,
+  domainPromptProfiles: {},
+  siteRules: []
+};
+
+// the chrome.storage.local data an archive can restore with its default, checked like the settings
+const BACKUP_LOCAL_DEFAULTS = {
+  promptProfiles: [],
+  domainFeedback: {},
+  tokenUsage: {}
+};
+
+// lists whose entries are merged by this field, a backup entry replaces the entry with the same value
+const BACKUP_LIST_ENTRY_KEYS = {
+  promptProfiles: 'id',
+  siteRules: 'pattern'
+};
+
+// the fields every record of a cache store needs, with their type
+const BACKUP_RECORD_FIELDS = {
+  highlights: { domain: 'string', contentHash: 'string', keypoints: 'array', timestamp: 'number' },
+  highlighted_urls: { url: 'string', timestamp: 'number' },
+  auto_highlight_domains: { domain: 'string' },
+  page_summaries: { url: 'string', points: 'array', timestamp: 'number' },
+  highlight_edits: { url: 'string', added: 'array', removed: 'array' }
+};
+
+/**
+ * @typedef {object} BackupArchive
+ * @property {string} format - Always intelliread-backup.
+ * @property {number} version - The archive layout version.
+ * @property {string} createdAt - When the archive was made, as ISO date.
+ * @property {object} settings - The chrome.storage.sync settings, without secrets.
+ * @property {object} [local] - The chrome.storage.local data, missing in archives of older releases.
+ * @property {Object<string, Array<object>>} cache - The records of each cache store, by store name.
+ */
+
+/**
+ * @typedef {object} BackupValidation
+ * @property {boolean} valid - Whether the archive can be imported.
+ * @property {string} [messageName] - The message explaining why it cannot.
+ * @property {Array<string>} [substitutions] - The substitutions of the message.
+ */
+
+/**
+ * Remove the secret settings
+ * @param {object} settings The settings
+ * @returns {object} A copy without the secret settings
+ */
+function omitSecretSettings(settings) {
+  const copy = { ...settings };
+  SECRET_SETTING_KEYS.forEach(key => delete copy[key]);
+  return copy;
+}
+
+/**
+ * Keep only the values an archive can restore
+ * @param {object} items The stored values
+ * @param {object} defaults The defaults of the values to keep
+ * @returns {object} A copy with only the keys of the defaults
+ */
+function pickBackupItems(items, defaults) {
+  const picked = {};
+  Object.keys(defaults)
+    .filter(key => key in items)
+    .forEach(key => { picked[key] = items[key]; });
+  return picked;
+}
+
+/**
+ * Build a backup archive
+ * @param {object} settings The chrome.storage.sync settings, secrets are left out
+ * @param {object} local The chrome.storage.local data, only the keys of BACKUP_LOCAL_DEFAULTS are kept
+ * @param {Object<string, Array<object>>} cache The records of each cache store
+ * @returns {BackupArchive} The archive
+ */
+function createBackupArchive(settings, local, cache) {
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt: new Date().toISOString(),
+    settings: pickBackupItems(omitSecretSettings(settings), BACKUP_SETTING_DEFAULTS),
+    local: pickBackupItems(local, BACKUP_LOCAL_DEFAULTS),
+    cache
+  };
+}
+
+/**
+ * Merge imported values into the current ones, objects are merged key by key and listed entries by their key field
+ * @param {object} current The current values
+ * @param {object} imported The imported values, they win over the current ones
+ * @returns {object} The merged values of the imported keys
+ */
+function mergeBackupItems(current, imported) {
+  const merged = {};
+  Object.entries(imported).forEach(([key, value]) => {
+    merged[key] = mergeBackupValue(current[key], value, BACKUP_LIST_ENTRY_KEYS[key]);
+  });
+  return merged;
+}
+
+// merge one imported value, nested objects such as the token usage by day, model and domain are merged all the way down
+function mergeBackupValue(current, imported, entryKey) {
+  if (isPlainObject(current) && isPlainObject(imported)) {
+    const merged = { ...current };
+    Object.entries(imported).forEach(([key, value]) => {
+      merged[key] = mergeBackupValue(current[key], value);
+    });
+    return merged;
+  }
+  if (entryKey && Array.isArray(current) && Array.isArray(imported)) {
+    const importedKeys = new Set(imported.map(entry => entry[entryKey]));
+    return current.filter(entry => !importedKeys.has(entry[entryKey])).concat(imported);
+  }
+  return imported;
+}
+
+// check if a value is a plain object, not null or an array
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// check the type of a record field, array is a type of its own
+function hasFieldType(value, type) {
+  return type === 'array' ? Array.isArray(value) : typeof value === type;
+}
+
+// get the type of a value like hasFieldType sees it, null and arrays apart from the other objects
+function getValueType(value) {
+  if (value === null) return 'null';
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+// find the first known key whose value has another type than its default, unknown keys are ignored on import
+function findInvalidBackupItem(items, defaults) {
+  return Object.keys(defaults).find(key => {
+    return key in items && getValueType(items[key]) !== getValueType(defaults[key]);
+  });
+}
+
+/**
+ * Check that a parsed file is a backup archive of this version with well formed records
+ * @param {*} archive The parsed file
+ * @returns {BackupValidation} The result
+ */
+function validateBackupArchive(archive) {
+  if (!isPlainObject(archive) || archive.format !== BACKUP_FORMAT) {
+    return { valid: false, messageName: 'backup_invalid_format' };
+  }
+  if (archive.version !== BACKUP_VERSION) {
+    return {
+      valid: false,
+      messageName: 'backup_unsupported_version',
+      substitutions: [String(archive.version), String(BACKUP_VERSION)]
+    };
+  }
+  if (!isPlainObject(archive.settings) || !isPlainObject(archive.cache) ||
+    ('local' in archive && !isPlainObject(archive.local))) {
+    return { valid: false, messageName: 'backup_invalid_format' };
+  }
+
+  const invalidKey = findInvalidBackupItem(archive.settings, BACKUP_SETTING_DEFAULTS) ||
+    findInvalidBackupItem(archive.local || {}, BACKUP_LOCAL_DEFAULTS);
+  if (invalidKey) {
+    return { valid: false, messageName: 'backup_invalid_setting', substitutions: [invalidKey] };
+  }
+
+  // the prompt profiles are matched by id when merged and picked by id for the domains
+  const profiles = (archive.local && archive.local.promptProfiles) || [];
+  const invalidProfileIndex = profiles.findIndex(profile => {
+    return !isPlainObject(profile) || typeof profile.id !== 'string' || typeof profile.template !== 'string';
+  });
+  if (invalidProfileIndex !== -1) {
+    return { valid: false, messageName: 'backup_invalid_record', substitutions: ['promptProfiles', String(invalidProfileIndex + 1)] };
+  }
+
+  for (const [storeName, records] of Object.entries(archive.cache)) {
+    const fields = BACKUP_RECORD_FIELDS[storeName];
+    if (!fields || !Array.isArray(records)) {
+      return { valid: false, messageName: 'backup_invalid_store', substitutions: [storeName] };
+    }
+
+    const invalidIndex = records.findIndex(record => {
+      return !isPlainObject(record) ||
+        Object.entries(fields).some(([field, type]) => !hasFieldType(record[field], type));
+    });
+    if (invalidIndex !== -1) {
+      return { valid: false, messageName: 'backup_invalid_record', substitutions: [storeName, String(invalidIndex + 1)] };
+    }
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Get the file name of a new archive
+ * @returns {string} The file name with the current date
+ */
+function getBackupFileName() {
+  return `intelliread-backup-${new Date().toISOString().slice(0, 10)}.json`;
+}
+
+// mount the functions to the global object
+window.IntelliReadBackup.SECRET_SETTING_KEYS = SECRET_SETTING_KEYS;
+window.IntelliReadBackup.BACKUP_SETTING_DEFAULTS = BACKUP_SETTING_DEFAULTS;
+window.IntelliReadBackup.BACKUP_LOCAL_DEFAULTS = BACKUP_LOCAL_DEFAULTS;
+window.IntelliReadBackup.createBackupArchive = createBackupArchive;
+window.IntelliReadBackup.validateBackupArchive = validateBackupArchive;
+window.IntelliReadBackup.omitSecretSettings = omitSecretSettings;
+window.IntelliReadBackup.pickBackupItems = pickBackupItems;
+window.IntelliReadBackup.mergeBackupItems = mergeBackupItems;
+window.IntelliReadBackup.getBackupFileName = getBackupFileName;
@@ -0,0 +1,1277 @@
+/**
+ * IntelliRead Cache Store
+ * Use IndexedDB to build a cache system for highlights, using the domain as the index, and hash the content to check if the cache has matching data.
+ * The database lives in the extension origin and is owned by the background service worker, content scripts reach it through cache.js.
+ * The highlighted URL records double as the pages of the highlights library, so the library expires and is cleared with the cache.
+ */
+
+// create a global object for IntelliReadCacheStore, `self` is the service worker scope
+self.IntelliReadCacheStore = {};
+
+// database name and version
+const DB_NAME = 'intelliread-cache';
+const DB_VERSION = 6; // Increased version for new schema
+const STORE_NAME = 'highlights';
+const URL_STORE_NAME = 'highlighted_urls'; // Store for highlighted URLs
+const AUTO_DOMAIN_STORE = 'auto_highlight_domains'; // New store for domains with auto-highlight enabled
+const SUMMARY_STORE_NAME = 'page_summaries'; // Store for page summaries, keyed by URL
+const EDITS_STORE_NAME = 'highlight_edits'; // Store for highlights the reader added or removed, keyed by URL
+const STATS_STORE_NAME = 'cache_stats'; // Store for the cache hits and misses, keyed by domain
+
+// cache limits used until the reader sets them in the options
+const DEFAULT_CACHE_EXPIRATION_DAYS = 30;
+const DEFAULT_MAX_CACHE_ENTRIES = 5000;
+const CACHE_DAY_MS = 24 * 60 * 60 * 1000;
+
+// while caching, the limits are enforced at most this often, every check scans the whole cache;
+// the daily cleanup alarm of the service worker covers the time in between
+const CACHE_LIMIT_CHECK_INTERVAL_MS = 10 * 60 * 1000;
+let lastCacheLimitCheck = 0;
+
+/**
+ * Get the cache limits from the settings
+ * @returns {Promise<{expiration: number, maxEntries: number}>} The expiration in milliseconds, and the maximum number of cached paragraphs
+ */
+function getCacheLimits() {
+  return new Promise((resolve) => {
+    chrome.storage.sync.get(
+      {
+        cacheExpirationDays: DEFAULT_CACHE_EXPIRATION_DAYS,
+        maxCacheEntries: DEFAULT_MAX_CACHE_ENTRIES
+      },
+      (items) => {
+        resolve({
+          expiration: items.cacheExpirationDays * CACHE_DAY_MS,
+          maxEntries: items.maxCacheEntries
+        });
+      }
+    );
+  });
+}
+
+/**
+ * Initialize or open the IndexedDB database
+ * @returns {Promise<IDBDatabase>} Returns the opened database connection
+ */
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onerror = (event) => {
+      console.error('Failed to open the database:', event.target.error);
+      reject(event.target.error);
+    };
+
+    request.onsuccess = (event) => {
+      const db = event.target.result;
+      resolve(db);
+    };
+
+    request.onupgradeneeded = (event) => {
+      const db = event.target.result;
+      
+      // if the storage object does not exist, create it
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        // create a storage object with the domain and content hash as the composite key
+        const store = db.createObjectStore(STORE_NAME, { keyPath: ['domain', 'contentHash'] });
+        
+        // create an index for the domain, for quick lookup
+        store.createIndex('domain', 'domain', { unique: false });
+        
+        // add a timestamp index, for clearing expired cache
+        store.createIndex('timestamp', 'timestamp', { unique: false });
+      }
+
+      // add a last access index, for evicting the least recently used entries
+      const highlightStore = event.target.transaction.objectStore(STORE_NAME);
+      if (!highlightStore.indexNames.contains('lastAccess')) {
+        highlightStore.createIndex('lastAccess', 'lastAccess', { unique: false });
+
+        // entries saved before have no last access time, the index would skip them
+        highlightStore.openCursor().onsuccess = (cursorEvent) => {
+          const cursor = cursorEvent.target.result;
+          if (cursor) {
+            if (cursor.value.lastAccess === undefined) {
+              cursor.update({ ...cursor.value, lastAccess: cursor.value.timestamp });
+            }
+            cursor.continue();
+          }
+        };
+      }
+      
+      // Create a store for highlighted URLs if it doesn't exist
+      if (!db.objectStoreNames.contains(URL_STORE_NAME)) {
+        const urlStore = db.createObjectStore(URL_STORE_NAME, { keyPath: 'url' });
+        urlStore.createIndex('timestamp', 'timestamp', { unique: false });
+      }
+      
+      // Create a store for domains with auto-highlight enabled
+      if (!db.objectStoreNames.contains(AUTO_DOMAIN_STORE)) {
+        db.createObjectStore(AUTO_DOMAIN_STORE, { keyPath: 'domain' });
+      }
+      
+      // Create a store for page summaries
+      if (!db.objectStoreNames.contains(SUMMARY_STORE_NAME)) {
+        const summaryStore = db.createObjectStore(SUMMARY_STORE_NAME, { keyPath: 'url' });
+        summaryStore.createIndex('timestamp', 'timestamp', { unique: false });
+      }
+      
+      // Create a store for the reader's highlight edits
+      if (!db.objectStoreNames.contains(EDITS_STORE_NAME)) {
+        const editsStore = db.createObjectStore(EDITS_STORE_NAME, { keyPath: 'url' });
+        editsStore.createIndex('domain', 'domain', { unique: false });
+      }
+      
+      // Create a store for the cache statistics
+      if (!db.objectStoreNames.contains(STATS_STORE_NAME)) {
+        db.createObjectStore(STATS_STORE_NAME, { keyPath: 'domain' });
+      }
+    };
+  });
+}
+
+/**
+ * Calculate the hash value of a string
+ * @param {string} content The content to hash
+ * @returns {Promise<string>} Returns the hash value
+ */
+async function calculateHash(content) {
+  // use the modern Web API to calculate the hash value
+  const encoder = new TextEncoder();
+  const data = encoder.encode(content);
+  const hashBuffer = await crypto.subtle.digest('SHA-256', data);
+  
+  // convert the hash buffer to a hexadecimal string
+  const hashArray = Array.from(new Uint8Array(hashBuffer));
+  const hashHex = hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
+  
+  return hashHex;
+}
+
+/**
+ * Save data to the cache
+ * @param {string} domain The page domain
+ * @param {string} contentHash The content hash
+ * @param {Array<string|{text: string, category: string}>} keypoints The highlights keypoints array, with their category when categorized
+ * @param {string} [fingerprint] The provider, model and prompt rules the keypoints were made with
+ * @param {string} [url] The page the paragraph was analyzed on, deleting the page from the library removes the paragraph
+ * @returns {Promise<void>}
+ */
+async function saveToCache(domain, contentHash, keypoints, fingerprint, url) {
+  try {
+    const db = await openDatabase();
+    
+    const transaction = db.transaction(STORE_NAME, 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
+    
+    const cacheData = {
+      domain,
+      contentHash,
+      keypoints,
+      fingerprint,
+      url,
+      timestamp: Date.now(),
+      lastAccess: Date.now()
+    };
+    
+    return new Promise((resolve, reject) => {
+      const request = store.put(cacheData);
+      
+      request.onsuccess = () => {
+        resolve();
+      };
+      
+      request.onerror = (event) => {
+        console.error('Failed to save to the cache:', event.target.error);
+        reject(event.target.error);
+      };
+
+      transaction.oncomplete = () => {
+        db.close();
+      };
+    });
+  } catch (error) {
+    console.error('Failed to save to the cache:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get data from the cache
+ * @param {string} domain The page domain
+ * @param {string} contentHash The content hash
+ * @param {string} [fingerprint] The provider, model and prompt rules the keypoints should be made with
+ * @param {boolean} [allowOtherFingerprints] Whether an entry made with another fingerprint is returned too
+ * @returns {Promise<Array<string|object>|null>} If the cache hits, return the keypoints array; otherwise return null
+ */
+async function getFromCache(domain, contentHash, fingerprint, allowOtherFingerprints) {
+  try {
+    const { expiration } = await getCacheLimits();
+    const db = await openDatabase();
+    
+    // readwrite, a hit refreshes the last access time of the entry and every lookup counts for the statistics
+    const transaction = db.transaction([STORE_NAME, STATS_STORE_NAME], 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
+    
+    return new Promise((resolve, reject) => {
+      const request = store.get([domain, contentHash]);
+      
+      request.onsuccess = (event) => {
+        const result = event.target.result;
+        
+        // entries cached before fingerprints were added have none, they count as made with another model
+        const isSameFingerprint = !fingerprint || result?.fingerprint === fingerprint;
+        const isHit = result && (Date.now() - result.timestamp < expiration) && (isSameFingerprint || allowOtherFingerprints);
+        if (isHit) {
+          store.put({ ...result, lastAccess: Date.now() });
+        }
+        countCacheLookup(transaction, domain, isHit);
+
+        // cache hits and not expired, otherwise null
+        resolve(isHit ? result.keypoints : null);
+      };
+      
+      request.onerror = (event) => {
+        console.error('Failed to get data from the cache:', event.target.error);
+        reject(event.target.error);
+      };
+
+      transaction.oncomplete = () => {
+        db.close();
+      };
+    });
+  } catch (error) {
+    console.error('Failed to get data from the cache:', error);
+    return null;
+  }
+}
+
+/**
+ * Count a cache lookup of a domain as hit or miss, inside a transaction that includes the statistics store
+ * @param {IDBTransaction} transaction The transaction
+ * @param {string} domain The page domain
+ * @param {boolean} isHit Whether the lookup was a hit
+ */
+function countCacheLookup(transaction, domain, isHit) {
+  const statsStore = transaction.objectStore(STATS_STORE_NAME);
+  const request = statsStore.get(domain);
+  request.onsuccess = () => {
+    const stats = request.result || { domain, hits: 0, misses: 0 };
+    if (isHit) {
+      stats.hits++;
+    } else {
+      stats.misses++;
+    }
+    statsStore.put(stats);
+  };
+}
+
+/**
+ * Save a URL to the highlighted URLs store, keeping the library fields of its record
+ * @param {string} url The page URL
+ * @returns {Promise<void>}
+ */
+async function saveHighlightedUrl(url) {
+  try {
+    const db = await openDatabase();
+    
+    const transaction = db.transaction(URL_STORE_NAME, 'readwrite');
+    const store = transaction.objectStore(URL_STORE_NAME);
+    
+    return new Promise((resolve, reject) => {
+      const request = store.get(url);
+      
+      request.onsuccess = () => {
+        store.put({ ...request.result, url, analyzed: true, timestamp: Date.now() });
+      };
+      
+      transaction.onerror = (event) => {
+        console.error('Failed to save highlighted URL:', event.target.error);
+        db.close();
+        reject(event.target.error);
+      };
+
+      transaction.oncomplete = () => {
+        db.close();
+        resolve();
+      };
+    });
+  } catch (error) {
+    console.error('Failed to save highlighted URL:', error);
+    throw error;
+  }
+}
+
+/**
+ * Check if a URL has been highlighted before
+ * @param {string} url The page URL
+ * @returns {Promise<boolean>} Returns true if the URL has been highlighted before
+ */
+async function hasUrlBeenHighlighted(url) {
+  try {
+    const db = await openDatabase();
+    
+    const transaction = db.transaction(URL_STORE_NAME, 'readonly');
+    const store = transaction.objectStore(URL_STORE_NAME);
+    
+    return new Promise((resolve, reject) => {
+      const request = store.get(url);
+      
+      request.onsuccess = (event) => {
+        const result = event.target.result;
+        // a page that only has highlights the reader added was never analyzed
+        resolve(!!result && result.analyzed !== false);
+      };
+      
+      request.onerror = (event) => {
+        console.error('Failed to check highlighted URL:', event.target.error);
+        reject(event.target.error);
+      };
+
+      transaction.oncomplete = () => {
+        db.close();
+      };
+    });
+  } catch (error) {
+    console.error('Failed to check highlighted URL:', error);
+    return false;
+  }
+}
+
+/**
+ * Save the summary of a page
+ * @param {string} url The page URL
+ * @param {string} domain The page domain
+ * @param {Array<{text: string, paragraph: number, anchor: string}>} points The summary bullet points
+ * @returns {Promise<void>}
+ */
+async function savePageSummary(url, domain, points) {
+  try {
+    const db = await openDatabase();
+    
+    const transaction = db.transaction(SUMMARY_STORE_NAME, 'readwrite');
+    const store = transaction.objectStore(SUMMARY_STORE_NAME);
+    
+    const summaryData = {
+      url,
+      domain,
+      points,
+      timestamp: Date.now()
+    };
+    
+    return new Promise((resolve, reject) => {
+      const request = store.put(summaryData);
+      
+      request.onsuccess = () => {
+        resolve();
+      };
+      
+      request.onerror = (event) => {
+        console.error('Failed to save page summary:', event.target.error);
+        reject(event.target.error);
+      };
+
+      transaction.oncomplete = () => {
+        db.close();
+      };
+    });
+  } catch (error) {
+    console.error('Failed to save page summary:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the cached summary of a page
+ * @param {string} url The page URL
+ * @returns {Promise<Array<{text: string, paragraph: number, anchor: string}>|null>} The summary bullet points, or null if there is none or it expired
+ */
+async function getPageSummary(url) {
+  try {
+    const { expiration } = await getCacheLimits();
+    const db = await openDatabase();
+    
+    const transaction = db.transaction(SUMMARY_STORE_NAME, 'readonly');
+    const store = transaction.objectStore(SUMMARY_STORE_NAME);
+    
+    return new Promise((resolve, reject) => {
+      const request = store.get(url);
+      
+      request.onsuccess = (event) => {
+        const result = event.target.result;
+        if (result && (Date.now() - result.timestamp < expiration)) {
+          resolve(result.points);
+        } else {
+          resolve(null);
+        }
+      };
+      
+      request.onerror = (event) => {
+        console.error('Failed to get page summary:', event.target.error);
+        reject(event.target.error);
+      };
+
+      transaction.oncomplete = () => {
+        db.close();
+      };
+    });
+  } catch (error) {
+    console.error('Failed to get page summary:', error);
+    return null;
+  }
+}
+
+/**
+ * @typedef {object} HighlightEdits
+ * @property {Array<{text: string, anchor: string}>} added - Manual highlights, with the start of the paragraph they are in.
+ * @property {Array<string>} removed - Keypoints the reader removed, they are not highlighted again.
+ */
+
+/**
+ * Save the reader's highlight edits of a page
+ * @param {string} url The page URL
+ * @param {string} domain The page domain
+ * @param {HighlightEdits} edits The added and removed highlights
+ * @returns {Promise<void>}
+ */
+async function saveHighlightEdits(url, domain, edits) {
+  try {
+    const db = await openDatabase();
+    
+    const transaction = db.transaction(EDITS_STORE_NAME, 'readwrite');
+    const store = transaction.objectStore(EDITS_STORE_NAME);
+    
+    const editsData = {
+      url,
+      domain,
+      added: edits.added,
+      removed: edits.removed,
+      timestamp: Date.now()
+    };
+    
+    return new Promise((resolve, reject) => {
+      // a page without edits does not need a record
+      const request = edits.added.length === 0 && edits.removed.length === 0
+        ? store.delete(url)
+        : store.put(editsData);
+      
+      request.onsuccess = () => {
+        resolve();
+      };
+      
+      request.onerror = (event) => {
+        console.error('Failed to save highlight edits:', event.target.error);
+        reject(event.target.error);
+      };
+
+      transaction.oncomplete = () => {
+        db.close();
+      };
+    });
+  } catch (error) {
+    console.error('Failed to save highlight edits:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the reader's highlight edits of a page, they do not expire like the cache
+ * @param {string} url The page URL
+ * @returns {Promise<HighlightEdits>} The added and removed highlights, empty if there are none
+ */
+async function getHighlightEdits(url) {
+  try {
+    const db = await openDatabase();
+    
+    const transaction = db.transaction(EDITS_STORE_NAME, 'readonly');
+    const store = transaction.objectStore(EDITS_STORE_NAME);
+    
+    return new Promise((resolve, reject) => {
+      const request = store.get(url);
+      
+      request.onsuccess = (event) => {
+        const result = event.target.result;
+        resolve({
+          added: result ? result.added : [],
+          removed: result ? result.removed : []
+        });
+      };
+      
+      request.onerror = (event) => {
+        console.error('Failed to get highlight edits:', event.target.error);
+        reject(event.target.error);
+      };
+
+      transaction.oncomplete = () => {
+        db.close();
+      };
+    });
+  } catch (error) {
+    console.error('Failed to get highlight edits:', error);
+    return { added: [], removed: [] };
+  }
+}
+
+/**
+ * Enable auto-highlight for a domain
+ * @param {string} domain The domain
+ * @param {boolean} enabled Whether to enable or disable auto-highlight
+ * @returns {Promise<void>}
+ */
+async function setDomainAutoHighlight(domain, enabled) {
+  try {
+    const db = await openDatabase();
+    
+    const transaction = db.transaction(AUTO_DOMAIN_STORE, 'readwrite');
+    const store = transaction.objectStore(AUTO_DOMAIN_STORE);
+    
+    return new Promise((resolve, reject) => {
+      if (enabled) {
+        // Add domain to auto-highlight list
+        const domainData = {
+          domain,
+          timestamp: Date.now()
+        };
+        
+        const request = store.put(domainData);
+        
+        request.onsuccess = () => {
+          console.log(`Auto-highlight enabled for domain: ${domain}`);
+          resolve();
+        };
+        
+        request.onerror = (event) => {
+          console.error('Failed to enable auto-highlight for domain:', event.target.error);
+          reject(event.target.error);
+        };
+      } else {
+        // Remove domain from auto-highlight list
+        const request = store.delete(domain);
+        
+        request.onsuccess = () => {
+          console.log(`Auto-highlight disabled for domain: ${domain}`);
+          resolve();
+        };
+        
+        request.onerror = (event) => {
+          console.error('Failed to disable auto-highlight for domain:', event.target.error);
+          reject(event.target.error);
+        };
+      }
+      
+      transaction.oncomplete = () => {
+        db.close();
+      };
+    });
+  } catch (error) {
+    console.error('Failed to set domain auto-highlight:', error);
+    throw error;
+  }
+}
+
+/**
+ * Check if auto-highlight is enabled for a domain
+ * @param {string} domain The domain
+ * @returns {Promise<boolean>} Returns true if auto-highlight is enabled for the domain
+ */
+async function isDomainAutoHighlightEnabled(domain) {
+  try {
+    const db = await openDatabase();
+    
+    const transaction = db.transaction(AUTO_DOMAIN_STORE, 'readonly');
+    const store = transaction.objectStore(AUTO_DOMAIN_STORE);
+    
+    return new Promise((resolve, reject) => {
+      const request = store.get(domain);
+      
+      request.onsuccess = (event) => {
+        const result = event.target.result;
+        resolve(!!result); // Convert to boolean
+      };
+      
+      request.onerror = (event) => {
+        console.error('Failed to check domain auto-highlight:', event.target.error);
+        reject(event.target.error);
+      };
+
+      transaction.oncomplete = () => {
+        db.close();
+      };
+    });
+  } catch (error) {
+    console.error('Failed to check domain auto-highlight:', error);
+    return false;
+  }
+}
+
+/**
+ * Clear expired cache entries from the highlight, URL and summary stores
+ * @returns {Promise<void>}
+ */
+async function clearExpiredCache() {
+  try {
+    const { expiration } = await getCacheLimits();
+    const db = await openDatabase();
+    const expirationTime = Date.now() - expiration;
+    
+    // Clear expired highlight cache
+    const highlightTransaction = db.transaction(STORE_NAME, 'readwrite');
+    const highlightStore = highlightTransaction.objectStore(STORE_NAME);
+    const highlightIndex = highlightStore.index('timestamp');
+    const highlightRange = IDBKeyRange.upperBound(expirationTime);
+    
+    await new Promise((resolve, reject) => {
+      const request = highlightIndex.openCursor(highlightRange);
+      
+      request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (cursor) {
+          cursor.delete();
+          cursor.continue();
+        }
+      };
+      
+      request.onerror = (event) => {
+        console.error('Failed to clear expired highlight cache:', event.target.error);
+        reject(event.target.error);
+      };
+      
+      highlightTransaction.oncomplete = () => {
+        resolve();
+      };
+    });
+    
+    // Clear expired URL cache
+    const urlTransaction = db.transaction(URL_STORE_NAME, 'readwrite');
+    const urlStore = urlTransaction.objectStore(URL_STORE_NAME);
+    const urlIndex = urlStore.index('timestamp');
+    const urlRange = IDBKeyRange.upperBound(expirationTime);
+    
+    await new Promise((resolve, reject) => {
+      const request = urlIndex.openCursor(urlRange);
+      
+      request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (cursor) {
+          cursor.delete();
+          cursor.continue();
+        }
+      };
+      
+      request.onerror = (event) => {
+        console.error('Failed to clear expired URL cache:', event.target.error);
+        reject(event.target.error);
+      };
+      
+      urlTransaction.oncomplete = () => {
+        resolve();
+      };
+    });
+    
+    // Clear expired page summaries
+    const summaryTransaction = db.transaction(SUMMARY_STORE_NAME, 'readwrite');
+    const summaryIndex = summaryTransaction.objectStore(SUMMARY_STORE_NAME).index('timestamp');
+    const summaryRange = IDBKeyRange.upperBound(expirationTime);
+    
+    await new Promise((resolve, reject) => {
+      const request = summaryIndex.openCursor(summaryRange);
+      
+      request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (cursor) {
+          cursor.delete();
+          cursor.continue();
+        }
+      };
+      
+      request.onerror = (event) => {
+        console.error('Failed to clear expired summaries:', event.target.error);
+        reject(event.target.error);
+      };
+      
+      summaryTransaction.oncomplete = () => {
+        db.close();
+        resolve();
+      };
+    });
+  } catch (error) {
+    console.error('Failed to clear expired cache:', error);
+    throw error;
+  }
+}
+
+/**
+ * Remove the least recently used highlight entries until at most the given number is left
+ * @param {number} maxEntries The maximum number of cached paragraphs
+ * @returns {Promise<number>} The number of removed entries
+ */
+async function evictLeastRecentlyUsed(maxEntries) {
+  const db = await openDatabase();
+  const transaction = db.transaction(STORE_NAME, 'readwrite');
+  const store = transaction.objectStore(STORE_NAME);
+  let removed = 0;
+
+  const countRequest = store.count();
+  countRequest.onsuccess = () => {
+    const excess = countRequest.result - maxEntries;
+    if (excess <= 0) return;
+
+    // the lastAccess index is ascending, so the least recently used entries come first
+    const cursorRequest = store.index('lastAccess').openCursor();
+    cursorRequest.onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (cursor && removed < excess) {
+        cursor.delete();
+        removed++;
+        cursor.continue();
+      }
+    };
+  };
+
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(removed);
+    };
+    transaction.onerror = (event) => {
+      console.error('Failed to evict cache entries:', event.target.error);
+      db.close();
+      reject(event.target.error);
+    };
+  });
+}
+
+/**
+ * Apply the expiry and the maximum size of the cache
+ * @returns {Promise<void>}
+ */
+async function enforceCacheLimits() {
+  const { maxEntries } = await getCacheLimits();
+  await clearExpiredCache();
+  const removed = await evictLeastRecentlyUsed(maxEntries);
+  if (removed > 0) {
+    console.log(`Evicted ${removed} least recently used cache entries`);
+  }
+}
+
+/**
+ * @typedef {object} DomainCacheStatistics
+ * @property {string} domain - The domain.
+ * @property {number} entries - Number of cached paragraphs.
+ * @property {number} summaries - Number of cached page summaries.
+ * @property {number} bytes - Approximate size of the cached paragraphs and summaries.
+ * @property {number} hits - Number of cache lookups that found keypoints.
+ * @property {number} misses - Number of cache lookups that did not.
+ */
+
+/**
+ * Collect the cache statistics of every domain, the largest first
+ * @returns {Promise<Array<DomainCacheStatistics>>} The statistics
+ */
+async function getCacheStatistics() {
+  const db = await openDatabase();
+  const transaction = db.transaction([STORE_NAME, SUMMARY_STORE_NAME, STATS_STORE_NAME], 'readonly');
+  const domains = {};
+  const getDomainStatistics = (domain) => {
+    if (!domains[domain]) {
+      domains[domain] = { domain, entries: 0, summaries: 0, bytes: 0, hits: 0, misses: 0 };
+    }
+    return domains[domain];
+  };
+
+  // the size of a record is approximated by the length of its JSON
+  transaction.objectStore(STORE_NAME).openCursor().onsuccess = (event) => {
+    const cursor = event.target.result;
+    if (!cursor) return;
+    const statistics = getDomainStatistics(cursor.value.domain);
+    statistics.entries++;
+    statistics.bytes += JSON.stringify(cursor.value).length;
+    cursor.continue();
+  };
+
+  transaction.objectStore(SUMMARY_STORE_NAME).openCursor().onsuccess = (event) => {
+    const cursor = event.target.result;
+    if (!cursor) return;
+    const statistics = getDomainStatistics(cursor.value.domain);
+    statistics.summaries++;
+    statistics.bytes += JSON.stringify(cursor.value).length;
+    cursor.continue();
+  };
+
+  transaction.objectStore(STATS_STORE_NAME).openCursor().onsuccess = (event) => {
+    const cursor = event.target.result;
+    if (!cursor) return;
+    const statistics = getDomainStatistics(cursor.value.domain);
+    statistics.hits = cursor.value.hits;
+    statistics.misses = cursor.value.misses;
+    cursor.continue();
+  };
+
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(Object.values(domains).sort((a, b) => b.bytes - a.bytes));
+    };
+    transaction.onerror = (event) => {
+      console.error('Failed to collect cache statistics:', event.target.error);
+      db.close();
+      reject(event.target.error);
+    };
+  });
+}
+
+/**
+ * Hash the content together with the prompt profile it is analyzed with
+ * @param {string} content The content to analyze
+ * @param {string} [promptKey] The prompt profile key, empty for the default prompt
+ * @returns {Promise<string>} The content hash
+ */
+function calculateContentHash(content, promptKey) {
+  return calculateHash(promptKey ? `${promptKey}\n\n${content}` : content);
+}
+
+/**
+ * Check if the analysis content is in the cache, if it is, return the cached keypoints, otherwise return null
+ * @param {string} domain The page domain
+ * @param {string} content The content to analyze
+ * @param {string} [promptKey] The prompt profile key, entries of other profiles are not returned
+ * @param {string} [fingerprint] The provider, model and prompt rules the keypoints should be made with
+ * @param {boolean} [allowOtherFingerprints] Whether entries made with another fingerprint are returned too
+ * @returns {Promise<Array<string|object>|null>} The cached keypoints array or null, entries cached before categories are plain strings
+ */
+async function checkCache(domain, content, promptKey, fingerprint, allowOtherFingerprints) {
+  try {
+    // calculate the content hash
+    const contentHash = await calculateContentHash(content, promptKey);
+    
+    // get data from the cache
+    const cachedData = await getFromCache(domain, contentHash, fingerprint, allowOtherFingerprints);
+    
+    return cachedData;
+  } catch (error) {
+    console.error('Failed to check cache:', error);
+    return null;
+  }
+}
+
+/**
+ * Save the analysis result to the cache
+ * @param {string} domain The page domain
+ * @param {string} url The page URL
+ * @param {string} content The original content
+ * @param {Array<{text: string, category: string}>} keypoints The keypoints array analyzed, with their category
+ * @param {string} [promptKey] The prompt profile key the keypoints were made with
+ * @param {string} [fingerprint] The provider, model and prompt rules the keypoints were made with
+ * @returns {Promise<void>}
+ */
+async function cacheAnalysisResult(domain, url, content, keypoints, promptKey, fingerprint) {
+  try {
+    // calculate the content hash
+    const contentHash = await calculateContentHash(content, promptKey);
+    
+    // save to the cache
+    await saveToCache(domain, contentHash, keypoints, fingerprint, url);
+    
+    // Save the page URL as a highlighted URL
+    await saveHighlightedUrl(url);
+    
+    // clear expired cache and evict the least recently used entries, once in a while rather than for every paragraph
+    if (Date.now() - lastCacheLimitCheck >= CACHE_LIMIT_CHECK_INTERVAL_MS) {
+      lastCacheLimitCheck = Date.now();
+      enforceCacheLimits().catch(console.error);
+    }
+  } catch (error) {
+    console.error('Failed to cache the analysis result:', error);
+  }
+}
+
+/**
+ * Clear all cache entries for a domain
+ * @param {string} domain The domain
+ * @returns {Promise<boolean>} Returns true if the entries were cleared
+ */
+async function clearDomainCache(domain) {
+  try {
+    const db = await openDatabase();
+    
+    // Clear highlight cache for this domain
+    const highlightTransaction = db.transaction(STORE_NAME, 'readwrite');
+    const highlightStore = highlightTransaction.objectStore(STORE_NAME);
+    const highlightIndex = highlightStore.index('domain');
+    const domainRange = IDBKeyRange.only(domain);
+    
+    await new Promise((resolve, reject) => {
+      const request = highlightIndex.openCursor(domainRange);
+      
+      request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (cursor) {
+          cursor.delete();
+          cursor.continue();
+        }
+      };
+      
+      request.onerror = (event) => {
+        console.error('Failed to clear domain highlight cache:', event.target.error);
+        reject(event.target.error);
+      };
+      
+      highlightTransaction.oncomplete = () => {
+        resolve();
+      };
+    });
+    
+    // Clear highlighted URLs for this domain
+    const urlTransaction = db.transaction(URL_STORE_NAME, 'readwrite');
+    const urlStore = urlTransaction.objectStore(URL_STORE_NAME);
+    
+    await new Promise((resolve, reject) => {
+      const request = urlStore.openCursor();
+      
+      request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (cursor) {
+          const url = cursor.value.url;
+          try {
+            const urlObj = new URL(url);
+            if (urlObj.hostname === domain) {
+              cursor.delete();
+            }
+          } catch (error) {
+            console.error('Invalid URL in cache:', url);
+          }
+          cursor.continue();
+        }
+      };
+      
+      request.onerror = (event) => {
+        console.error('Failed to clear domain URL cache:', event.target.error);
+        reject(event.target.error);
+      };
+      
+      urlTransaction.oncomplete = () => {
+        resolve();
+      };
+    });
+    
+    // Clear page summaries for this domain
+    const summaryTransaction = db.transaction(SUMMARY_STORE_NAME, 'readwrite');
+    const summaryStore = summaryTransaction.objectStore(SUMMARY_STORE_NAME);
+    
+    await new Promise((resolve, reject) => {
+      const request = summaryStore.openCursor();
+      
+      request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (cursor) {
+          if (cursor.value.domain === domain) {
+            cursor.delete();
+          }
+          cursor.continue();
+        }
+      };
+      
+      request.onerror = (event) => {
+        console.error('Failed to clear domain summaries:', event.target.error);
+        reject(event.target.error);
+      };
+      
+      summaryTransaction.oncomplete = () => {
+        resolve();
+      };
+    });
+    
+    // Clear the cache statistics of this domain
+    const statsTransaction = db.transaction(STATS_STORE_NAME, 'readwrite');
+    
+    await new Promise((resolve, reject) => {
+      const request = statsTransaction.objectStore(STATS_STORE_NAME).delete(domain);
+      
+      request.onerror = (event) => {
+        console.error('Failed to clear domain cache statistics:', event.target.error);
+        reject(event.target.error);
+      };
+      
+      statsTransaction.oncomplete = () => {
+        db.close();
+        resolve();
+      };
+    });
+    
+    return true;
+  } catch (error) {
+    console.error('Failed to clear domain cache:', error);
+    return false;
+  }
+}
+
+/**
+ * @typedef {object} LibraryPage
+ * @property {string} url - The page URL.
+ * @property {string} domain - The page domain.
+ * @property {string} title - The page title, empty for pages highlighted before the library.
+ * @property {Array<{text: string, category?: string, rationale?: string, source: string}>|null} keypoints - The highlighted keypoints,
+ *   null for pages highlighted before the library, they are filled in on the next visit.
+ * @property {number} timestamp - When the page was last analyzed or its highlights changed.
+ */
+
+// the domain of a record, records saved before the domain was stored only have the URL
+function getRecordDomain(record) {
+  if (record.domain) return record.domain;
+  try {
+    return new URL(record.url).hostname;
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Record the title and the highlighted keypoints of a page for the library, in its highlighted URL record.
+ * A page whose highlights were all added by the reader gets a record that does not count as analyzed.
+ * @param {string} url The page URL
+ * @param {string} domain The page domain
+ * @param {string} title The page title
+ * @param {Array<{text: string, category?: string, rationale?: string, source: string}>} keypoints The highlighted keypoints
+ * @returns {Promise<void>}
+ */
+async function saveLibraryPage(url, domain, title, keypoints) {
+  if (!Array.isArray(keypoints)) {
+    throw new Error('The keypoints of a library page must be an array');
+  }
+
+  const db = await openDatabase();
+  const transaction = db.transaction(URL_STORE_NAME, 'readwrite');
+  const store = transaction.objectStore(URL_STORE_NAME);
+  const request = store.get(url);
+  request.onsuccess = () => {
+    const existing = request.result;
+    // an analyzed page without highlights keeps its record, so it is still auto-highlighted, but is not listed
+    if (keypoints.length === 0 && (!existing || existing.analyzed === false)) {
+      if (existing) store.delete(url);
+      return;
+    }
+    store.put({ analyzed: false, ...existing, url, domain, title: String(title || ''), keypoints, timestamp: Date.now() });
+  };
+
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => {
+      db.close();
+      resolve();
+    };
+    transaction.onerror = (event) => {
+      console.error('Failed to save the library page:', event.target.error);
+      db.close();
+      reject(event.target.error);
+    };
+  });
+}
+
+/**
+ * Get every highlighted page for the library, newest first
+ * @returns {Promise<Array<LibraryPage>>} The pages
+ */
+async function getLibraryPages() {
+  const db = await openDatabase();
+  const transaction = db.transaction(URL_STORE_NAME, 'readonly');
+  const request = transaction.objectStore(URL_STORE_NAME).getAll();
+
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(request.result
+        .filter(record => !Array.isArray(record.keypoints) || record.keypoints.length > 0)
+        .map(record => ({
+          url: record.url,
+          domain: getRecordDomain(record),
+          title: record.title || '',
+          keypoints: Array.isArray(record.keypoints) ? record.keypoints : null,
+          timestamp: record.timestamp
+        }))
+        .sort((a, b) => b.timestamp - a.timestamp));
+    };
+    transaction.onerror = (event) => {
+      console.error('Failed to load the library:', event.target.error);
+      db.close();
+      reject(event.target.error);
+    };
+  });
+}
+
+/**
+ * Delete a page with everything cached for it: its highlighted URL record, its summary, the reader's edits
+ * and the paragraphs analyzed on it, so it is not highlighted again on the next visit.
+ * Paragraphs cached before they were stored with their page are matched by the keypoints of the page.
+ * @param {string} url The page URL
+ * @returns {Promise<void>}
+ */
+async function deleteLibraryPage(url) {
+  const db = await openDatabase();
+  const transaction = db.transaction([URL_STORE_NAME, STORE_NAME, SUMMARY_STORE_NAME, EDITS_STORE_NAME], 'readwrite');
+  const urlStore = transaction.objectStore(URL_STORE_NAME);
+  const request = urlStore.get(url);
+  request.onsuccess = () => {
+    const page = request.result || { url };
+    urlStore.delete(url);
+    transaction.objectStore(SUMMARY_STORE_NAME).delete(url);
+    transaction.objectStore(EDITS_STORE_NAME).delete(url);
+
+    const keypointTexts = new Set((page.keypoints || []).map(keypoint => keypoint.text));
+    const domainRange = IDBKeyRange.only(getRecordDomain(page));
+    transaction.objectStore(STORE_NAME).index('domain').openCursor(domainRange).onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+      const entry = cursor.value;
+      const isOfPage = entry.url === undefined
+        ? entry.keypoints.some(keypoint => keypointTexts.has(typeof keypoint === 'string' ? keypoint : keypoint.text))
+        : entry.url === url;
+      if (isOfPage) {
+        cursor.delete();
+      }
+      cursor.continue();
+    };
+  };
+
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => {
+      db.close();
+      resolve();
+    };
+    transaction.onerror = (event) => {
+      console.error('Failed to delete the library page:', event.target.error);
+      db.close();
+      reject(event.target.error);
+    };
+  });
+}
+
+// the stores covered by a backup, the statistics are left out
+const BACKUP_STORE_NAMES = [STORE_NAME, URL_STORE_NAME, AUTO_DOMAIN_STORE, SUMMARY_STORE_NAME, EDITS_STORE_NAME];
+
+/**
+ * Read every record of the stores covered by a backup
+ * @returns {Promise<Object<string, Array<object>>>} The records of each store, by store name
+ */
+async function exportCacheData() {
+  const db = await openDatabase();
+  const transaction = db.transaction(BACKUP_STORE_NAMES, 'readonly');
+  const data = {};
+
+  for (const storeName of BACKUP_STORE_NAMES) {
+    const request = transaction.objectStore(storeName).getAll();
+    request.onsuccess = () => {
+      data[storeName] = request.result;
+    };
+  }
+
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(data);
+    };
+    transaction.onerror = (event) => {
+      console.error('Failed to export the cache:', event.target.error);
+      db.close();
+      reject(event.target.error);
+    };
+  });
+}
+
+/**
+ * Write records to the stores covered by a backup, in a single transaction so a failed import changes nothing.
+ * When merging, a record replaces an existing one only if it is newer.
+ * @param {Object<string, Array<object>>} data The records of each store, by store name
+ * @param {boolean} [replace] Whether to empty the stores first instead of merging
+ * @returns {Promise<number>} The number of imported records
+ */
+async function importCacheData(data, replace) {
+  const storeNames = BACKUP_STORE_NAMES
+    .filter(storeName => replace || (Array.isArray(data[storeName]) && data[storeName].length > 0));
+  if (storeNames.length === 0) return 0;
+
+  const db = await openDatabase();
+  const transaction = db.transaction(storeNames, 'readwrite');
+  let imported = 0;
+
+  for (const storeName of storeNames) {
+    const store = transaction.objectStore(storeName);
+    // highlight entries need a last access time to be found by the eviction
+    const prepareRecord = record => storeName === STORE_NAME ? { lastAccess: record.timestamp, ...record } : record;
+
+    if (replace) {
+      store.clear();
+      for (const record of data[storeName] || []) {
+        store.put(prepareRecord(record));
+        imported++;
+      }
+      continue;
+    }
+
+    for (const record of data[storeName]) {
+      // keys are built from the record, so the existing record can be looked up before writing
+      const keyPath = store.keyPath;
+      const key = Array.isArray(keyPath) ? keyPath.map(path => record[path]) : record[keyPath];
+      const request = store.get(key);
+      request.onsuccess = (event) => {
+        const existing = event.target.result;
+        if (!existing || (record.timestamp || 0) > (existing.timestamp || 0)) {
+          store.put(prepareRecord(record));
+          imported++;
+        }
+      };
+    }
+  }
+
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(imported);
+    };
+    transaction.onerror = (event) => {
+      console.error('Failed to import the cache:', event.target.error);
+      db.close();
+      reject(event.target.error);
+    };
+  });
+}
+
+// whether a record of a legacy database belongs to the given domain, by its domain or the host of its URL
+function isRecordOfDomain(record, domain) {
+  return !!record && typeof record === 'object' && getRecordDomain(record) === domain;
+}
+
+/**
+ * Import the cache a content script kept in the database of a website's origin, before the cache moved to the extension.
+ * Only records of the website's domain are imported, and a record replaces an existing one only if it is newer.
+ * @param {string} domain The domain of the website the legacy cache comes from
+ * @param {Object<string, Array<object>>} data The records of each store, by store name
+ * @returns {Promise<number>} The number of imported records
+ */
+function importLegacyCache(domain, data) {
+  const records = {};
+  for (const storeName of BACKUP_STORE_NAMES) {
+    records[storeName] = (Array.isArray(data[storeName]) ? data[storeName] : [])
+      .filter(record => isRecordOfDomain(record, domain));
+  }
+  return importCacheData(records, false);
+}
+
+// mount the functions to the global object
+self.IntelliReadCacheStore.checkCache = checkCache;
+self.IntelliReadCacheStore.cacheAnalysisResult = cacheAnalysisResult;
+self.IntelliReadCacheStore.hasUrlBeenHighlighted = hasUrlBeenHighlighted;
+self.IntelliReadCacheStore.setDomainAutoHighlight = setDomainAutoHighlight;
+self.IntelliReadCacheStore.isDomainAutoHighlightEnabled = isDomainAutoHighlightEnabled;
+self.IntelliReadCacheStore.clearDomainCache = clearDomainCache;
+self.IntelliReadCacheStore.clearExpiredCache = clearExpiredCache;
+self.IntelliReadCacheStore.enforceCacheLimits = enforceCacheLimits;
+self.IntelliReadCacheStore.getCacheStatistics = getCacheStatistics;
+self.IntelliReadCacheStore.savePageSummary = savePageSummary;
+self.IntelliReadCacheStore.getPageSummary = getPageSummary;
+self.IntelliReadCacheStore.saveHighlightEdits = saveHighlightEdits;
+self.IntelliReadCacheStore.getHighlightEdits = getHighlightEdits;
+self.IntelliReadCacheStore.saveLibraryPage = saveLibraryPage;
+self.IntelliReadCacheStore.getLibraryPages = getLibraryPages;
+self.IntelliReadCacheStore.deleteLibraryPage = deleteLibraryPage;
+self.IntelliReadCacheStore.importLegacyCache = importLegacyCache;
+self.IntelliReadCacheStore.exportCacheData = exportCacheData;
+self.IntelliReadCacheStore.importCacheData = importCacheData;
@@ -1,232 +1,159 @@
 /**
- * IntelliRead Cache System
- * Use IndexedDB to build a cache system for highlights, using the domain as the index, and hash the content to check if the cache has matching data.
+ * IntelliRead Cache Client
+ * The cache lives in the extension origin and is owned by the background service worker (cache-store.js),
+ * so it is shared by every site and survives clearing a site's data. This script forwards the cache calls
+ * of the content scripts for the current page, and moves the cache older versions kept in the website's own origin.
+ * The service worker adds the url and domain of the tab to every call, a page cannot reach the cache of other sites.
+ * Extension pages load this script for sendCacheMessage only, the migration is for the origins of websites.
  */
 
 // create a global object for IntelliReadCache
 window.IntelliReadCache = {};
 
-// database name and version
-const DB_NAME = 'intelliread-cache';
-const DB_VERSION = 3; // Increased version for new schema
-const STORE_NAME = 'highlights';
-const URL_STORE_NAME = 'highlighted_urls'; // Store for highlighted URLs
-const AUTO_DOMAIN_STORE = 'auto_highlight_domains'; // New store for domains with auto-highlight enabled
+// the database older versions created in the origin of every website, and its stores
+const LEGACY_DB_NAME = 'intelliread-cache';
+const LEGACY_STORE_NAMES = ['highlights', 'highlighted_urls', 'auto_highlight_domains', 'page_summaries', 'highlight_edits'];
 
-// cache expiration time (milliseconds), default 30 days
-const CACHE_EXPIRATION = 30 * 24 * 60 * 60 * 1000;
-
-// Listen for cache cleanup event
-document.addEventListener('intelliread-cleanup-cache', () => {
-  console.log('Received cleanup event, clearing expired cache entries');
-  clearExpiredCache().catch(error => {
-    console.error('Failed to clear expired cache from event:', error);
-  });
-});
+// the migration of the legacy cache of this origin, cache calls wait for it
+let legacyCacheMigration = null;
 
 /**
- * Initialize or open the IndexedDB database
- * @returns {Promise<IDBDatabase>} Returns the opened database connection
+ * Send a call to the cache store of the background service worker
+ * @param {string} method The cache store function
+ * @param {Array} args The function arguments
+ * @returns {Promise<*>} The function result
  */
-function openDatabase() {
+function sendCacheMessage(method, args) {
   return new Promise((resolve, reject) => {
-    const request = indexedDB.open(DB_NAME, DB_VERSION);
-
-    request.onerror = (event) => {
-      console.error('Failed to open the database:', event.target.error);
-      reject(event.target.error);
-    };
-
-    request.onsuccess = (event) => {
-      const db = event.target.result;
-      resolve(db);
-    };
-
-    request.onupgradeneeded = (event) => {
-      const db = event.target.result;
-      
-      // if the storage object does not exist, create it
-      if (!db.objectStoreNames.contains(STORE_NAME)) {
-        // create a storage object with the domain and content hash as the composite key
-        const store = db.createObjectStore(STORE_NAME, { keyPath: ['domain', 'contentHash'] });
-        
-        // create an index for the domain, for quick lookup
-        store.createIndex('domain', 'domain', { unique: false });
-        
-        // add a timestamp index, for clearing expired cache
-        store.createIndex('timestamp', 'timestamp', { unique: false });
-      }
-      
-      // Create a store for highlighted URLs if it doesn't exist
-      if (!db.objectStoreNames.contains(URL_STORE_NAME)) {
-        const urlStore = db.createObjectStore(URL_STORE_NAME, { keyPath: 'url' });
-        urlStore.createIndex('timestamp', 'timestamp', { unique: false });
-      }
-      
-      // Create a store for domains with auto-highlight enabled
-      if (!db.objectStoreNames.contains(AUTO_DOMAIN_STORE)) {
-        db.createObjectStore(AUTO_DOMAIN_STORE, { keyPath: 'domain' });
+    chrome.runtime.sendMessage({ action: 'cacheRequest', method, args }, (response) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else if (!response || !response.success) {
+        reject(new Error(response ? response.error : 'No response from the cache'));
+      } else {
+        resolve(response.result);
       }
-    };
+    });
   });
 }
 
 /**
- * Calculate the hash value of a string
- * @param {string} content The content to hash
- * @returns {Promise<string>} Returns the hash value
+ * Call the cache store once the legacy cache of this origin is migrated
+ * @param {string} method The cache store function
+ * @param {...*} args The function arguments
+ * @returns {Promise<*>} The function result
  */
-async function calculateHash(content) {
-  // use the modern Web API to calculate the hash value
-  const encoder = new TextEncoder();
-  const data = encoder.encode(content);
-  const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-  
-  // convert the hash buffer to a hexadecimal string
-  const hashArray = Array.from(new Uint8Array(hashBuffer));
-  const hashHex = hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-  
-  return hashHex;
+async function sendCacheRequest(method, ...args) {
+  await migrateLegacyCache();
+  return sendCacheMessage(method, args);
 }
 
 /**
- * Get the current page's domain
- * @returns {string} The current page's domain
+ * Read every record of a store of the legacy database
+ * @param {IDBDatabase} db The legacy database
+ * @param {string} storeName The store name
+ * @returns {Promise<Array<object>>} The records, empty if the store does not exist
  */
-function getCurrentDomain() {
-  return window.location.hostname;
+function readLegacyStore(db, storeName) {
+  if (!db.objectStoreNames.contains(storeName)) {
+    return Promise.resolve([]);
+  }
+
+  return new Promise((resolve, reject) => {
+    const request = db.transaction(storeName, 'readonly').objectStore(storeName).getAll();
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = (event) => reject(event.target.error);
+  });
 }
 
 /**
- * Get the current page's full URL
- * @returns {string} The current page's full URL
+ * Read the legacy cache of this origin
+ * @returns {Promise<Object<string, Array<object>>|null>} The records of each store, or null if there is no legacy cache
  */
-function getCurrentUrl() {
-  return window.location.href;
+async function readLegacyCache() {
+  // listing the databases avoids creating an empty legacy database on every site
+  if (!indexedDB.databases) return null;
+  const databases = await indexedDB.databases();
+  if (!databases.some(database => database.name === LEGACY_DB_NAME)) return null;
+
+  const db = await new Promise((resolve, reject) => {
+    const request = indexedDB.open(LEGACY_DB_NAME);
+    request.onsuccess = (event) => resolve(event.target.result);
+    request.onerror = (event) => reject(event.target.error);
+  });
+
+  try {
+    const data = {};
+    for (const storeName of LEGACY_STORE_NAMES) {
+      data[storeName] = await readLegacyStore(db, storeName);
+    }
+    return data;
+  } finally {
+    db.close();
+  }
+}
+
+// delete the legacy database of this origin
+function deleteLegacyDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.deleteDatabase(LEGACY_DB_NAME);
+    request.onsuccess = () => resolve();
+    request.onerror = (event) => reject(event.target.error);
+  });
 }
 
 /**
- * Save data to the cache
- * @param {string} contentHash The content hash
- * @param {Array<string>} keypoints The highlights keypoints array
- * @returns {Promise<void>}
+ * Move the legacy cache of this origin to the cache store once, the legacy database is deleted only after the import succeeded
+ * @returns {Promise<void>} Resolves when done, a failed migration is retried on the next page load
  */
-async function saveToCache(contentHash, keypoints) {
-  try {
-    const domain = getCurrentDomain();
-    const db = await openDatabase();
-    
-    const transaction = db.transaction(STORE_NAME, 'readwrite');
-    const store = transaction.objectStore(STORE_NAME);
-    
-    const cacheData = {
-      domain,
-      contentHash,
-      keypoints,
-      timestamp: Date.now()
-    };
-    
-    return new Promise((resolve, reject) => {
-      const request = store.put(cacheData);
-      
-      request.onsuccess = () => {
-        resolve();
-      };
-      
-      request.onerror = (event) => {
-        console.error('Failed to save to the cache:', event.target.error);
-        reject(event.target.error);
-      };
+function migrateLegacyCache() {
+  if (!legacyCacheMigration) {
+    legacyCacheMigration = (async () => {
+      try {
+        const data = await readLegacyCache();
+        if (!data) return;
 
-      transaction.oncomplete = () => {
-        db.close();
-      };
-    });
-  } catch (error) {
-    console.error('Failed to save to the cache:', error);
-    throw error;
+        const imported = await sendCacheMessage('importLegacyCache', [data]);
+        await deleteLegacyDatabase();
+        console.log(`Migrated ${imported} legacy cache entries of ${window.location.hostname}`);
+      } catch (error) {
+        console.error('Failed to migrate the legacy cache:', error);
+      }
+    })();
   }
+  return legacyCacheMigration;
 }
 
 /**
- * Get data from the cache
- * @param {string} contentHash The content hash
- * @returns {Promise<Array<string>|null>} If the cache hits, return the keypoints array; otherwise return null
+ * Check if the analysis content is in the cache, if it is, return the cached keypoints, otherwise return null
+ * @param {string} content The content to analyze
+ * @param {string} [promptKey] The prompt profile key, entries of other profiles are not returned
+ * @param {string} [fingerprint] The provider, model and prompt rules the keypoints should be made with
+ * @param {boolean} [allowOtherFingerprints] Whether entries made with another fingerprint are returned too
+ * @returns {Promise<Array<string|object>|null>} The cached keypoints array or null, entries cached before categories are plain strings
  */
-async function getFromCache(contentHash) {
+async function checkCache(content, promptKey, fingerprint, allowOtherFingerprints) {
   try {
-    const domain = getCurrentDomain();
-    const db = await openDatabase();
-    
-    const transaction = db.transaction(STORE_NAME, 'readonly');
-    const store = transaction.objectStore(STORE_NAME);
-    
-    return new Promise((resolve, reject) => {
-      const request = store.get([domain, contentHash]);
-      
-      request.onsuccess = (event) => {
-        const result = event.target.result;
-        
-        if (result && (Date.now() - result.timestamp < CACHE_EXPIRATION)) {
-          // cache hits and not expired
-          resolve(result.keypoints);
-        } else {
-          // cache not hit or expired
-          resolve(null);
-        }
-      };
-      
-      request.onerror = (event) => {
-        console.error('Failed to get data from the cache:', event.target.error);
-        reject(event.target.error);
-      };
-
-      transaction.oncomplete = () => {
-        db.close();
-      };
-    });
+    return await sendCacheRequest('checkCache', content, promptKey, fingerprint, allowOtherFingerprints);
   } catch (error) {
-    console.error('Failed to get data from the cache:', error);
+    console.error('Failed to check cache:', error);
     return null;
   }
 }
 
 /**
- * Save the current URL to the highlighted URLs store
+ * Save the analysis result to the cache
+ * @param {string} content The original content
+ * @param {Array<{text: string, category: string}>} keypoints The keypoints array analyzed, with their category
+ * @param {string} [promptKey] The prompt profile key the keypoints were made with
+ * @param {string} [fingerprint] The provider, model and prompt rules the keypoints were made with
  * @returns {Promise<void>}
  */
-async function saveHighlightedUrl() {
+async function cacheAnalysisResult(content, keypoints, promptKey, fingerprint) {
   try {
-    const url = getCurrentUrl();
-    const db = await openDatabase();
-    
-    const transaction = db.transaction(URL_STORE_NAME, 'readwrite');
-    const store = transaction.objectStore(URL_STORE_NAME);
-    
-    const urlData = {
-      url,
-      timestamp: Date.now()
-    };
-    
-    return new Promise((resolve, reject) => {
-      const request = store.put(urlData);
-      
-      request.onsuccess = () => {
-        resolve();
-      };
-      
-      request.onerror = (event) => {
-        console.error('Failed to save highlighted URL:', event.target.error);
-        reject(event.target.error);
-      };
-
-      transaction.oncomplete = () => {
-        db.close();
-      };
-    });
+    await sendCacheRequest('cacheAnalysisResult', content, keypoints, promptKey, fingerprint);
   } catch (error) {
-    console.error('Failed to save highlighted URL:', error);
-    throw error;
+    console.error('Failed to cache the analysis result:', error);
   }
 }
 
@@ -236,29 +163,7 @@ async function saveHighlightedUrl() {
  */
 async function hasUrlBeenHighlighted() {
   try {
-    const url = getCurrentUrl();
-    const db = await openDatabase();
-    
-    const transaction = db.transaction(URL_STORE_NAME, 'readonly');
-    const store = transaction.objectStore(URL_STORE_NAME);
-    
-    return new Promise((resolve, reject) => {
-      const request = store.get(url);
-      
-      request.onsuccess = (event) => {
-        const result = event.target.result;
-        resolve(!!result); // Convert to boolean
-      };
-      
-      request.onerror = (event) => {
-        console.error('Failed to check highlighted URL:', event.target.error);
-        reject(event.target.error);
-      };
-
-      transaction.oncomplete = () => {
-        db.close();
-      };
-    });
+    return await sendCacheRequest('hasUrlBeenHighlighted');
   } catch (error) {
     console.error('Failed to check highlighted URL:', error);
     return false;
@@ -270,56 +175,8 @@ async function hasUrlBeenHighlighted() {
  * @param {boolean} enabled Whether to enable or disable auto-highlight
  * @returns {Promise<void>}
  */
-async function setDomainAutoHighlight(enabled) {
-  try {
-    const domain = getCurrentDomain();
-    const db = await openDatabase();
-    
-    const transaction = db.transaction(AUTO_DOMAIN_STORE, 'readwrite');
-    const store = transaction.objectStore(AUTO_DOMAIN_STORE);
-    
-    return new Promise((resolve, reject) => {
-      if (enabled) {
-        // Add domain to auto-highlight list
-        const domainData = {
-          domain,
-          timestamp: Date.now()
-        };
-        
-        const request = store.put(domainData);
-        
-        request.onsuccess = () => {
-          console.log(`Auto-highlight enabled for domain: ${domain}`);
-          resolve();
-        };
-        
-        request.onerror = (event) => {
-          console.error('Failed to enable auto-highlight for domain:', event.target.error);
-          reject(event.target.error);
-        };
-      } else {
-        // Remove domain from auto-highlight list
-        const request = store.delete(domain);
-        
-        request.onsuccess = () => {
-          console.log(`Auto-highlight disabled for domain: ${domain}`);
-          resolve();
-        };
-        
-        request.onerror = (event) => {
-          console.error('Failed to disable auto-highlight for domain:', event.target.error);
-          reject(event.target.error);
-        };
-      }
-      
-      transaction.oncomplete = () => {
-        db.close();
-      };
-    });
-  } catch (error) {
-    console.error('Failed to set domain auto-highlight:', error);
-    throw error;
-  }
+function setDomainAutoHighlight(enabled) {
+  return sendCacheRequest('setDomainAutoHighlight', enabled);
 }
 
 /**
@@ -328,29 +185,7 @@ async function setDomainAutoHighlight(enabled) {
  */
 async function isDomainAutoHighlightEnabled() {
   try {
-    const domain = getCurrentDomain();
-    const db = await openDatabase();
-    
-    const transaction = db.transaction(AUTO_DOMAIN_STORE, 'readonly');
-    const store = transaction.objectStore(AUTO_DOMAIN_STORE);
-    
-    return new Promise((resolve, reject) => {
-      const request = store.get(domain);
-      
-      request.onsuccess = (event) => {
-        const result = event.target.result;
-        resolve(!!result); // Convert to boolean
-      };
-      
-      request.onerror = (event) => {
-        console.error('Failed to check domain auto-highlight:', event.target.error);
-        reject(event.target.error);
-      };
-
-      transaction.oncomplete = () => {
-        db.close();
-      };
-    });
+    return await sendCacheRequest('isDomainAutoHighlightEnabled');
   } catch (error) {
     console.error('Failed to check domain auto-highlight:', error);
     return false;
@@ -358,193 +193,70 @@ async function isDomainAutoHighlightEnabled() {
 }
 
 /**
- * Clear expired cache entries from both stores
- * @returns {Promise<void>}
+ * Clear all cache entries for the current domain
+ * @returns {Promise<boolean>} Returns true if the entries were cleared
  */
-async function clearExpiredCache() {
+async function clearDomainCache() {
   try {
-    const db = await openDatabase();
-    const expirationTime = Date.now() - CACHE_EXPIRATION;
-    
-    // Clear expired highlight cache
-    const highlightTransaction = db.transaction(STORE_NAME, 'readwrite');
-    const highlightStore = highlightTransaction.objectStore(STORE_NAME);
-    const highlightIndex = highlightStore.index('timestamp');
-    const highlightRange = IDBKeyRange.upperBound(expirationTime);
-    
-    await new Promise((resolve, reject) => {
-      const request = highlightIndex.openCursor(highlightRange);
-      
-      request.onsuccess = (event) => {
-        const cursor = event.target.result;
-        if (cursor) {
-          cursor.delete();
-          cursor.continue();
-        }
-      };
-      
-      request.onerror = (event) => {
-        console.error('Failed to clear expired highlight cache:', event.target.error);
-        reject(event.target.error);
-      };
-      
-      highlightTransaction.oncomplete = () => {
-        resolve();
-      };
-    });
-    
-    // Clear expired URL cache
-    const urlTransaction = db.transaction(URL_STORE_NAME, 'readwrite');
-    const urlStore = urlTransaction.objectStore(URL_STORE_NAME);
-    const urlIndex = urlStore.index('timestamp');
-    const urlRange = IDBKeyRange.upperBound(expirationTime);
-    
-    await new Promise((resolve, reject) => {
-      const request = urlIndex.openCursor(urlRange);
-      
-      request.onsuccess = (event) => {
-        const cursor = event.target.result;
-        if (cursor) {
-          cursor.delete();
-          cursor.continue();
-        }
-      };
-      
-      request.onerror = (event) => {
-        console.error('Failed to clear expired URL cache:', event.target.error);
-        reject(event.target.error);
-      };
-      
-      urlTransaction.oncomplete = () => {
-        db.close();
-        resolve();
-      };
-    });
+    return await sendCacheRequest('clearDomainCache');
   } catch (error) {
-    console.error('Failed to clear expired cache:', error);
-    throw error;
+    console.error('Failed to clear domain cache:', error);
+    return false;
   }
 }
 
 /**
- * Check if the analysis content is in the cache, if it is, return the cached keypoints, otherwise return null
- * @param {string} content The content to analyze
- * @returns {Promise<Array<string>|null>} The cached keypoints array or null
+ * Save the summary of the current page
+ * @param {Array<{text: string, paragraph: number, anchor: string}>} points The summary bullet points
+ * @returns {Promise<void>}
  */
-async function checkCache(content) {
+function savePageSummary(points) {
+  return sendCacheRequest('savePageSummary', points);
+}
+
+/**
+ * Get the cached summary of the current page
+ * @returns {Promise<Array<{text: string, paragraph: number, anchor: string}>|null>} The summary bullet points, or null if there is none or it expired
+ */
+async function getPageSummary() {
   try {
-    // calculate the content hash
-    const contentHash = await calculateHash(content);
-    
-    // get data from the cache
-    const cachedData = await getFromCache(contentHash);
-    
-    return cachedData;
+    return await sendCacheRequest('getPageSummary');
   } catch (error) {
-    console.error('Failed to check cache:', error);
+    console.error('Failed to get page summary:', error);
     return null;
   }
 }
 
 /**
- * Save the analysis result to the cache
- * @param {string} content The original content
- * @param {Array<string>} keypoints The keypoints array analyzed
+ * Save the reader's highlight edits of the current page
+ * @param {HighlightEdits} edits The added and removed highlights
  * @returns {Promise<void>}
  */
-async function cacheAnalysisResult(content, keypoints) {
+function saveHighlightEdits(edits) {
+  return sendCacheRequest('saveHighlightEdits', edits);
+}
+
+/**
+ * Get the reader's highlight edits of the current page, they do not expire like the cache
+ * @returns {Promise<HighlightEdits>} The added and removed highlights, empty if there are none
+ */
+async function getHighlightEdits() {
   try {
-    // calculate the content hash
-    const contentHash = await calculateHash(content);
-    
-    // save to the cache
-    await saveToCache(contentHash, keypoints);
-    
-    // Save the current URL as a highlighted URL
-    await saveHighlightedUrl();
-    
-    // clear expired cache periodically
-    clearExpiredCache().catch(console.error);
+    return await sendCacheRequest('getHighlightEdits');
   } catch (error) {
-    console.error('Failed to cache the analysis result:', error);
+    console.error('Failed to get highlight edits:', error);
+    return { added: [], removed: [] };
   }
 }
 
 /**
- * Clear all cache entries for the current domain
+ * Record the title and the highlighted keypoints of the current page in the library
+ * @param {string} title The page title
+ * @param {Array<{text: string, category?: string, rationale?: string, source: string}>} keypoints The highlighted keypoints, empty removes the page from the library
  * @returns {Promise<void>}
  */
-async function clearDomainCache() {
-  try {
-    const domain = getCurrentDomain();
-    const db = await openDatabase();
-    
-    // Clear highlight cache for this domain
-    const highlightTransaction = db.transaction(STORE_NAME, 'readwrite');
-    const highlightStore = highlightTransaction.objectStore(STORE_NAME);
-    const highlightIndex = highlightStore.index('domain');
-    const domainRange = IDBKeyRange.only(domain);
-    
-    await new Promise((resolve, reject) => {
-      const request = highlightIndex.openCursor(domainRange);
-      
-      request.onsuccess = (event) => {
-        const cursor = event.target.result;
-        if (cursor) {
-          cursor.delete();
-          cursor.continue();
-        }
-      };
-      
-      request.onerror = (event) => {
-        console.error('Failed to clear domain highlight cache:', event.target.error);
-        reject(event.target.error);
-      };
-      
-      highlightTransaction.oncomplete = () => {
-        resolve();
-      };
-    });
-    
-    // Clear highlighted URLs for this domain
-    const urlTransaction = db.transaction(URL_STORE_NAME, 'readwrite');
-    const urlStore = urlTransaction.objectStore(URL_STORE_NAME);
-    
-    await new Promise((resolve, reject) => {
-      const request = urlStore.openCursor();
-      
-      request.onsuccess = (event) => {
-        const cursor = event.target.result;
-        if (cursor) {
-          const url = cursor.value.url;
-          try {
-            const urlObj = new URL(url);
-            if (urlObj.hostname === domain) {
-              cursor.delete();
-            }
-          } catch (error) {
-            console.error('Invalid URL in cache:', url);
-          }
-          cursor.continue();
-        }
-      };
-      
-      request.onerror = (event) => {
-        console.error('Failed to clear domain URL cache:', event.target.error);
-        reject(event.target.error);
-      };
-      
-      urlTransaction.oncomplete = () => {
-        db.close();
-        resolve();
-      };
-    });
-    
-    return true;
-  } catch (error) {
-    console.error('Failed to clear domain cache:', error);
-    return false;
-  }
+function saveLibraryPage(title, keypoints) {
+  return sendCacheRequest('saveLibraryPage', title, keypoints);
 }
 
 // mount the functions to the global object
@@ -554,3 +266,9 @@ window.IntelliReadCache.hasUrlBeenHighlighted = hasUrlBeenHighlighted;
 window.IntelliReadCache.setDomainAutoHighlight = setDomainAutoHighlight;
 window.IntelliReadCache.isDomainAutoHighlightEnabled = isDomainAutoHighlightEnabled;
 window.IntelliReadCache.clearDomainCache = clearDomainCache;
+window.IntelliReadCache.savePageSummary = savePageSummary;
+window.IntelliReadCache.getPageSummary = getPageSummary;
+window.IntelliReadCache.saveHighlightEdits = saveHighlightEdits;
+window.IntelliReadCache.getHighlightEdits = getHighlightEdits;
+window.IntelliReadCache.saveLibraryPage = saveLibraryPage;
+window.IntelliReadCache.sendCacheMessage = sendCacheMessage;
@@ -0,0 +1,64 @@
+/**
+ * IntelliRead Highlight Categories
+ * The categories the model can assign to a keypoint, with their default highlight styles.
+ * Shared by the content scripts, the options page and the popup.
+ */
+
+// create a global object for IntelliReadCategories
+window.IntelliReadCategories = {};
+
+/**
+ * @typedef {object} CategoryStyle
+ * @property {string} color - The highlight color.
+ * @property {string} style - The highlight style: background, underline or dashed.
+ */
+
+// category ids in the order they are shown, the label of each is the `category_<id>` message
+const HIGHLIGHT_CATEGORIES = ['claim', 'definition', 'figure', 'entity', 'action'];
+
+/** @type {Object<string, CategoryStyle>} */
+const DEFAULT_CATEGORY_STYLES = {
+  claim: { color: '#FFD966', style: 'background' },
+  definition: { color: '#ADD8E6', style: 'background' },
+  figure: { color: '#B6E3B6', style: 'background' },
+  entity: { color: '#C39BD3', style: 'underline' },
+  action: { color: '#E74C3C', style: 'dashed' }
+};
+
+// what each category means, used to explain the categories to the model
+const CATEGORY_DESCRIPTIONS = {
+  claim: 'a core claim or conclusion',
+  definition: 'a definition of a term or concept',
+  figure: 'a figure, date or statistic',
+  entity: 'a named person, organization, place or product',
+  action: 'an action item, instruction or recommendation'
+};
+
+/**
+ * Merge the saved category styles over the defaults
+ * @param {Object<string, CategoryStyle>} [savedStyles] The category styles from settings
+ * @returns {Object<string, CategoryStyle>} The style of every category
+ */
+function getCategoryStyles(savedStyles) {
+  const styles = {};
+  for (const category of HIGHLIGHT_CATEGORIES) {
+    styles[category] = { ...DEFAULT_CATEGORY_STYLES[category], ...((savedStyles || {})[category]) };
+  }
+  return styles;
+}
+
+/**
+ * Check if a value is a known category id
+ * @param {string} category The value to check
+ * @returns {boolean} Returns true for a known category
+ */
+function isHighlightCategory(category) {
+  return HIGHLIGHT_CATEGORIES.includes(category);
+}
+
+// mount the functions to the global object
+window.IntelliReadCategories.HIGHLIGHT_CATEGORIES = HIGHLIGHT_CATEGORIES;
+window.IntelliReadCategories.DEFAULT_CATEGORY_STYLES = DEFAULT_CATEGORY_STYLES;
+window.IntelliReadCategories.CATEGORY_DESCRIPTIONS = CATEGORY_DESCRIPTIONS;
+window.IntelliReadCategories.getCategoryStyles = getCategoryStyles;
+window.IntelliReadCategories.isHighlightCategory = isHighlightCategory;
@@ -1,4 +1,60 @@
 const HIGHLIGHT_CLASS = 'intelliread-highlight';
+const DEFAULT_BATCH_CHAR_BUDGET = 4000;
+
+// the analysis running on this page, null when idle
+let currentAnalysis = null;
+
+// elements that were already analyzed, so incremental runs only pick up new content
+let processedElements = new WeakSet();
+
+// wait this long after the last DOM change before analyzing new content, but never longer than the max wait
+const INCREMENTAL_DEBOUNCE_MS = 1000;
+const INCREMENTAL_MAX_WAIT_MS = 5000;
+
+// the watcher for content inserted after the initial analysis, null when not watching
+let contentWatcher = null;
+
+// in viewport mode, paragraphs within this margin around the viewport are analyzed, and this many at a time
+const VIEWPORT_ROOT_MARGIN = '100% 0px';
+const VIEWPORT_CHUNK_SIZE = 5;
+
+// the paragraphs waiting to scroll into view in viewport mode, null when idle
+let viewportAnalysis = null;
+
+// bump when the built-in prompt rules or the output format change, so keypoints made with the old prompt are not reused
+const PROMPT_RULES_VERSION = 2;
+
+// the reply to a manual analysis the reader cancelled because the budget is used up
+const BUDGET_DECLINED_RESPONSE = { success: false, cancelled: true, message: 'Cancelled, the spending budget is used up' };
+
+// set on paragraphs whose analysis failed, with the error message
+const FAILED_PARAGRAPH_ATTRIBUTE = 'data-intelliread-failed';
+
+// how much of an invalid response is quoted back to the model when asking for a correction
+const MAX_RETRY_RESPONSE_LENGTH = 2000;
+
+// the article text sent for a summary is cut at this many characters, and each summary point keeps this much of its paragraph as anchor
+const SUMMARY_CHAR_BUDGET = 12000;
+const SUMMARY_ANCHOR_LENGTH = 60;
+
+// the minimap is redrawn this long after the last highlight change, highlights often come in bursts
+const MINIMAP_REFRESH_DELAY_MS = 300;
+let minimapRefreshTimer = null;
+
+// manual highlights are made inside the closest of these around the selection, and found again by the start of its text
+const MANUAL_BLOCK_SELECTOR = 'p, li, blockquote, dd, dt, td, th, h1, h2, h3, h4, h5, h6, figcaption, div';
+const EDIT_ANCHOR_LENGTH = 60;
+
+// the highlights the reader added or removed on the current URL, null until loaded
+let highlightEdits = null;
+
+// record the highlights of the page in the library once the current burst of highlight changes is done
+const LIBRARY_RECORD_DELAY_MS = 2000;
+let libraryRecordTimer = null;
+
+// the reader can remove any highlight with the remove control, and rate the model's highlights
+window.IntelliReadEditor.setRemoveHandler(removeHighlightByReader);
+window.IntelliReadEditor.setFeedbackHandler(giveHighlightFeedback);
 
 // Listen for page load to check if the URL has been highlighted before
 document.addEventListener('DOMContentLoaded', () => {
@@ -18,15 +74,35 @@ async function checkAndAutoHighlight() {
       return;
     }
     
+    // Restore the highlights the reader added by hand, they are kept with or without an analysis
+    const settings = await getSettings();
+    await applyManualHighlights(settings);
+    
+    // A blocking site rule wins over every other reason to analyze
+    const siteRules = getSiteRules(settings);
+    if (siteRules.blocked) {
+      console.log('Analysis is blocked on this page by a site rule');
+      return;
+    }
+    
     // Check if this exact URL has been highlighted before
     const wasUrlHighlighted = await window.IntelliReadCache.hasUrlBeenHighlighted();
     
     // Check if auto-highlight is enabled for this domain
     const isDomainAutoHighlightEnabled = await window.IntelliReadCache.isDomainAutoHighlightEnabled();
     
-    // Apply highlights if the URL was highlighted before or if auto-highlight is enabled for this domain
-    if (wasUrlHighlighted || isDomainAutoHighlightEnabled) {
-      let reason = wasUrlHighlighted ? 'URL was previously highlighted' : 'Auto-highlight is enabled for this domain';
+    // Apply highlights if the URL was highlighted before, if auto-highlight is enabled for this domain, or a site rule asks for it
+    if (wasUrlHighlighted || isDomainAutoHighlightEnabled || siteRules.autoHighlight) {
+      let reason = wasUrlHighlighted
+        ? 'URL was previously highlighted'
+        : isDomainAutoHighlightEnabled ? 'Auto-highlight is enabled for this domain' : 'A site rule enables auto-highlight';
+      // Automatic analyses stop once a spending budget is used up
+      const budget = await checkBudget();
+      if (budget.exceeded) {
+        console.log(`Auto-highlight paused, the ${budget.period} budget is used up`);
+        return;
+      }
+
       console.log(`Applying highlights automatically. Reason: ${reason}`);
       
       // Automatically analyze the page content
@@ -45,26 +121,56 @@ async function checkAndAutoHighlight() {
 
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === 'analyzeContent') {
-    analyzePageContent().then(response => {
+    confirmOverBudget(request.budgetConfirmed).then(confirmed => {
+      return confirmed ? analyzePageContent({ ignoreCache: request.ignoreCache }) : BUDGET_DECLINED_RESPONSE;
+    }).then(response => {
+      sendResponse(response);
+    }).catch(error => {
+      sendResponse({ success: false, message: error.message });
+    });
+    return true;
+  } else if (request.action === 'summarizePage') {
+    confirmOverBudget(request.budgetConfirmed).then(confirmed => {
+      return confirmed ? summarizePage() : BUDGET_DECLINED_RESPONSE;
+    }).then(response => {
       sendResponse(response);
     }).catch(error => {
       sendResponse({ success: false, message: error.message });
     });
     return true;
+  } else if (request.action === 'highlightSelection') {
+    highlightSelection(request.text).then(response => {
+      sendResponse(response);
+    }).catch(error => {
+      sendResponse({ success: false, message: error.message });
+    });
+    return true;
+  } else if (request.action === 'cancelAnalysis') {
+    sendResponse({ success: cancelAnalysis() });
+    return true;
+  } else if (request.action === 'getAnalysisProgress') {
+    sendResponse({ progress: currentAnalysis ? currentAnalysis.progress : null });
+    return true;
   } else if (request.action === 'clearHighlights') {
     clearHighlights();
     sendResponse({ success: true });
     return true;
-  } else if (request.action === 'cleanupCache') {
-    // Handle cache cleanup request from background script
-    if (window.IntelliReadCache) {
-      // Access clearExpiredCache through a DOM event to avoid direct function call
-      // This is a workaround since the function isn't exposed in the global object
-      const cleanupEvent = new CustomEvent('intelliread-cleanup-cache');
-      document.dispatchEvent(cleanupEvent);
-      console.log('Cache cleanup event dispatched');
+  } else if (request.action === 'nextHighlight') {
+    sendResponse({ success: window.IntelliReadNavigator.focusNextHighlight() });
+    return true;
+  } else if (request.action === 'previousHighlight') {
+    sendResponse({ success: window.IntelliReadNavigator.focusPreviousHighlight() });
+    return true;
+  } else if (request.action === 'exportHighlights') {
+    try {
+      sendResponse({ success: true, ...window.IntelliReadExporter.exportHighlights(request.format) });
+    } catch (error) {
+      console.error('Failed to export the highlights:', error);
+      sendResponse({ success: false, message: error.message });
     }
-    sendResponse({ success: true });
+    return true;
+  } else if (request.action === 'toggleHighlights') {
+    sendResponse({ visible: window.IntelliReadNavigator.toggleHighlightVisibility() });
     return true;
   } else if (request.action === 'clearDomainCache') {
     // Clear cache for current domain
@@ -118,88 +224,277 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   }
 });
 
+// remove every highlight span and restore the original text nodes
 function clearHighlights() {
-  const highlightedElements = document.querySelectorAll(`.${HIGHLIGHT_CLASS}`);
-  highlightedElements.forEach(element => {
-    element.classList.remove(HIGHLIGHT_CLASS);
-    element.style.backgroundColor = '';
+  stopContentWatcher();
+  cancelAnalysis();
+  window.IntelliReadHighlighter.clearAllHighlights();
+  clearTimeout(minimapRefreshTimer);
+  // clearing the page keeps its library entry
+  clearTimeout(libraryRecordTimer);
+  window.IntelliReadNavigator.removeMinimap();
+  window.IntelliReadNavigator.showHighlights();
+  window.IntelliReadEditor.hideRemoveControl();
+  clearFailedParagraphs();
+  processedElements = new WeakSet();
+}
+
+// check if a node was inserted by IntelliRead itself, e.g. a highlight span
+function isIntelliReadNode(node) {
+  return node.nodeType === Node.ELEMENT_NODE &&
+    (node.classList.contains(HIGHLIGHT_CLASS) || !!node.closest('[data-intelliread-ui]'));
+}
+
+/**
+ * Watch the page for inserted content and URL changes after it has been analyzed,
+ * so single-page apps and infinite-scroll feeds keep getting highlighted
+ */
+function startContentWatcher() {
+  if (contentWatcher || !document.body) return;
+
+  const watcher = {
+    url: window.location.href,
+    debounceTimer: null,
+    maxWaitTimer: null,
+    observer: null
+  };
+
+  const flush = () => {
+    clearTimeout(watcher.debounceTimer);
+    clearTimeout(watcher.maxWaitTimer);
+    watcher.debounceTimer = null;
+    watcher.maxWaitTimer = null;
+
+    // a client-side route change is handled like a new page load
+    if (window.location.href !== watcher.url) {
+      handleUrlChange();
+      return;
+    }
+
+    // wait for the running analysis, its elements are skipped by the next run
+    if (currentAnalysis) {
+      schedule();
+      return;
+    }
+
+    checkBudget().then(budget => {
+      if (budget.exceeded) {
+        console.log(`New content is not analyzed, the ${budget.period} budget is used up`);
+        return;
+      }
+      analyzePageContent().then(response => {
+        if (!response.success && response.message !== 'No content to analyze') {
+          console.error('Failed to analyze new content:', response.message);
+        }
+      });
+    });
+  };
+
+  // debounce bursts of DOM changes into a single analysis run
+  const schedule = () => {
+    clearTimeout(watcher.debounceTimer);
+    watcher.debounceTimer = setTimeout(flush, INCREMENTAL_DEBOUNCE_MS);
+    if (!watcher.maxWaitTimer) {
+      watcher.maxWaitTimer = setTimeout(flush, INCREMENTAL_MAX_WAIT_MS);
+    }
+  };
+
+  watcher.observer = new MutationObserver(mutations => {
+    const hasNewContent = mutations.some(mutation =>
+      Array.from(mutation.addedNodes).some(node =>
+        node.nodeType === Node.ELEMENT_NODE && !isIntelliReadNode(node)
+      )
+    );
+    if (hasNewContent || window.location.href !== watcher.url) {
+      schedule();
+    }
   });
+  watcher.observer.observe(document.body, { childList: true, subtree: true });
+
+  watcher.onNavigation = () => {
+    if (window.location.href !== watcher.url) {
+      schedule();
+    }
+  };
+  window.addEventListener('popstate', watcher.onNavigation);
+  window.addEventListener('hashchange', watcher.onNavigation);
+
+  contentWatcher = watcher;
+}
+
+// stop watching the page for new content
+function stopContentWatcher() {
+  if (!contentWatcher) return;
+
+  contentWatcher.observer.disconnect();
+  clearTimeout(contentWatcher.debounceTimer);
+  clearTimeout(contentWatcher.maxWaitTimer);
+  window.removeEventListener('popstate', contentWatcher.onNavigation);
+  window.removeEventListener('hashchange', contentWatcher.onNavigation);
+  contentWatcher = null;
+}
+
+// the SPA navigated to a new URL, decide again whether the new route should be highlighted
+function handleUrlChange() {
+  console.log('URL changed, checking auto-highlight for', window.location.href);
+  stopContentWatcher();
+  checkAndAutoHighlight();
 }
 
-async function analyzePageContent() {
+/**
+ * Analyze the page content and highlight the keypoints
+ * @param {{ignoreCache?: boolean}} [options] ignoreCache analyzes the whole page again and overwrites its cached keypoints
+ * @returns {Promise<{success: boolean, message: string, cancelled?: boolean}>}
+ */
+async function analyzePageContent(options = {}) {
+  if (currentAnalysis) {
+    return { success: false, message: 'Analysis already in progress' };
+  }
+
   try {
     const settings = await getSettings();
-    if (!settings.apiUrl || !settings.apiKey || !settings.modelName) {
+    if (!window.IntelliReadProviders.isConfigured(settings)) {
       return { success: false, message: 'Please config API first' };
     }
 
-    const elements = Array.from(document.querySelectorAll('p'))
-    // temporarily ignore the filter
-    // .filter(item => !isElementInIgnoredContainer(item) && !isElementVisible(item))
+    const siteRules = getSiteRules(settings);
+    if (siteRules.blocked) {
+      return { success: false, message: 'Analysis is blocked on this page by a site rule' };
+    }
+
+    // a fresh analysis starts from a clean page, the manual highlights are applied again below
+    if (options.ignoreCache) {
+      clearHighlights();
+    }
+
+    // manual highlights go first, the analysis does not highlight over them
+    await applyManualHighlights(settings);
+
+    // the keypoints the reader liked or rejected on this domain steer the analysis
+    const feedback = window.IntelliReadFeedback.getFeedbackExamples(
+      await window.IntelliReadFeedback.getDomainFeedback(window.location.hostname)
+    );
 
-    if (elements.length === 0)
+    // extract the main content blocks of the page, site rule selectors replace the generic extraction
+    const blocks = window.IntelliReadExtractor.extractTextBlocks(document, getExtractOptions(siteRules));
+
+    if (blocks.length === 0)
       return {
         success: false,
         message: 'No content to analyze'
       }
+
+    // skip the blocks analyzed by a previous run, e.g. before new content was loaded
+    const elements = blocks.filter(el => !processedElements.has(el));
+    if (elements.length === 0) {
+      startContentWatcher();
+      return { success: true, message: 'Already analyzed' };
+    }
+
+    const analysis = startAnalysis(elements.length);
+    const signal = analysis.controller.signal;
+
+    // keypoints are cached per prompt profile, so an edited template does not serve stale keypoints,
+    // and marked with the model and prompt rules they were made with
+    const promptCacheKey = getPromptCacheKey(settings);
+    const cacheFingerprint = getCacheFingerprint(settings);
     
+    // load cached keypoints for a paragraph, returns null on a cache miss
+    async function getCachedKeypoints(text) {
+      if (options.ignoreCache) return null;
+
+      // ensure IntelliReadCache is loaded
+      if (window.IntelliReadCache && window.IntelliReadCache.checkCache) {
+        const cachedKeypoints = await window.IntelliReadCache.checkCache(
+          text,
+          promptCacheKey,
+          cacheFingerprint,
+          settings.reuseCacheAcrossModels
+        );
+        return cachedKeypoints ? normalizeKeypoints(cachedKeypoints) : null;
+      }
+      return null;
+    }
+
+    // save the analysis result of a paragraph to the cache
+    async function cacheKeypoints(text, keypoints) {
+      if (keypoints && keypoints.length > 0 && window.IntelliReadCache && window.IntelliReadCache.cacheAnalysisResult) {
+        await window.IntelliReadCache.cacheAnalysisResult(text, keypoints, promptCacheKey, cacheFingerprint);
+      }
+    }
+
     // process each element with AI
     async function processElement(el) {
+      processedElements.add(el);
       const text = el.textContent;
-      if (text.length < 30) return;
       
       // check if the content is in the cache
-      let keypoints = null;
-      
-      // ensure IntelliReadCache is loaded
-      if (window.IntelliReadCache && window.IntelliReadCache.checkCache) {
-        keypoints = await window.IntelliReadCache.checkCache(text);
-      }
+      let keypoints = await getCachedKeypoints(text);
       
       // if the cache is not hit, analyze with AI
       if (!keypoints) {
-        keypoints = await analyzeWithAI(text, settings);
-        
-        // save the analysis result to the cache
-        if (keypoints && keypoints.length > 0 && window.IntelliReadCache && window.IntelliReadCache.cacheAnalysisResult) {
-          await window.IntelliReadCache.cacheAnalysisResult(text, keypoints);
+        if (signal.aborted) return;
+        try {
+          keypoints = await analyzeWithAI(text, settings, signal, feedback);
+        } catch (error) {
+          if (!signal.aborted) reportFailedParagraphs([el], error);
+          return;
         }
+        if (signal.aborted) return;
+        await cacheKeypoints(text, keypoints);
+        updateAnalysisProgress({ processed: 1 });
       } else {
         console.log('Cache hit, using cached data:', keypoints);
+        updateAnalysisProgress({ processed: 1, cached: 1 });
       }
       
-      if (keypoints.length === 0) return;
-      
-      // filter none existing keypoints
-      const filteredKeypoints = keypoints.filter(keypoint => keypoint.length > 0 && text.includes(keypoint));
-      
-      // extra filter: limit the number of keypoints
-      const limitedKeypoints = filteredKeypoints
-        .sort((a, b) => b.length - a.length) // prefer longer keypoints
-        .slice(0, 5); // limit to 5 keypoints
-      
-      // highlight the keypoints
-      for (const keypoint of limitedKeypoints) {
-        // use word boundary to ensure only match whole words
-        const escapedKeypoint = keypoint.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-        // for Chinese keypoints, don't use word boundary
-        const regex = new RegExp(escapedKeypoint, 'gi');
-        el.innerHTML = el.innerHTML.replace(regex, match => {
-          const span = `<span class="${HIGHLIGHT_CLASS} style-${settings.highlightStyle}"`;
-          const style = settings.highlightStyle === 'background'
-            ? `style="background-color: ${settings.highlightColor}"`
-            : `style="border-bottom-color: ${settings.highlightColor}"`;
-          return `${span} ${style}>${match}</span>`;
-        });
+      highlightKeypoints(el, keypoints, settings);
+    }
+
+    // apply cached keypoints, collect the elements that still need to be analyzed
+    const pendingElements = [];
+    async function processCachedElement(el) {
+      const text = el.textContent;
+      const keypoints = await getCachedKeypoints(text);
+      if (keypoints) {
+        processedElements.add(el);
+        console.log('Cache hit, using cached data:', keypoints);
+        updateAnalysisProgress({ processed: 1, cached: 1 });
+        highlightKeypoints(el, keypoints, settings);
+      } else {
+        pendingElements.push(el);
+      }
+    }
+
+    // process a batch of elements with a single AI request
+    async function processBatch(batch) {
+      batch.forEach(el => processedElements.add(el));
+      const texts = batch.map(el => el.textContent);
+      let results;
+      try {
+        results = await analyzeBatchWithAI(texts, settings, signal, feedback);
+      } catch (error) {
+        if (!signal.aborted) reportFailedParagraphs(batch, error);
+        return;
+      }
+      if (signal.aborted) return;
+
+      for (let i = 0; i < batch.length; i++) {
+        const keypoints = results[i] || [];
+        await cacheKeypoints(texts[i], keypoints);
+        updateAnalysisProgress({ processed: 1 });
+        highlightKeypoints(batch[i], keypoints, settings);
       }
     }
 
-    // process elements with concurrency limit
+    // process elements with concurrency limit, stop queuing new items once cancelled
     async function processWithConcurrencyLimit(items, processFunction, limit = 5) {
       const results = [];
       const executing = new Set();
       
       for (const item of items) {
+        if (signal.aborted) break;
+
         const p = processFunction(item);
         results.push(p);
         executing.add(p);
@@ -215,159 +510,1016 @@ async function analyzePageContent() {
       return Promise.all(results);
     }
     
-    // process elements with concurrency limit
-    await processWithConcurrencyLimit(elements, processElement, 5);
+    if (getAnalysisMode(settings) === 'viewport') {
+      // apply cached keypoints right away wherever they are, analyze the rest as they approach the viewport
+      await processWithConcurrencyLimit(elements, processCachedElement, 5);
+      const processVisibleElements = settings.batchMode
+        ? items => processWithConcurrencyLimit(createBatches(items, settings.batchCharBudget), processBatch, 5)
+        : items => processWithConcurrencyLimit(items, processElement, 5);
+      await startViewportAnalysis(pendingElements, processVisibleElements, analysis.controller);
+    } else if (settings.batchMode) {
+      // check the cache first, then pack the remaining paragraphs into batched requests
+      await processWithConcurrencyLimit(elements, processCachedElement, 5);
+      const batches = createBatches(pendingElements, settings.batchCharBudget);
+      await processWithConcurrencyLimit(batches, processBatch, 5);
+    } else {
+      // process elements with concurrency limit
+      await processWithConcurrencyLimit(elements, processElement, 5);
+    }
+
+    if (signal.aborted) {
+      finishAnalysis('cancelled');
+      return { success: false, cancelled: true, message: 'Analysis cancelled' };
+    }
 
+    const { failed, lastError } = analysis.progress;
+    finishAnalysis('done');
+
+    // keep highlighting content that is loaded later, e.g. by client-side routing or infinite scroll
+    startContentWatcher();
     return {
       success: true,
-      message: `Done`
+      message: `Done`,
+      failed,
+      lastError
     };
   } catch (error) {
     console.error('IntelliRead analyze error:', error);
+    finishAnalysis('error');
     return { success: false, message: `analyze error: ${error.message}` };
   }
 }
 
-// ignore the content under a specific parent element
-function isElementInIgnoredContainer(element) {
-  const ignoredSelectors = ['nav', 'footer', 'header', 'aside', '.sidebar', '.navigation', '.menu', '.footer', '.header'];
+/**
+ * Summarize the article and show the summary in a panel on the page, cached per URL
+ * @returns {Promise<{success: boolean, message: string}>}
+ */
+async function summarizePage() {
+  try {
+    const settings = await getSettings();
+    if (!window.IntelliReadProviders.isConfigured(settings)) {
+      return { success: false, message: 'Please config API first' };
+    }
+
+    const siteRules = getSiteRules(settings);
+    if (siteRules.blocked) {
+      return { success: false, message: 'Analysis is blocked on this page by a site rule' };
+    }
+
+    const blocks = window.IntelliReadExtractor.extractTextBlocks(document, getExtractOptions(siteRules));
+    if (blocks.length === 0) {
+      return { success: false, message: 'No content to summarize' };
+    }
+
+    // show the cached summary of this URL without a new request
+    const cachedPoints = window.IntelliReadCache.getPageSummary
+      ? await window.IntelliReadCache.getPageSummary()
+      : null;
+    if (cachedPoints) {
+      window.IntelliReadSummary.renderSummaryPanel(cachedPoints, blocks);
+      return { success: true, message: 'Done' };
+    }
+
+    window.IntelliReadSummary.showSummaryMessage(chrome.i18n.getMessage('summary_generating'));
+
+    const blockTexts = blocks.map(el => el.textContent.replace(/\s+/g, ' ').trim());
+    const points = await summarizeWithAI(document.title, blockTexts, settings);
+    if (!points || points.length === 0) {
+      window.IntelliReadSummary.showSummaryMessage(chrome.i18n.getMessage('summary_failed'));
+      return { success: false, message: 'Failed to summarize the page' };
+    }
+
+    // keep the start of each source paragraph, so the links survive a changed page layout
+    const anchoredPoints = points.map(point => ({
+      ...point,
+      anchor: blockTexts[point.paragraph] ? blockTexts[point.paragraph].slice(0, SUMMARY_ANCHOR_LENGTH) : ''
+    }));
+
+    if (window.IntelliReadCache.savePageSummary) {
+      await window.IntelliReadCache.savePageSummary(anchoredPoints);
+    }
+    window.IntelliReadSummary.renderSummaryPanel(anchoredPoints, blocks);
+
+    return { success: true, message: 'Done' };
+  } catch (error) {
+    console.error('IntelliRead summarize error:', error);
+    return { success: false, message: `summarize error: ${error.message}` };
+  }
+}
+
+/**
+ * Evaluate the site rules for the current URL
+ * @param {Settings} settings The user settings
+ * @returns {SiteRuleResult} Whether the page is blocked or auto-highlighted, and its selectors
+ */
+function getSiteRules(settings) {
+  return window.IntelliReadRules.matchSiteRules(window.location.href, settings.siteRules);
+}
+
+/**
+ * Build the extract options of the page from its site rules
+ * @param {SiteRuleResult} siteRules The site rules of the page
+ * @returns {ExtractOptions} The extract options
+ */
+function getExtractOptions(siteRules) {
+  return {
+    minLength: 30,
+    includeSelector: siteRules.includeSelector,
+    excludeSelector: siteRules.excludeSelector
+  };
+}
+
+/**
+ * @typedef {object} AnalysisProgress
+ * @property {number} total - Number of paragraphs to analyze.
+ * @property {number} processed - Number of paragraphs analyzed, including cached ones.
+ * @property {number} cached - Number of paragraphs served from the cache.
+ * @property {number} failed - Number of paragraphs whose request failed.
+ * @property {string} [lastError] - Why the last failed paragraph failed.
+ * @property {string} status - One of running, done, cancelled or error.
+ */
+
+/**
+ * Start tracking a new analysis run
+ * @param {number} total The number of paragraphs to analyze
+ * @returns {{controller: AbortController, progress: AnalysisProgress}} The analysis state
+ */
+function startAnalysis(total) {
+  currentAnalysis = {
+    controller: new AbortController(),
+    progress: { total, processed: 0, cached: 0, failed: 0, status: 'running' }
+  };
+  reportAnalysisProgress(currentAnalysis.progress);
+  return currentAnalysis;
+}
+
+/**
+ * Add the given counts to the progress of the running analysis and report it
+ * @param {{processed?: number, cached?: number, failed?: number, error?: string}} delta The counts to add, and the error of failed paragraphs
+ */
+function updateAnalysisProgress(delta) {
+  if (!currentAnalysis) return;
+  const progress = currentAnalysis.progress;
+  progress.processed += delta.processed || 0;
+  progress.cached += delta.cached || 0;
+  progress.failed += delta.failed || 0;
+  if (delta.error) {
+    progress.lastError = delta.error;
+  }
+  reportAnalysisProgress(progress);
+}
+
+/**
+ * Report paragraphs whose request failed for good, they are outlined on the page until the next re-analysis
+ * @param {Array<HTMLElement>} elements The paragraphs
+ * @param {Error} error Why the request failed
+ */
+function reportFailedParagraphs(elements, error) {
+  console.error('AI analysis failed:', error);
+  elements.forEach(el => el.setAttribute(FAILED_PARAGRAPH_ATTRIBUTE, error.message));
+  updateAnalysisProgress({ failed: elements.length, error: error.message });
+}
+
+// remove the failure marks, the paragraphs are analyzed again by the next analysis
+function clearFailedParagraphs() {
+  document.querySelectorAll(`[${FAILED_PARAGRAPH_ATTRIBUTE}]`).forEach(el => {
+    el.removeAttribute(FAILED_PARAGRAPH_ATTRIBUTE);
+  });
+}
+
+/**
+ * Mark the running analysis as finished and report the final state
+ * @param {string} status The final status: done, cancelled or error
+ */
+function finishAnalysis(status) {
+  if (!currentAnalysis) return;
+  currentAnalysis.progress.status = status;
+  reportAnalysisProgress(currentAnalysis.progress);
+  currentAnalysis = null;
+}
+
+/**
+ * Cancel the running analysis, aborting in-flight requests; applied highlights are kept
+ * @returns {boolean} Returns true if an analysis was running
+ */
+function cancelAnalysis() {
+  const wasRunning = !!currentAnalysis || !!viewportAnalysis;
+  if (viewportAnalysis) {
+    viewportAnalysis.controller.abort();
+    stopViewportAnalysis();
+  }
+  if (currentAnalysis) {
+    currentAnalysis.controller.abort();
+  }
+  return wasRunning;
+}
+
+/**
+ * Get the analysis mode for the current domain, falling back to the global setting
+ * @param {Settings} settings The user settings
+ * @returns {string} The analysis mode: full or viewport
+ */
+function getAnalysisMode(settings) {
+  const domainModes = settings.domainAnalysisModes || {};
+  return domainModes[window.location.hostname] || settings.analysisMode || 'full';
+}
+
+/**
+ * Analyze elements only when they approach the viewport, the ones closest to the visible area first
+ * @param {Array<HTMLElement>} elements The elements to analyze lazily
+ * @param {function(Array<HTMLElement>): Promise} processElements Analyzes a chunk of elements
+ * @param {AbortController} controller The controller of the analysis, aborting it stops the lazy analysis
+ * @returns {Promise<void>} Resolves once the elements near the viewport at start have been analyzed
+ */
+function startViewportAnalysis(elements, processElements, controller) {
+  stopViewportAnalysis();
+  if (elements.length === 0) return Promise.resolve();
+
+  return new Promise(resolve => {
+    const state = {
+      controller,
+      pending: new Set(elements),
+      queue: new Set(),
+      running: false,
+      observer: null
+    };
+
+    let initialRoundDone = false;
+    const finishInitialRound = () => {
+      if (!initialRoundDone) {
+        initialRoundDone = true;
+        resolve();
+      }
+    };
+
+    const drain = async () => {
+      if (state.running) return;
+      state.running = true;
+
+      while (viewportAnalysis === state && state.queue.size > 0 && !controller.signal.aborted) {
+        const chunk = sortByViewportDistance(Array.from(state.queue)).slice(0, VIEWPORT_CHUNK_SIZE);
+        chunk.forEach(el => {
+          state.queue.delete(el);
+          state.pending.delete(el);
+          state.observer.unobserve(el);
+        });
+        await processElements(chunk);
+      }
+
+      state.running = false;
+      if (state.pending.size === 0 && viewportAnalysis === state) {
+        stopViewportAnalysis();
+      }
+      finishInitialRound();
+    };
+
+    state.observer = new IntersectionObserver(entries => {
+      entries.forEach(entry => {
+        if (entry.isIntersecting) {
+          state.queue.add(entry.target);
+        } else {
+          state.queue.delete(entry.target);
+        }
+      });
+      drain();
+    }, { rootMargin: VIEWPORT_ROOT_MARGIN });
+
+    // the elements waiting for the viewport are owned by this analysis, incremental runs skip them
+    elements.forEach(el => {
+      processedElements.add(el);
+      state.observer.observe(el);
+    });
+
+    state.finishInitialRound = finishInitialRound;
+    viewportAnalysis = state;
+  });
+}
+
+// stop the lazy analysis, the paragraphs that were not analyzed yet can be picked up again later
+function stopViewportAnalysis() {
+  if (!viewportAnalysis) return;
+
+  const state = viewportAnalysis;
+  viewportAnalysis = null;
+  state.observer.disconnect();
+  state.pending.forEach(el => processedElements.delete(el));
+  state.finishInitialRound();
+}
+
+/**
+ * Sort elements by their distance to the visible area, visible elements first
+ * @param {Array<HTMLElement>} elements The elements to sort
+ * @returns {Array<HTMLElement>} The sorted elements
+ */
+function sortByViewportDistance(elements) {
+  const viewportHeight = window.innerHeight;
+  const distance = el => {
+    const rect = el.getBoundingClientRect();
+    if (rect.bottom < 0) return -rect.bottom;
+    if (rect.top > viewportHeight) return rect.top - viewportHeight;
+    return 0;
+  };
+
+  return elements
+    .map(el => ({ el, distance: distance(el) }))
+    .sort((a, b) => a.distance - b.distance)
+    .map(item => item.el);
+}
+
+// send the progress to the popup and to the background script for the action badge
+function reportAnalysisProgress(progress) {
+  chrome.runtime.sendMessage({ action: 'analysisProgress', progress: { ...progress } }).catch(() => {
+    // no listener, e.g. the popup is closed and the service worker is restarting
+  });
+}
+
+/**
+ * @typedef {object} Keypoint
+ * @property {string} text - The keypoint text, verbatim from the paragraph.
+ * @property {string} [category] - The keypoint category, see categories.js.
+ * @property {string} [rationale] - One sentence on why the keypoint matters, shown as tooltip.
+ */
+
+/**
+ * Normalize keypoints from the model or the cache, plain strings are keypoints without category
+ * @param {Array<string|object>} items The raw keypoints
+ * @returns {Array<Keypoint>} The keypoints
+ */
+function normalizeKeypoints(items) {
+  if (!Array.isArray(items)) return [];
 
-  let parent = element;
-  while (parent !== null) {
-    for (const selector of ignoredSelectors) {
-      if (parent.matches && parent.matches(selector)) {
-        return true;
+  return items
+    .map(item => {
+      if (typeof item === 'string') {
+        return { text: item };
+      }
+      if (item && typeof item.text === 'string') {
+        const category = window.IntelliReadCategories.isHighlightCategory(item.category) ? item.category : undefined;
+        const rationale = typeof item.reason === 'string' ? item.reason : item.rationale;
+        return { text: item.text, category, rationale: typeof rationale === 'string' ? rationale : undefined };
       }
+      return null;
+    })
+    .filter(keypoint => keypoint !== null);
+}
+
+/**
+ * Get the highlight color and style of a keypoint
+ * @param {Keypoint} keypoint The keypoint
+ * @param {Settings} settings The user settings
+ * @returns {{color: string, style: string}} The highlight color and style
+ */
+function getKeypointStyle(keypoint, settings) {
+  if (settings.categorizeHighlights && keypoint.category) {
+    return window.IntelliReadCategories.getCategoryStyles(settings.categoryStyles)[keypoint.category];
+  }
+  return { color: settings.highlightColor, style: settings.highlightStyle };
+}
+
+/**
+ * Highlight the keypoints inside an element
+ * @param {HTMLElement} el The element to highlight
+ * @param {Array<Keypoint>} keypoints The keypoints to highlight
+ * @param {Settings} settings The user settings
+ */
+function highlightKeypoints(el, keypoints, settings) {
+  if (!keypoints || keypoints.length === 0) return;
+  
+  // filter none existing keypoints, and the ones the reader removed
+  const removedKeypoints = highlightEdits && highlightEdits.url === window.location.href ? highlightEdits.removed : [];
+  // the matches are searched once, the fuzzy search is too slow to repeat when highlighting
+  const matchOptions = { fuzzy: settings.fuzzyMatching, threshold: settings.fuzzyMatchThreshold };
+  const filteredKeypoints = keypoints
+    .filter(keypoint => keypoint.text.length > 0 && !removedKeypoints.includes(keypoint.text))
+    .map(keypoint => ({
+      keypoint,
+      matches: window.IntelliReadHighlighter.findHighlightMatches(el, keypoint.text, matchOptions)
+    }))
+    .filter(({ matches }) => matches.length > 0);
+  
+  // extra filter: limit the number of keypoints
+  const limitedKeypoints = filteredKeypoints
+    .sort((a, b) => b.keypoint.text.length - a.keypoint.text.length) // prefer longer keypoints
+    .slice(0, 5); // limit to 5 keypoints
+  
+  // highlight the keypoints
+  for (const { keypoint, matches } of limitedKeypoints) {
+    const { color, style } = getKeypointStyle(keypoint, settings);
+    window.IntelliReadHighlighter.highlightKeypoint(el, keypoint.text, {
+      className: HIGHLIGHT_CLASS,
+      style,
+      color,
+      category: keypoint.category,
+      rationale: settings.showRationales ? keypoint.rationale : undefined,
+      matches
+    });
+  }
+
+  if (limitedKeypoints.length > 0) {
+    scheduleLibraryRecord();
+    if (settings.showMinimap) {
+      scheduleMinimapRefresh();
     }
-    parent = parent.parentElement;
+  }
+}
+
+// redraw the minimap once the current burst of highlights is done
+function scheduleMinimapRefresh() {
+  clearTimeout(minimapRefreshTimer);
+  minimapRefreshTimer = setTimeout(() => {
+    minimapRefreshTimer = null;
+    window.IntelliReadNavigator.renderMinimap();
+  }, MINIMAP_REFRESH_DELAY_MS);
+}
+
+// update the library entry of the page once the current burst of highlight changes is done
+function scheduleLibraryRecord() {
+  clearTimeout(libraryRecordTimer);
+  libraryRecordTimer = setTimeout(() => {
+    libraryRecordTimer = null;
+    recordLibraryPage();
+  }, LIBRARY_RECORD_DELAY_MS);
+}
+
+// send the keypoints highlighted on the page to the library, a page without highlights is removed from it
+function recordLibraryPage() {
+  const keypoints = [];
+  for (const record of window.IntelliReadNavigator.getOrderedHighlights()) {
+    if (keypoints.some(keypoint => keypoint.text === record.keypoint)) continue;
+    keypoints.push({
+      text: record.keypoint,
+      category: record.category,
+      rationale: record.rationale,
+      source: record.source
+    });
+  }
+
+  window.IntelliReadCache.saveLibraryPage(document.title, keypoints).catch(error => {
+    console.error('Failed to save the library page:', error);
+  });
+}
+
+/**
+ * Load the reader's highlight edits of the current URL, once per URL
+ * @returns {Promise<{url: string, added: Array<{text: string, anchor: string}>, removed: Array<string>}>}
+ */
+async function loadHighlightEdits() {
+  const url = window.location.href;
+  if (!highlightEdits || highlightEdits.url !== url) {
+    const edits = window.IntelliReadCache.getHighlightEdits
+      ? await window.IntelliReadCache.getHighlightEdits()
+      : { added: [], removed: [] };
+    highlightEdits = { url, ...edits };
+  }
+  return highlightEdits;
+}
+
+// save the loaded highlight edits of the current URL
+function persistHighlightEdits() {
+  window.IntelliReadCache.saveHighlightEdits({
+    added: highlightEdits.added,
+    removed: highlightEdits.removed
+  }).catch(error => {
+    console.error('Failed to save highlight edits:', error);
+  });
+}
+
+/**
+ * Find the paragraph that holds the text of a manual highlight
+ * @param {string} text The highlighted text
+ * @param {string} anchor The start of the paragraph text
+ * @returns {Element|null} The innermost matching paragraph, or null if it is gone
+ */
+function findManualHighlightBlock(text, anchor) {
+  const blocks = Array.from(document.querySelectorAll(MANUAL_BLOCK_SELECTOR)).filter(el => {
+    return el.textContent.replace(/\s+/g, ' ').trim().startsWith(anchor) && el.textContent.includes(text);
+  });
+  // descendants come after their ancestors in document order
+  return blocks.length > 0 ? blocks[blocks.length - 1] : null;
+}
+
+/**
+ * Highlight the text the reader added by hand, on top of any analysis
+ * @param {Settings} settings The user settings
+ */
+async function applyManualHighlights(settings) {
+  const edits = await loadHighlightEdits();
+
+  let applied = 0;
+  for (const { text, anchor } of edits.added) {
+    const block = findManualHighlightBlock(text, anchor);
+    if (!block) continue;
+    applied += window.IntelliReadHighlighter.highlightKeypoint(block, text, {
+      className: HIGHLIGHT_CLASS,
+      style: settings.highlightStyle,
+      color: settings.highlightColor,
+      source: 'user',
+      // the reader may have selected part of a word
+      match: { wholeWords: false }
+    }).length;
+  }
+
+  if (settings.showMinimap && applied > 0) {
+    scheduleMinimapRefresh();
+  }
+}
+
+/**
+ * Highlight the selected text by hand and remember it for the next visit
+ * @param {string} [selectionText] The selected text reported by the context menu, used when the page selection is gone
+ * @returns {Promise<{success: boolean, message: string}>}
+ */
+async function highlightSelection(selectionText) {
+  const selection = window.getSelection();
+  const text = ((selection && selection.toString()) || selectionText || '').trim();
+  if (!text) {
+    return { success: false, message: 'No text selected' };
+  }
+
+  let block = null;
+  if (selection && selection.rangeCount > 0) {
+    const container = selection.getRangeAt(0).commonAncestorContainer;
+    const element = container.nodeType === Node.TEXT_NODE ? container.parentElement : container;
+    block = element ? element.closest(MANUAL_BLOCK_SELECTOR) : null;
+  }
+  if (!block || isIntelliReadNode(block)) {
+    return { success: false, message: 'Could not find the selected text' };
+  }
+
+  const settings = await getSettings();
+  const records = window.IntelliReadHighlighter.highlightKeypoint(block, text, {
+    className: HIGHLIGHT_CLASS,
+    style: settings.highlightStyle,
+    color: settings.highlightColor,
+    source: 'user',
+    match: { wholeWords: false }
+  });
+  if (records.length === 0) {
+    return { success: false, message: 'Could not highlight the selected text' };
+  }
+  selection.removeAllRanges();
+
+  // a manual highlight of a removed keypoint brings it back
+  const edits = await loadHighlightEdits();
+  edits.removed = edits.removed.filter(removedText => removedText !== text);
+  if (!edits.added.some(added => added.text === text)) {
+    const anchor = block.textContent.replace(/\s+/g, ' ').trim().slice(0, EDIT_ANCHOR_LENGTH);
+    edits.added.push({ text, anchor });
+  }
+  persistHighlightEdits();
+  scheduleLibraryRecord();
+
+  if (settings.showMinimap) {
+    scheduleMinimapRefresh();
+  }
+  return { success: true, message: 'Done' };
+}
+
+/**
+ * Remove a highlight the reader rejected, with every other occurrence of the same text, and remember it for the next visit
+ * @param {number} id The id of the removed highlight
+ */
+async function removeHighlightByReader(id) {
+  const record = window.IntelliReadHighlighter.getHighlight(id);
+  if (!record) return;
+
+  window.IntelliReadHighlighter.getHighlights()
+    .filter(other => other.keypoint === record.keypoint && other.source === record.source)
+    .forEach(other => window.IntelliReadHighlighter.removeHighlight(other.id));
+  window.IntelliReadNavigator.updateMinimap();
+
+  const edits = await loadHighlightEdits();
+  if (record.source === 'user') {
+    edits.added = edits.added.filter(added => added.text !== record.keypoint);
+  } else if (!edits.removed.includes(record.keypoint)) {
+    edits.removed.push(record.keypoint);
+  }
+  persistHighlightEdits();
+  scheduleLibraryRecord();
+}
+
+/**
+ * Remember a thumbs up or down for a highlight on this domain, a rejected highlight is removed from the page too
+ * @param {number} id The highlight id
+ * @param {boolean} isAccepted True for thumbs up, false for thumbs down
+ */
+async function giveHighlightFeedback(id, isAccepted) {
+  const record = window.IntelliReadHighlighter.getHighlight(id);
+  if (!record) return;
+
+  // the background script writes the feedback of every tab, for the domain of this page
+  chrome.runtime.sendMessage({ action: 'recordFeedback', keypoint: record.keypoint, isAccepted })
+    .then((response) => {
+      if (!response || !response.success) throw new Error(response ? response.error : 'no response');
+    })
+    .catch(error => console.error('Failed to record the feedback:', error));
+
+  if (!isAccepted) {
+    await removeHighlightByReader(id);
+    return;
   }
 
-  return false;
+  window.IntelliReadHighlighter.getHighlights()
+    .filter(other => other.keypoint === record.keypoint)
+    .forEach(other => {
+      other.spans.forEach(span => span.setAttribute(window.IntelliReadEditor.FEEDBACK_ATTRIBUTE, 'accepted'));
+    });
 }
 
-// ignore invisible elements
-function isElementVisible(element) {
-  const style = window.getComputedStyle(element);
-  return style.display !== 'none' &&
-    style.visibility !== 'hidden' &&
-    element.offsetWidth > 0 &&
-    element.offsetHeight > 0;
+/**
+ * Pack elements into batches whose total text length stays within the character budget
+ * @param {Array<HTMLElement>} elements The elements to pack
+ * @param {number} charBudget The maximum number of characters per batch
+ * @returns {Array<Array<HTMLElement>>} The batches, an element longer than the budget gets its own batch
+ */
+function createBatches(elements, charBudget) {
+  const budget = charBudget > 0 ? charBudget : DEFAULT_BATCH_CHAR_BUDGET;
+  const batches = [];
+  let currentBatch = [];
+  let currentSize = 0;
+
+  for (const el of elements) {
+    const size = el.textContent.length;
+    if (currentBatch.length > 0 && currentSize + size > budget) {
+      batches.push(currentBatch);
+      currentBatch = [];
+      currentSize = 0;
+    }
+    currentBatch.push(el);
+    currentSize += size;
+  }
+
+  if (currentBatch.length > 0) {
+    batches.push(currentBatch);
+  }
+
+  return batches;
 }
 
 /**
  * @typedef {object} Settings
+ * @property {string} apiProvider - API provider id, see providers.js.
  * @property {string} apiUrl - API URL.
  * @property {string} apiKey - API Key.
+ * @property {string} apiVersion - API version, only used by Azure OpenAI.
  * @property {string} modelName - Model name.
+ * @property {boolean} batchMode - Whether to pack several paragraphs into one request.
+ * @property {number} batchCharBudget - Maximum number of characters per batched request.
+ * @property {string} analysisMode - full analyzes the whole page, viewport only paragraphs near the viewport.
+ * @property {Object<string, string>} domainAnalysisModes - Analysis mode overrides by domain.
+ * @property {boolean} categorizeHighlights - Whether the model assigns a category to every keypoint.
+ * @property {Object<string, {color: string, style: string}>} categoryStyles - Highlight style by category.
+ * @property {boolean} showRationales - Whether the model explains every keypoint, shown as tooltip.
+ * @property {boolean} showMinimap - Whether to show where the highlights are on a minimap along the scrollbar.
+ * @property {boolean} fuzzyMatching - Whether a keypoint the model reworded slightly is matched to the most similar passage.
+ * @property {number} fuzzyMatchThreshold - The minimum similarity of a fuzzy match, between 0.5 and 1.
+ * @property {Array<PromptProfile>} promptProfiles - The saved prompt profiles.
+ * @property {Object<string, string>} domainPromptProfiles - The prompt profile id assigned to each domain.
+ * @property {Array<SiteRule>} siteRules - URL pattern rules for auto-highlight, blocking and content selectors.
+ * @property {string} structuredOutput - Whether to ask the provider to follow the JSON schema of the response: auto for the provider default, on or off.
+ * @property {boolean} reuseCacheAcrossModels - Whether to reuse cached keypoints made with another provider, model or prompt rules version.
  */
 
 /**
  * analyzeWithAI and return key points
  * @param {string} content
  * @param {Settings} settings
- * @returns {Promise<string[]>}
+ * @param {AbortSignal} [signal] aborts the request when the analysis is cancelled
+ * @param {DomainFeedback} [feedback] examples of keypoints the reader accepted and rejected on this domain
+ * @returns {Promise<Keypoint[]>} the key points
+ * @throws {Error} if the request failed after its retries or the response stayed invalid
+ */
+async function analyzeWithAI(content, settings, signal, feedback) {
+  const prompt = `
+${buildTemplatePrompt(settings, content)}
+
+Output requirements:
+- ${getOutputFormatRule(settings, false)}
+- Return only the object, without any additional explanations or markers${getFeedbackRule(feedback)}
+
+Please directly return the JSON object that meets these requirements, without any prefix or suffix.
+  `
+
+  // explanations need room on top of the key points
+  const maxTokens = settings.showRationales ? 1000 : 500;
+  const responseSchema = window.IntelliReadResponses.buildKeypointsSchema(getKeypointSchemaOptions(settings));
+  const response = await requestStructuredOutput(prompt, settings, maxTokens, signal, responseSchema);
+  return normalizeKeypoints(response.keypoints);
+}
+
+/**
+ * analyze several paragraphs with a single AI request
+ * @param {string[]} contents the paragraphs to analyze
+ * @param {Settings} settings
+ * @param {AbortSignal} [signal] aborts the request when the analysis is cancelled
+ * @param {DomainFeedback} [feedback] examples of keypoints the reader accepted and rejected on this domain
+ * @returns {Promise<Keypoint[][]>} the key points of each paragraph in the same order as contents
+ * @throws {Error} if the request failed after its retries or the response stayed invalid
+ */
+async function analyzeBatchWithAI(contents, settings, signal, feedback) {
+  const paragraphs = contents
+    .map((content, index) => `[${index + 1}] ${content}`)
+    .join('\n\n');
+
+  const prompt = `
+${buildTemplatePrompt(settings, paragraphs)}
+
+Output requirements:
+- The text consists of paragraphs marked with ids like [1], apply the requirements to each paragraph separately
+- ${getOutputFormatRule(settings, true)}
+- Return only the object, without any additional explanations or markers${getFeedbackRule(feedback)}
+
+Please directly return the JSON object that meets these requirements, without any prefix or suffix.
+  `
+
+  // leave room for the keypoints of every paragraph in the batch
+  const maxTokens = Math.min(4096, 200 + contents.length * (settings.showRationales ? 400 : 150));
+  const responseSchema = window.IntelliReadResponses.buildBatchKeypointsSchema(contents.length, getKeypointSchemaOptions(settings));
+  const keyedKeypoints = await requestStructuredOutput(prompt, settings, maxTokens, signal, responseSchema);
+  return contents.map((_, index) => normalizeKeypoints(keyedKeypoints[index + 1]));
+}
+
+/**
+ * summarize the article paragraphs into bullet points that point back to their source paragraph
+ * @param {string} title the page title
+ * @param {string[]} paragraphs the article paragraphs
+ * @param {Settings} settings
+ * @returns {Promise<Array<{text: string, paragraph: number}>|null>} the bullet points with the index of their paragraph, or null if the request failed
  */
-async function analyzeWithAI(content, settings) {
+async function summarizeWithAI(title, paragraphs, settings) {
   try {
+    // number the paragraphs, dropping the ones past the budget
+    let size = 0;
+    const numberedParagraphs = [];
+    for (let i = 0; i < paragraphs.length; i++) {
+      size += paragraphs[i].length;
+      if (size > SUMMARY_CHAR_BUDGET && numberedParagraphs.length > 0) break;
+      numberedParagraphs.push(`[${i + 1}] ${paragraphs[i]}`);
+    }
+
     const prompt = `
-You are a professional text analysis tool. Your task is to extract the most essential key points from the following text:
+You are a professional reading assistant. Your task is to summarize the following article, whose paragraphs are numbered:
+
+Title: ${title}
 
 """
-${content}
+${numberedParagraphs.join('\n\n')}
 """
 
 Please strictly follow these requirements:
-1. Extract only 3-5 most important and core key points from the text
-2. Key points must exist verbatim in the original text, do not add your own interpretations or summaries
-3. Prioritize keywords or phrases that represent the main idea of the article
-4. Keep the key points concise, typically no more than 10 characters each
-5. Return in a valid JSON string array format, like ["key point 1", "key point 2", "key point 3"]
-6. Return only the array, without any additional explanations or markers
-
-Please directly return the JSON array that meets these requirements, without any prefix or suffix.
+1. Summarize the article in 3-7 bullet points, each a single concise sentence covering one main idea
+2. Write the bullet points in the same language as the article
+3. For every bullet point, give the number of the paragraph it is mainly based on
+4. Return a valid JSON object with the bullet points as "points", like {"points": [{"text": "bullet point 1", "paragraph": 1}, {"text": "bullet point 2", "paragraph": 4}]}
+5. Return only the object, without any additional explanations or markers
+
+Please directly return the JSON object that meets these requirements, without any prefix or suffix.
     `
 
-    const response = await fetch(settings.apiUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${settings.apiKey}`
-      },
-      body: JSON.stringify({
-        model: settings.modelName,
-        messages: [{
-          role: 'user',
-          content: prompt
-        }],
-        temperature: 0.3,
-        max_tokens: 500
+    const response = await requestStructuredOutput(prompt, settings, 1000, undefined, window.IntelliReadResponses.buildSummarySchema());
+    return response.points
+      .map(item => {
+        // paragraph numbers outside the article do not link anywhere
+        const paragraph = item.paragraph >= 1 && item.paragraph <= numberedParagraphs.length ? item.paragraph - 1 : -1;
+        return { text: item.text, paragraph };
       })
-    });
+      .filter(point => point.text.length > 0);
+  } catch (error) {
+    console.error('AI summary failed:', error);
+    return null;
+  }
+}
 
-    if (!response.ok) {
-      throw new Error(`API request failed: ${response.statusText}`);
-    }
+/**
+ * the prompt profile assigned to the current domain
+ * @param {Settings} settings
+ * @returns {PromptProfile}
+ */
+function getPromptProfile(settings) {
+  return window.IntelliReadPrompts.getDomainPromptProfile(settings, window.location.hostname);
+}
 
-    const data = await response.json();
-    if (!data.choices || !data.choices[0]?.message?.content) {
-      return [];
-    }
+/**
+ * the cache key of the prompt profile, keypoints made with another template are cached apart
+ * @param {Settings} settings
+ * @returns {string} empty for the unchanged default template, so its existing cache entries stay valid
+ */
+function getPromptCacheKey(settings) {
+  const profile = getPromptProfile(settings);
+  return window.IntelliReadPrompts.isDefaultPromptTemplate(profile) ? '' : `${profile.id}\n${profile.template}`;
+}
 
-    try {
-      // use the helper function to handle the JSON return
-      const content = data.choices[0].message.content;
-      return parseModelResponse(content);
-    } catch (error) {
-      console.error('AI analysis failed:', error);
-      return [];
-    }
-  } catch (error) {
-    console.error('AI analysis failed:', error);
-    return [];
+/**
+ * the fingerprint of what the keypoints are made with, cached keypoints with another fingerprint are only reused when the reader allows it
+ * @param {Settings} settings
+ * @returns {string} the API provider, the model and the prompt rules version
+ */
+function getCacheFingerprint(settings) {
+  return [settings.apiProvider, settings.modelName, `rules-v${PROMPT_RULES_VERSION}`].join('|');
+}
+
+/**
+ * fill the template of the domain's prompt profile with the content and the page details
+ * @param {Settings} settings
+ * @param {string} content the text to analyze
+ * @returns {string} the instructions part of the prompt
+ */
+function buildTemplatePrompt(settings, content) {
+  return window.IntelliReadPrompts.renderPromptTemplate(getPromptProfile(settings).template, {
+    content,
+    title: document.title,
+    language: document.documentElement.lang || navigator.language
+  });
+}
+
+/**
+ * the prompt rules built from the reader's feedback on this domain, empty without feedback
+ * @param {DomainFeedback} [feedback] examples of accepted and rejected keypoints
+ * @returns {string} the rules, each on a new line
+ */
+function getFeedbackRule(feedback) {
+  if (!feedback) return '';
+
+  const rules = [];
+  if (feedback.rejected.length > 0) {
+    rules.push(`The reader rejected key points like ${feedback.rejected.map(text => JSON.stringify(text)).join(', ')} on this site, avoid phrases like these`);
+  }
+  if (feedback.accepted.length > 0) {
+    rules.push(`The reader liked key points like ${feedback.accepted.map(text => JSON.stringify(text)).join(', ')} on this site, prefer phrases like these`);
+  }
+  return rules.map(rule => `\n- ${rule}`).join('');
+}
+
+/**
+ * the key point fields the response schema asks for, following the prompt's output format rule
+ * @param {Settings} settings
+ * @returns {KeypointSchemaOptions}
+ */
+function getKeypointSchemaOptions(settings) {
+  return { categories: settings.categorizeHighlights, rationales: settings.showRationales };
+}
+
+/**
+ * the output format rule of the prompt, asks for key point objects when categories or rationales are enabled
+ * @param {Settings} settings
+ * @param {boolean} isBatch whether the prompt covers several paragraphs
+ * @returns {string}
+ */
+function getOutputFormatRule(settings, isBatch) {
+  if (!settings.categorizeHighlights && !settings.showRationales) {
+    return isBatch
+      ? 'Return a valid JSON object that maps every paragraph id to its JSON string array of key points, like {"1": ["key point 1", "key point 2"], "2": ["key point 3", "key point 4"]}'
+      : 'Return a valid JSON object with the JSON string array of key points as "keypoints", like {"keypoints": ["key point 1", "key point 2", "key point 3"]}';
+  }
+
+  // describe the fields of a key point object and build two example objects
+  const fields = ['the key point as "text"'];
+  if (settings.categorizeHighlights) fields.push('its category as "category"');
+  if (settings.showRationales) fields.push('a one-sentence explanation of why it matters as "reason"');
+
+  const example = (number, category) => {
+    const parts = [`"text": "key point ${number}"`];
+    if (settings.categorizeHighlights) parts.push(`"category": "${category}"`);
+    if (settings.showRationales) parts.push(`"reason": "why key point ${number} matters"`);
+    return `{${parts.join(', ')}}`;
+  };
+
+  const format = isBatch
+    ? `Return a valid JSON object that maps every paragraph id to its JSON array of key point objects, each with ${fields.join(', ')}, like {"1": [${example(1, 'claim')}], "2": [${example(2, 'entity')}]}`
+    : `Return a valid JSON object with the JSON array of key point objects as "keypoints", each with ${fields.join(', ')}, like {"keypoints": [${example(1, 'claim')}, ${example(2, 'figure')}]}`;
+
+  if (!settings.categorizeHighlights) {
+    return format;
   }
+
+  const categories = window.IntelliReadCategories.HIGHLIGHT_CATEGORIES
+    .map(category => `${category} (${window.IntelliReadCategories.CATEGORY_DESCRIPTIONS[category]})`)
+    .join(', ');
+  return `${format}. The category must be one of: ${categories}`;
+}
+
+/**
+ * send the prompt to the configured provider and return the generated text
+ * @param {string} prompt
+ * @param {Settings} settings
+ * @param {number} maxTokens
+ * @param {AbortSignal} [signal]
+ * @param {ResponseSchema} [schema] the JSON schema the provider should make the response follow
+ * @returns {Promise<string|null>}
+ */
+async function requestModel(prompt, settings, maxTokens, signal, schema) {
+  // build the request for the configured provider
+  const request = window.IntelliReadProviders.buildRequest(prompt, settings, {
+    temperature: 0.3,
+    maxTokens,
+    schema
+  });
+
+  // the scheduler of the background service worker keeps the requests of all tabs under the rate limits
+  const tokens = window.IntelliReadRequests.estimateRequestTokens(prompt, maxTokens);
+  const data = await window.IntelliReadRequests.sendModelRequest(request, tokens, signal);
+  recordTokenUsage(settings, data);
+  return window.IntelliReadProviders.extractText(settings, data);
+}
+
+/**
+ * send the token usage of a response to the background script, which adds it up per day, model and domain
+ * @param {Settings} settings
+ * @param {object} data the parsed response
+ */
+function recordTokenUsage(settings, data) {
+  const usage = window.IntelliReadProviders.extractUsage(settings, data);
+  if (!usage) return;
+
+  chrome.runtime.sendMessage({
+    action: 'recordUsage',
+    usage: { model: settings.modelName, domain: window.location.hostname, ...usage }
+  }).catch(error => {
+    console.error('Failed to record token usage:', error);
+  });
 }
 
 /**
- * parse the model response, handle various formats of JSON
- * @param {string} modelResponse the original response text from the model
- * @returns {Array<string>} the parsed key points array
+ * check today's and this month's spending against the budgets
+ * @returns {Promise<BudgetStatus>} the budget status, not exceeded when the background script cannot be reached
  */
-function parseModelResponse(modelResponse) {
+async function checkBudget() {
   try {
-    // try to remove markdown wrapper
-    let cleanedResponse = modelResponse;
-    const markdownJsonRegex = /```(?:json)?\s*([\s\S]*?)\s*```/;
-    const markdownMatch = modelResponse.match(markdownJsonRegex);
-    
-    if (markdownMatch && markdownMatch[1]) {
-      cleanedResponse = markdownMatch[1];
-      console.log('removed markdown format:', { original: modelResponse, cleaned: cleanedResponse });
-    }
-    
-    // try to parse the json string
-    const keypoints = JSON.parse(cleanedResponse);
-    
-    if (Array.isArray(keypoints)) {
-      return keypoints;
-    } else {
-      console.warn('parse result is not an array:', keypoints);
-      return [];
-    }
-  } catch (e) {
-    console.error('JSON parse failed, try alternative parse method:', e);
-    
-    // alternative parse method: split by line
-    try {
-      return modelResponse
-        .replace(/```(?:json)?\s*|\s*```/g, '') // remove markdown markers
-        .split('\n')
-        .map(line => line.trim())
-        .filter(line => line.length > 0 && !line.startsWith('[') && !line.startsWith(']')); // 过滤数组括号行
-    } catch (fallbackError) {
-      console.error('alternative parse method failed:', fallbackError);
-      return [];
+    const status = await chrome.runtime.sendMessage({ action: 'getBudgetStatus' });
+    return status || { exceeded: false };
+  } catch (error) {
+    console.error('Failed to check the budget:', error);
+    return { exceeded: false };
+  }
+}
+
+/**
+ * ask the reader before a manual analysis once a budget is used up
+ * @param {boolean} [alreadyConfirmed] whether the popup already asked
+ * @returns {Promise<boolean>} true if the analysis may run
+ */
+async function confirmOverBudget(alreadyConfirmed) {
+  if (alreadyConfirmed) return true;
+
+  const budget = await checkBudget();
+  if (!budget.exceeded) return true;
+  return window.confirm(chrome.i18n.getMessage(`budget_exceeded_${budget.period}_confirm`, [
+    budget.spent.toFixed(2),
+    budget.budget.toFixed(2)
+  ]));
+}
+
+/**
+ * send the prompt and return the response as JSON that follows the schema, asking the model once more to correct an invalid response
+ * @param {string} prompt
+ * @param {Settings} settings
+ * @param {number} maxTokens
+ * @param {AbortSignal} [signal]
+ * @param {ResponseSchema} responseSchema the expected response, also sent to providers with structured output when enabled
+ * @returns {Promise<object>} the valid response
+ * @throws {Error} if the corrected response is still invalid
+ */
+async function requestStructuredOutput(prompt, settings, maxTokens, signal, responseSchema) {
+  const schema = window.IntelliReadProviders.isStructuredOutputEnabled(settings) ? responseSchema : undefined;
+  const responseText = await requestModel(prompt, settings, maxTokens, signal, schema);
+  const response = window.IntelliReadResponses.parseStructuredResponse(responseText, responseSchema);
+  if (response.errors.length === 0) {
+    return response.value;
+  }
+
+  console.warn('Invalid model response, retrying:', response.errors, responseText);
+  const retryPrompt = `${prompt}
+
+Your previous response did not meet the output requirements:
+${response.errors.map(error => `- ${error}`).join('\n')}
+
+Your previous response was:
+${(responseText || '').slice(0, MAX_RETRY_RESPONSE_LENGTH)}
+
+Please return the corrected JSON only.
+  `;
+  const retryText = await requestModel(retryPrompt, settings, maxTokens, signal, schema);
+  const retryResponse = window.IntelliReadResponses.parseStructuredResponse(retryText, responseSchema);
+
+  // keep the invalid response for the settings, also when the retry fixed it, the background script writes it
+  chrome.runtime.sendMessage({
+    action: 'recordParseFailure',
+    failure: {
+      timestamp: Date.now(),
+      url: window.location.href,
+      provider: settings.apiProvider,
+      model: settings.modelName,
+      schema: responseSchema.name,
+      errors: response.errors,
+      response: responseText || '',
+      recovered: retryResponse.errors.length === 0
     }
+  }).catch(error => console.error('Failed to record the invalid response:', error));
+
+  if (retryResponse.errors.length > 0) {
+    throw new Error(`Invalid model response: ${retryResponse.errors.join('; ')}`);
   }
+  return retryResponse.value;
 }
 
 async function getSettings() {
@@ -377,52 +1529,3 @@ async function getSettings() {
     });
   });
 }
-
-/**
- * test json parser
- * only for development debugging, not for production environment
- * @param {string} jsonString the json string to test
- * @returns {Object} the object contains the result and error info
- */
-function testJsonParser(jsonString) {
-  const result = {
-    original: jsonString,
-    cleaned: null,
-    parsed: null,
-    error: null,
-    hasMarkdown: false
-  };
-  
-  try {
-    // check if the json string contains markdown
-    const markdownJsonRegex = /```(?:json)?\s*([\s\S]*?)\s*```/;
-    const markdownMatch = jsonString.match(markdownJsonRegex);
-    
-    if (markdownMatch && markdownMatch[1]) {
-      result.hasMarkdown = true;
-      result.cleaned = markdownMatch[1];
-    } else {
-      result.cleaned = jsonString;
-    }
-    
-    // try to parse the json string
-    result.parsed = JSON.parse(result.cleaned);
-    
-  } catch (e) {
-    result.error = e.message;
-    
-    // try to use the alternative parse method
-    try {
-      result.cleaned = jsonString
-        .replace(/```(?:json)?\s*|\s*```/g, '')
-        .trim();
-      result.parsed = result.cleaned.split('\n')
-        .map(line => line.trim())
-        .filter(line => line.length > 0);
-    } catch (fallbackError) {
-      result.fallbackError = fallbackError.message;
-    }
-  }
-  
-  return result;
-}
\ No newline at end of file
@@ -0,0 +1,210 @@
+/**
+ * IntelliRead Highlight Editor
+ * Show small feedback and remove controls on the highlight under the mouse or keyboard focus.
+ * A single set of controls is shared by all highlights, the content script decides what the actions mean.
+ */
+
+// create a global object for IntelliReadEditor
+window.IntelliReadEditor = {};
+
+const REMOVE_CONTROL_ID = 'intelliread-remove-control';
+const EDITABLE_HIGHLIGHT_SELECTOR = '[data-intelliread-id]';
+const FEEDBACK_ATTRIBUTE = 'data-intelliread-feedback';
+
+// keep the controls around this long after the mouse leaves the highlight, so they can be reached
+const REMOVE_CONTROL_HIDE_DELAY_MS = 300;
+
+// the highlight span the controls are shown for, null when hidden
+let removeControlTarget = null;
+let removeControlHideTimer = null;
+
+// called with the highlight id when the reader removes a highlight, null until the content script sets it
+let removeHandler = null;
+
+// called with the highlight id and true for thumbs up or false for thumbs down, null until the content script sets it
+let feedbackHandler = null;
+
+/**
+ * Create a button of the controls
+ * @param {string} action The action of the button, set as data-action
+ * @param {string} text The button text
+ * @param {string} messageName The message of the button label
+ * @returns {HTMLButtonElement} The button
+ */
+function createControlButton(action, text, messageName) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'intelliread-control-button';
+  button.textContent = text;
+  button.title = chrome.i18n.getMessage(messageName);
+  button.setAttribute('aria-label', chrome.i18n.getMessage(messageName));
+  button.setAttribute('data-action', action);
+  button.tabIndex = -1;
+  return button;
+}
+
+/**
+ * Get the shared controls, creating them on first use
+ * @returns {HTMLElement} The controls
+ */
+function getRemoveControl() {
+  let control = document.getElementById(REMOVE_CONTROL_ID);
+  if (!control) {
+    control = document.createElement('div');
+    control.id = REMOVE_CONTROL_ID;
+    control.className = 'intelliread-remove-control';
+    control.setAttribute('data-intelliread-ui', '');
+    control.hidden = true;
+
+    control.appendChild(createControlButton('accept', '👍', 'accept_highlight'));
+    control.appendChild(createControlButton('reject', '👎', 'reject_highlight'));
+    control.appendChild(createControlButton('remove', '✕', 'remove_highlight'));
+
+    // keep the focus and the selection on the page
+    control.addEventListener('mousedown', event => event.preventDefault());
+    control.addEventListener('click', (event) => {
+      const button = event.target.closest('button');
+      if (button && removeControlTarget) {
+        handleControlAction(button.getAttribute('data-action'), removeControlTarget);
+      }
+    });
+    control.addEventListener('mouseenter', () => clearTimeout(removeControlHideTimer));
+    control.addEventListener('mouseleave', scheduleHideRemoveControl);
+
+    (document.body || document.documentElement).appendChild(control);
+  }
+  return control;
+}
+
+/**
+ * Show the controls at the top right corner of a highlight span
+ * @param {HTMLElement} span The highlight span
+ */
+function showRemoveControl(span) {
+  if (!removeHandler) return;
+  clearTimeout(removeControlHideTimer);
+
+  const control = getRemoveControl();
+  // feedback is about the model's choices, manual highlights only get the remove button
+  const isModelHighlight = span.getAttribute(window.IntelliReadHighlighter.SOURCE_ATTRIBUTE) !== 'user';
+  const feedback = span.getAttribute(FEEDBACK_ATTRIBUTE);
+  control.querySelectorAll('[data-action="accept"], [data-action="reject"]').forEach(button => {
+    button.hidden = !feedbackHandler || !isModelHighlight;
+  });
+  control.querySelector('[data-action="accept"]').setAttribute('aria-pressed', String(feedback === 'accepted'));
+
+  control.hidden = false;
+  const rect = span.getBoundingClientRect();
+  control.style.top = `${Math.max(0, rect.top - 12)}px`;
+  control.style.left = `${Math.max(0, Math.min(window.innerWidth - control.offsetWidth - 4, rect.right - 6))}px`;
+  removeControlTarget = span;
+}
+
+// hide the controls
+function hideRemoveControl() {
+  clearTimeout(removeControlHideTimer);
+  removeControlTarget = null;
+  const control = document.getElementById(REMOVE_CONTROL_ID);
+  if (control) {
+    control.hidden = true;
+  }
+}
+
+/**
+ * Run an action of the controls on a highlight span
+ * @param {string} action accept, reject or remove
+ * @param {HTMLElement} span The highlight span
+ */
+function handleControlAction(action, span) {
+  if (action === 'remove') {
+    removeHighlightSpan(span);
+    return;
+  }
+  if (!feedbackHandler) return;
+
+  const id = Number(span.getAttribute(window.IntelliReadHighlighter.HIGHLIGHT_ID_ATTRIBUTE));
+  const isAccepted = action === 'accept';
+  hideRemoveControl();
+  feedbackHandler(id, isAccepted);
+}
+
+// hide the remove control after a short delay, unless the mouse moves onto it
+function scheduleHideRemoveControl() {
+  clearTimeout(removeControlHideTimer);
+  removeControlHideTimer = setTimeout(hideRemoveControl, REMOVE_CONTROL_HIDE_DELAY_MS);
+}
+
+/**
+ * Pass the highlight of a span to the remove handler
+ * @param {HTMLElement} span The highlight span
+ */
+function removeHighlightSpan(span) {
+  const id = Number(span.getAttribute(window.IntelliReadHighlighter.HIGHLIGHT_ID_ATTRIBUTE));
+  hideRemoveControl();
+  if (removeHandler) {
+    removeHandler(id);
+  }
+}
+
+/**
+ * Set the function called when the reader removes a highlight
+ * @param {function(number): void} handler Called with the id of the removed highlight
+ */
+function setRemoveHandler(handler) {
+  removeHandler = handler;
+}
+
+/**
+ * Set the function called when the reader gives a highlight a thumbs up or down
+ * @param {function(number, boolean): void} handler Called with the highlight id and true for thumbs up
+ */
+function setFeedbackHandler(handler) {
+  feedbackHandler = handler;
+}
+
+// find the highlight span for an event target
+function findEditableHighlight(target) {
+  return target && target.closest ? target.closest(EDITABLE_HIGHLIGHT_SELECTOR) : null;
+}
+
+document.addEventListener('mouseover', (event) => {
+  const span = findEditableHighlight(event.target);
+  if (span) showRemoveControl(span);
+});
+
+document.addEventListener('mouseout', (event) => {
+  const span = findEditableHighlight(event.target);
+  if (span && span === removeControlTarget && findEditableHighlight(event.relatedTarget) !== span) {
+    scheduleHideRemoveControl();
+  }
+});
+
+document.addEventListener('focusin', (event) => {
+  const span = findEditableHighlight(event.target);
+  if (span) showRemoveControl(span);
+});
+
+document.addEventListener('focusout', (event) => {
+  if (findEditableHighlight(event.target) === removeControlTarget) {
+    hideRemoveControl();
+  }
+});
+
+// a focused highlight can be removed from the keyboard
+document.addEventListener('keydown', (event) => {
+  if (event.key !== 'Delete' || !removeHandler) return;
+  const span = findEditableHighlight(event.target);
+  if (span) {
+    event.preventDefault();
+    removeHighlightSpan(span);
+  }
+});
+
+// the page may scroll the highlight away from the control
+window.addEventListener('scroll', hideRemoveControl, true);
+
+// mount the functions to the global object
+window.IntelliReadEditor.FEEDBACK_ATTRIBUTE = FEEDBACK_ATTRIBUTE;
+window.IntelliReadEditor.setRemoveHandler = setRemoveHandler;
+window.IntelliReadEditor.setFeedbackHandler = setFeedbackHandler;
+window.IntelliReadEditor.hideRemoveControl = hideRemoveControl;
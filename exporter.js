@@ -0,0 +1,237 @@
+/**
+ * IntelliRead Highlight Exporter
+ * Export the highlights of the page as Markdown, plain JSON or W3C Web Annotations (JSON-LD)
+ * with TextQuoteSelectors, so they can be pasted into notes or loaded by annotation tools.
+ */
+
+// create a global object for IntelliReadExporter
+window.IntelliReadExporter = {};
+
+// the export formats with their file extension and MIME type
+const EXPORT_FORMATS = {
+  markdown: { extension: 'md', mimeType: 'text/markdown' },
+  json: { extension: 'json', mimeType: 'application/json' },
+  annotations: { extension: 'jsonld', mimeType: 'application/ld+json' }
+};
+
+// the TextQuoteSelector prefix and suffix length
+const QUOTE_CONTEXT_LENGTH = 32;
+
+// characters that end a sentence, for the quote around a highlight
+const SENTENCE_END_REGEX = /[.!?。！？]/;
+
+/**
+ * @typedef {object} ExportedHighlight
+ * @property {string} text - The highlighted text as it appears on the page.
+ * @property {string} keypoint - The keypoint the highlight was made for.
+ * @property {string} [category] - The keypoint category.
+ * @property {string} [rationale] - Why the keypoint matters.
+ * @property {string} source - ai or user.
+ * @property {string} quote - The sentence around the highlight.
+ * @property {string} prefix - The text right before the highlight.
+ * @property {string} suffix - The text right after the highlight.
+ */
+
+/**
+ * Create a random version 4 UUID, crypto.randomUUID only exists on https pages but getRandomValues works everywhere
+ * @returns {string} The UUID
+ */
+function createUuid() {
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/**
+ * Find the sentence around a part of a text
+ * @param {string} text The text
+ * @param {number} start The start of the part
+ * @param {number} end The end of the part
+ * @returns {string} The sentence, with collapsed whitespace
+ */
+function findSurroundingSentence(text, start, end) {
+  let sentenceStart = start;
+  while (sentenceStart > 0 && !SENTENCE_END_REGEX.test(text[sentenceStart - 1])) {
+    sentenceStart--;
+  }
+
+  let sentenceEnd = end;
+  while (sentenceEnd < text.length && !SENTENCE_END_REGEX.test(text[sentenceEnd - 1] || '')) {
+    sentenceEnd++;
+  }
+
+  return text.slice(sentenceStart, sentenceEnd).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Describe a highlight with its exact text and the text around it
+ * @param {HighlightRecord} record The highlight
+ * @returns {ExportedHighlight} The exported highlight
+ */
+function describeHighlight(record) {
+  const text = record.spans.map(span => span.textContent).join('');
+
+  // the offset of the highlight in the text of its element
+  const range = document.createRange();
+  range.setStart(record.element, 0);
+  range.setEndBefore(record.spans[0]);
+  const start = range.toString().length;
+  const end = start + text.length;
+  const elementText = record.element.textContent;
+
+  return {
+    text,
+    keypoint: record.keypoint,
+    category: record.category,
+    rationale: record.rationale,
+    source: record.source,
+    quote: findSurroundingSentence(elementText, start, end),
+    prefix: elementText.slice(Math.max(0, start - QUOTE_CONTEXT_LENGTH), start),
+    suffix: elementText.slice(end, end + QUOTE_CONTEXT_LENGTH)
+  };
+}
+
+/**
+ * Format the highlights as Markdown, every keypoint with its sentence as quote
+ * @param {{title: string, url: string, date: Date}} page The page details
+ * @param {Array<ExportedHighlight>} highlights The highlights
+ * @returns {string} The Markdown document
+ */
+function formatMarkdown(page, highlights) {
+  const lines = [
+    `# ${page.title || page.url}`,
+    '',
+    `- URL: <${page.url}>`,
+    `- Date: ${page.date.toISOString().slice(0, 10)}`,
+    '',
+    '## Highlights',
+    ''
+  ];
+
+  for (const highlight of highlights) {
+    const category = highlight.category ? ` _(${highlight.category})_` : '';
+    lines.push(`- **${highlight.text}**${category}`);
+    if (highlight.quote && highlight.quote !== highlight.text) {
+      lines.push(`  > ${highlight.quote}`);
+    }
+    if (highlight.rationale) {
+      lines.push(`  ${highlight.rationale}`);
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Format the highlights as plain JSON
+ * @param {{title: string, url: string, date: Date}} page The page details
+ * @param {Array<ExportedHighlight>} highlights The highlights
+ * @returns {string} The JSON document
+ */
+function formatJson(page, highlights) {
+  return JSON.stringify({
+    title: page.title,
+    url: page.url,
+    exportedAt: page.date.toISOString(),
+    highlights
+  }, null, 2);
+}
+
+/**
+ * Format the highlights as a W3C Web Annotation collection, one annotation with a TextQuoteSelector per highlight
+ * @param {{title: string, url: string, date: Date}} page The page details
+ * @param {Array<ExportedHighlight>} highlights The highlights
+ * @returns {string} The JSON-LD document
+ */
+function formatWebAnnotations(page, highlights) {
+  const created = page.date.toISOString();
+  const items = highlights.map(highlight => {
+    const body = [];
+    if (highlight.rationale) {
+      body.push({ type: 'TextualBody', value: highlight.rationale, purpose: 'commenting' });
+    }
+    if (highlight.category) {
+      body.push({ type: 'TextualBody', value: highlight.category, purpose: 'tagging' });
+    }
+
+    const annotation = {
+      id: `urn:uuid:${createUuid()}`,
+      type: 'Annotation',
+      motivation: 'highlighting',
+      created,
+      target: {
+        source: page.url,
+        selector: {
+          type: 'TextQuoteSelector',
+          exact: highlight.text,
+          prefix: highlight.prefix,
+          suffix: highlight.suffix
+        }
+      }
+    };
+    if (body.length > 0) {
+      annotation.body = body;
+    }
+    return annotation;
+  });
+
+  return JSON.stringify({
+    '@context': 'http://www.w3.org/ns/anno.jsonld',
+    id: `urn:uuid:${createUuid()}`,
+    type: 'AnnotationCollection',
+    label: page.title,
+    total: items.length,
+    first: {
+      type: 'AnnotationPage',
+      startIndex: 0,
+      items
+    }
+  }, null, 2);
+}
+
+/**
+ * Turn a page title into a file name
+ * @param {string} title The page title
+ * @param {string} extension The file extension
+ * @returns {string} The file name
+ */
+function getExportFileName(title, extension) {
+  const name = (title || 'highlights')
+    .replace(/[\\/:*?"<>|]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, 80);
+  return `${name || 'highlights'}.${extension}`;
+}
+
+/**
+ * Export the highlights of the page in document order
+ * @param {string} format markdown, json or annotations
+ * @returns {{content: string, fileName: string, mimeType: string, count: number}} The exported document
+ */
+function exportHighlights(format) {
+  const exportFormat = EXPORT_FORMATS[format] || EXPORT_FORMATS.markdown;
+  const page = { title: document.title, url: window.location.href, date: new Date() };
+  const highlights = window.IntelliReadNavigator.getOrderedHighlights().map(describeHighlight);
+
+  let content;
+  if (format === 'json') {
+    content = formatJson(page, highlights);
+  } else if (format === 'annotations') {
+    content = formatWebAnnotations(page, highlights);
+  } else {
+    content = formatMarkdown(page, highlights);
+  }
+
+  return {
+    content,
+    fileName: getExportFileName(page.title, exportFormat.extension),
+    mimeType: exportFormat.mimeType,
+    count: highlights.length
+  };
+}
+
+// mount the functions to the global object
+window.IntelliReadExporter.exportHighlights = exportHighlights;
@@ -0,0 +1,254 @@
+/**
+ * IntelliRead Content Extractor
+ * Find the main article content of a page and return it as a clean list of text blocks,
+ * using readability-style scoring so navigation, banners and footers are not analyzed.
+ * All functions work on the root they are given, so they can be run against saved HTML fixtures.
+ */
+
+// create a global object for IntelliReadExtractor
+window.IntelliReadExtractor = {};
+
+// elements that may hold a paragraph of text
+const CANDIDATE_SELECTOR = 'p, li, blockquote, dd, td, th, div';
+
+// block level elements, a candidate containing one of these is not a leaf text block
+const BLOCK_SELECTOR = 'p, div, li, ul, ol, dl, dd, dt, blockquote, table, tr, td, th, section, article, main, ' +
+  'header, footer, nav, aside, form, figure, pre, h1, h2, h3, h4, h5, h6';
+
+// the content under these containers is never analyzed
+const IGNORED_CONTAINER_SELECTORS = [
+  'nav', 'footer', 'header', 'aside', 'form', 'button', 'dialog',
+  '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]', '[role="dialog"]', '[aria-hidden="true"]',
+  '.sidebar', '.navigation', '.menu', '.footer', '.header',
+  '[id*="cookie"]', '[class*="cookie"]', '[class*="consent"]',
+  // the tooltip, highlight controls, minimap and summary panel of IntelliRead itself
+  '[data-intelliread-ui]'
+];
+
+// code and non-text content, never analyzed
+const CODE_CONTAINER_SELECTOR = 'pre, code, kbd, samp, script, style, noscript, textarea, svg';
+
+// class and id hints used to score content containers
+const POSITIVE_HINT_REGEX = /article|body|content|entry|main|page|post|text|blog|story/i;
+const NEGATIVE_HINT_REGEX = /comment|meta|footer|footnote|sidebar|sponsor|promo|related|share|social|nav|menu|cookie|banner|popup|modal|subscribe|newsletter|widget/i;
+
+// a block where more than this share of the text is link text is treated as navigation
+const MAX_LINK_DENSITY = 0.5;
+
+/**
+ * @typedef {object} ExtractOptions
+ * @property {number} [minLength] - Minimum text length of a block, default 30.
+ * @property {boolean} [checkVisibility] - Whether to skip invisible blocks, default true. Disable it where there is no layout, e.g. in fixtures.
+ * @property {string} [includeSelector] - Only take blocks inside these elements, replacing the content scoring.
+ * @property {string} [excludeSelector] - Never take blocks inside these elements.
+ */
+
+/**
+ * Normalize the whitespace of a text
+ * @param {string} text The text to normalize
+ * @returns {string} The text with collapsed and trimmed whitespace
+ */
+function normalizeBlockText(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Check if the element is under a container whose content should be ignored
+ * @param {Element} element The element to check
+ * @returns {boolean} Returns true if the element is inside an ignored container
+ */
+function isElementInIgnoredContainer(element) {
+  const ignoredSelector = IGNORED_CONTAINER_SELECTORS.join(', ');
+  // stop at the main content, and at <body> whose state classes (e.g. "cookie-banner-open") say nothing about the content
+  let parent = element;
+  while (parent !== null && parent.tagName !== 'BODY') {
+    if (parent.matches && parent.matches('article, main, [role="main"]')) {
+      return false;
+    }
+    if (parent.matches && parent.matches(ignoredSelector)) {
+      return true;
+    }
+    parent = parent.parentElement;
+  }
+
+  return false;
+}
+
+/**
+ * Check if the element is inside code or other non-prose content
+ * @param {Element} element The element to check
+ * @returns {boolean} Returns true if the element is inside code
+ */
+function isElementInCode(element) {
+  return !!element.closest(CODE_CONTAINER_SELECTOR) || !!element.querySelector('pre');
+}
+
+/**
+ * Check if the element is visible
+ * @param {Element} element The element to check
+ * @returns {boolean} Returns true if the element is rendered and visible
+ */
+function isElementVisible(element) {
+  const view = element.ownerDocument.defaultView;
+  if (!view) return true;
+
+  const style = view.getComputedStyle(element);
+  return style.display !== 'none' &&
+    style.visibility !== 'hidden' &&
+    element.offsetWidth > 0 &&
+    element.offsetHeight > 0;
+}
+
+/**
+ * Calculate the share of the element's text that is link text
+ * @param {Element} element The element to measure
+ * @returns {number} The link density between 0 and 1
+ */
+function getLinkDensity(element) {
+  const textLength = normalizeBlockText(element.textContent).length;
+  if (textLength === 0) return 0;
+
+  let linkLength = 0;
+  element.querySelectorAll('a').forEach(link => {
+    linkLength += normalizeBlockText(link.textContent).length;
+  });
+  return linkLength / textLength;
+}
+
+/**
+ * Score the class and id of an element, positive for content containers and negative for boilerplate
+ * @param {Element} element The element to score
+ * @returns {number} The class weight
+ */
+function getClassWeight(element) {
+  let weight = 0;
+  const hints = [element.className, element.id].filter(hint => typeof hint === 'string' && hint.length > 0);
+
+  for (const hint of hints) {
+    if (NEGATIVE_HINT_REGEX.test(hint)) weight -= 25;
+    if (POSITIVE_HINT_REGEX.test(hint)) weight += 25;
+  }
+
+  const tagName = element.tagName;
+  if (tagName === 'ARTICLE' || tagName === 'MAIN' || element.getAttribute('role') === 'main') {
+    weight += 25;
+  }
+
+  return weight;
+}
+
+/**
+ * Collect the leaf text blocks under the root, skipping ignored, code, invisible and link-heavy blocks
+ * @param {Document|Element} root The root to search
+ * @param {ExtractOptions} options The extract options
+ * @returns {Array<Element>} The text blocks in document order
+ */
+function collectTextBlocks(root, options) {
+  return Array.from(root.querySelectorAll(CANDIDATE_SELECTOR)).filter(element => {
+    // only take leaf blocks, a <li> holding <p> elements is covered by its paragraphs
+    if (element.querySelector(BLOCK_SELECTOR)) return false;
+
+    const text = normalizeBlockText(element.textContent);
+    if (text.length < options.minLength) return false;
+    if (isElementInCode(element)) return false;
+    if (isElementInIgnoredContainer(element)) return false;
+    if (getLinkDensity(element) > MAX_LINK_DENSITY) return false;
+    if (options.excludeSelector && element.closest(options.excludeSelector)) return false;
+    if (options.checkVisibility && !isElementVisible(element)) return false;
+
+    return true;
+  });
+}
+
+/**
+ * Score the ancestors of every text block and return the best content container
+ * @param {Array<Element>} blocks The text blocks
+ * @returns {{container: Element, score: number, scores: Map<Element, number>}|null} The top container, or null if there is none
+ */
+function findTopContainer(blocks) {
+  const scores = new Map();
+
+  const initScore = (element) => {
+    if (!scores.has(element)) {
+      scores.set(element, getClassWeight(element));
+    }
+  };
+
+  for (const block of blocks) {
+    const text = normalizeBlockText(block.textContent);
+    // one point per block, per comma and per 100 characters up to 3
+    const blockScore = 1 + text.split(/[,，、]/).length + Math.min(Math.floor(text.length / 100), 3);
+
+    const parent = block.parentElement;
+    if (!parent) continue;
+    initScore(parent);
+    scores.set(parent, scores.get(parent) + blockScore);
+
+    const grandparent = parent.parentElement;
+    if (grandparent) {
+      initScore(grandparent);
+      scores.set(grandparent, scores.get(grandparent) + blockScore / 2);
+    }
+  }
+
+  let top = null;
+  for (const [element, score] of scores) {
+    // link-heavy containers are menus, not articles
+    const adjustedScore = score * (1 - getLinkDensity(element));
+    scores.set(element, adjustedScore);
+    if (!top || adjustedScore > top.score) {
+      top = { container: element, score: adjustedScore };
+    }
+  }
+
+  return top ? { ...top, scores } : null;
+}
+
+/**
+ * Extract the main content of the page as a list of text blocks
+ * @param {Document|Element} [root] The root to extract from, defaults to the current document
+ * @param {ExtractOptions} [options] The extract options
+ * @returns {Array<Element>} The text blocks of the main content, in document order
+ */
+function extractTextBlocks(root = document, options = {}) {
+  const extractOptions = {
+    minLength: 30,
+    checkVisibility: true,
+    ...options
+  };
+
+  const blocks = collectTextBlocks(root, extractOptions);
+
+  // a site rule knows where the content is, no scoring needed
+  if (extractOptions.includeSelector) {
+    return blocks.filter(block => block.closest(extractOptions.includeSelector));
+  }
+
+  const top = findTopContainer(blocks);
+
+  // without a clear content container, fall back to every clean block
+  if (!top || top.score < 10) {
+    return blocks;
+  }
+
+  // include siblings of the top container that score well too, articles are often split across several wrappers
+  const siblingThreshold = Math.max(10, top.score * 0.2);
+  const containers = [top.container];
+  const parent = top.container.parentElement;
+  if (parent) {
+    for (const sibling of parent.children) {
+      if (sibling !== top.container && (top.scores.get(sibling) || 0) >= siblingThreshold) {
+        containers.push(sibling);
+      }
+    }
+  }
+
+  return blocks.filter(block => containers.some(container => container.contains(block)));
+}
+
+// mount the functions to the global object
+window.IntelliReadExtractor.extractTextBlocks = extractTextBlocks;
+window.IntelliReadExtractor.collectTextBlocks = collectTextBlocks;
+window.IntelliReadExtractor.findTopContainer = findTopContainer;
+window.IntelliReadExtractor.isElementInIgnoredContainer = isElementInIgnoredContainer;
+window.IntelliReadExtractor.isElementVisible = isElementVisible;
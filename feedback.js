@@ -0,0 +1,132 @@
+/**
+ * IntelliRead Keypoint Feedback
+ * Keep the keypoints the reader accepted or rejected on each domain in chrome.storage.local,
+ * so future analyses of the domain can be steered with a few examples. Votes and resets are only written by
+ * the background service worker, so the votes of all tabs are added one at a time.
+ * Shared by the content scripts, the options page and the background service worker.
+ */
+
+// create a global object for IntelliReadFeedback
+self.IntelliReadFeedback = {};
+
+const FEEDBACK_STORAGE_KEY = 'domainFeedback';
+
+// keep this many accepted and this many rejected keypoints per domain, the oldest are dropped
+const MAX_FEEDBACK_ENTRIES = 50;
+
+// the prompt gets this many of the newest examples of each kind, keypoints are cut at this length
+const FEEDBACK_PROMPT_EXAMPLES = 5;
+const FEEDBACK_EXAMPLE_MAX_LENGTH = 80;
+
+// feedback writes wait for the previous one, every write reads and replaces the feedback of all domains
+let feedbackWriteQueue = Promise.resolve();
+
+/**
+ * @typedef {object} DomainFeedback
+ * @property {Array<string>} accepted - The keypoints the reader liked, newest first.
+ * @property {Array<string>} rejected - The keypoints the reader rejected, newest first.
+ */
+
+/**
+ * Get the feedback of every domain
+ * @returns {Promise<Object<string, DomainFeedback>>} The feedback by domain
+ */
+function getAllDomainFeedback() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get({ [FEEDBACK_STORAGE_KEY]: {} }, (items) => {
+      resolve(items[FEEDBACK_STORAGE_KEY]);
+    });
+  });
+}
+
+/**
+ * Get the feedback of a domain
+ * @param {string} domain The domain
+ * @returns {Promise<DomainFeedback>} The feedback, empty if there is none
+ */
+async function getDomainFeedback(domain) {
+  const allFeedback = await getAllDomainFeedback();
+  return allFeedback[domain] || { accepted: [], rejected: [] };
+}
+
+/**
+ * Change the feedback of every domain after the writes before it are done
+ * @param {function(Object<string, DomainFeedback>): void} change Changes the feedback by domain in place
+ * @returns {Promise<void>} Rejects if the feedback could not be saved
+ */
+function updateAllDomainFeedback(change) {
+  const write = feedbackWriteQueue.then(async () => {
+    const allFeedback = await getAllDomainFeedback();
+    change(allFeedback);
+
+    await new Promise((resolve, reject) => {
+      chrome.storage.local.set({ [FEEDBACK_STORAGE_KEY]: allFeedback }, () => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else {
+          resolve();
+        }
+      });
+    });
+  });
+  // a failed write does not stop the ones after it
+  feedbackWriteQueue = write.catch(() => {});
+  return write;
+}
+
+/**
+ * Record that the reader accepted or rejected a keypoint, a later vote on the same keypoint replaces the earlier one,
+ * only called by the background service worker
+ * @param {string} domain The domain the keypoint was highlighted on
+ * @param {string} keypoint The keypoint
+ * @param {boolean} isAccepted True for thumbs up, false for thumbs down
+ * @returns {Promise<void>}
+ */
+function recordKeypointFeedback(domain, keypoint, isAccepted) {
+  return updateAllDomainFeedback((allFeedback) => {
+    const feedback = allFeedback[domain] || { accepted: [], rejected: [] };
+
+    const accepted = feedback.accepted.filter(text => text !== keypoint);
+    const rejected = feedback.rejected.filter(text => text !== keypoint);
+    (isAccepted ? accepted : rejected).unshift(keypoint);
+
+    allFeedback[domain] = {
+      accepted: accepted.slice(0, MAX_FEEDBACK_ENTRIES),
+      rejected: rejected.slice(0, MAX_FEEDBACK_ENTRIES)
+    };
+  });
+}
+
+/**
+ * Forget everything learned on a domain, only called by the background service worker
+ * @param {string} domain The domain
+ * @returns {Promise<void>}
+ */
+function resetDomainFeedback(domain) {
+  return updateAllDomainFeedback((allFeedback) => {
+    delete allFeedback[domain];
+  });
+}
+
+/**
+ * Pick the few newest examples of each kind for the prompt
+ * @param {DomainFeedback} feedback The feedback of a domain
+ * @returns {DomainFeedback} The examples, shortened
+ */
+function getFeedbackExamples(feedback) {
+  const shorten = text => text.length > FEEDBACK_EXAMPLE_MAX_LENGTH
+    ? `${text.slice(0, FEEDBACK_EXAMPLE_MAX_LENGTH)}…`
+    : text;
+
+  return {
+    accepted: feedback.accepted.slice(0, FEEDBACK_PROMPT_EXAMPLES).map(shorten),
+    rejected: feedback.rejected.slice(0, FEEDBACK_PROMPT_EXAMPLES).map(shorten)
+  };
+}
+
+// mount the functions to the global object
+self.IntelliReadFeedback.getAllDomainFeedback = getAllDomainFeedback;
+self.IntelliReadFeedback.getDomainFeedback = getDomainFeedback;
+self.IntelliReadFeedback.recordKeypointFeedback = recordKeypointFeedback;
+self.IntelliReadFeedback.resetDomainFeedback = resetDomainFeedback;
+self.IntelliReadFeedback.getFeedbackExamples = getFeedbackExamples;
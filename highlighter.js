@@ -0,0 +1,342 @@
+/**
+ * IntelliRead Highlighter
+ * Wrap keypoints in highlight spans by splitting text nodes instead of rewriting innerHTML,
+ * so links, event listeners and framework-managed nodes stay intact, and keep a record of
+ * every change so the original DOM can be restored.
+ */
+
+// create a global object for IntelliReadHighlighter
+window.IntelliReadHighlighter = {};
+
+const HIGHLIGHT_ID_ATTRIBUTE = 'data-intelliread-id';
+const RATIONALE_ATTRIBUTE = 'data-intelliread-rationale';
+const SOURCE_ATTRIBUTE = 'data-intelliread-source';
+
+// text inside these elements is never highlighted
+const UNHIGHLIGHTABLE_SELECTOR = 'script, style, noscript, textarea';
+
+/**
+ * @typedef {object} HighlightRecord
+ * @property {number} id - The highlight id, also set on every span of the highlight.
+ * @property {string} keypoint - The highlighted keypoint.
+ * @property {string} [category] - The keypoint category.
+ * @property {string} [rationale] - Why the keypoint matters.
+ * @property {string} source - Who added the highlight: ai for the model, user for a manual highlight.
+ * @property {Element} element - The element the keypoint was found in.
+ * @property {Array<HTMLElement>} spans - The wrapper spans, one per text node the match spans.
+ */
+
+/**
+ * @typedef {object} HighlightOptions
+ * @property {string} className - The class of the wrapper spans.
+ * @property {string} style - The highlight style: background, underline or dashed.
+ * @property {string} color - The highlight color.
+ * @property {string} [category] - The keypoint category, set as data-intelliread-category.
+ * @property {string} [rationale] - Why the keypoint matters, set as data-intelliread-rationale for the tooltip.
+ * @property {string} [source] - Who added the highlight, ai by default, set as data-intelliread-source.
+ * @property {MatchOptions} [match] - How tolerant the search for the keypoint is.
+ * @property {Array<{start: number, end: number}>} [matches] - Matches found before with findHighlightMatches, the search is skipped.
+ */
+
+// every highlight applied on the page, by id
+const highlightRecords = new Map();
+
+// text nodes split off from page text nodes, merged back into their previous sibling on restore
+const splitTextNodes = new WeakSet();
+
+let nextHighlightId = 1;
+
+/**
+ * Collect the text nodes under an element with their offsets in the concatenated text
+ * @param {Element} element The element to index
+ * @returns {{text: string, nodes: Array<{node: Text, start: number}>}} The concatenated text and node offsets
+ */
+function indexTextNodes(element) {
+  const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT, {
+    acceptNode(node) {
+      return node.parentElement && node.parentElement.closest(UNHIGHLIGHTABLE_SELECTOR)
+        ? NodeFilter.FILTER_REJECT
+        : NodeFilter.FILTER_ACCEPT;
+    }
+  });
+
+  const nodes = [];
+  let text = '';
+  while (walker.nextNode()) {
+    nodes.push({ node: walker.currentNode, start: text.length });
+    text += walker.currentNode.data;
+  }
+
+  return { text, nodes };
+}
+
+/**
+ * Find the text node and local offset for an offset in the concatenated text
+ * @param {Array<{node: Text, start: number}>} nodes The indexed text nodes
+ * @param {number} offset The offset in the concatenated text
+ * @param {boolean} isEnd Whether the offset is the end of a match, which belongs to the previous node at a boundary
+ * @returns {{node: Text, offset: number}} The position in the DOM
+ */
+function locateOffset(nodes, offset, isEnd) {
+  for (let i = nodes.length - 1; i >= 0; i--) {
+    const { node, start } = nodes[i];
+    if (isEnd ? offset > start : offset >= start) {
+      return { node, offset: offset - start };
+    }
+  }
+  return { node: nodes[0].node, offset: 0 };
+}
+
+/**
+ * Check if a range touches text that is already highlighted
+ * @param {Range} range The range to check
+ * @param {string} className The highlight class
+ * @returns {boolean} Returns true if the range overlaps an existing highlight
+ */
+function rangeOverlapsHighlight(range, className) {
+  const container = range.commonAncestorContainer;
+  const containerElement = container.nodeType === Node.TEXT_NODE ? container.parentElement : container;
+  if (containerElement.closest(`.${className}`)) return true;
+
+  return Array.from(containerElement.querySelectorAll(`.${className}`))
+    .some(span => range.intersectsNode(span));
+}
+
+/**
+ * Get the text nodes inside a range with the part of each node the range covers
+ * @param {Range} range The range
+ * @returns {Array<{node: Text, start: number, end: number}>} The covered text segments
+ */
+function getRangeTextSegments(range) {
+  const root = range.commonAncestorContainer;
+  if (root.nodeType === Node.TEXT_NODE) {
+    return [{ node: root, start: range.startOffset, end: range.endOffset }];
+  }
+
+  const segments = [];
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    if (!range.intersectsNode(node)) continue;
+
+    const start = node === range.startContainer ? range.startOffset : 0;
+    const end = node === range.endContainer ? range.endOffset : node.length;
+    if (end > start) {
+      segments.push({ node, start, end });
+    }
+  }
+  return segments;
+}
+
+/**
+ * Create a highlight span for the given options
+ * @param {number} id The highlight id
+ * @param {HighlightOptions} options The highlight options
+ * @returns {HTMLElement} The span
+ */
+function createHighlightSpan(id, options) {
+  const span = document.createElement('span');
+  span.className = `${options.className} style-${options.style}`;
+  span.setAttribute(HIGHLIGHT_ID_ATTRIBUTE, String(id));
+  span.setAttribute(SOURCE_ATTRIBUTE, options.source || 'ai');
+  if (options.category) {
+    span.setAttribute('data-intelliread-category', options.category);
+  }
+  if (options.rationale) {
+    span.setAttribute(RATIONALE_ATTRIBUTE, options.rationale);
+  }
+  if (options.style === 'background') {
+    span.style.backgroundColor = options.color;
+  } else {
+    span.style.borderBottomColor = options.color;
+  }
+  return span;
+}
+
+/**
+ * Wrap the part of a text node between start and end in a span
+ * @param {Text} node The text node
+ * @param {number} start The start offset in the node
+ * @param {number} end The end offset in the node
+ * @param {HTMLElement} span The wrapper span
+ */
+function wrapTextSegment(node, start, end, span) {
+  let target = node;
+  if (start > 0) {
+    target = node.splitText(start);
+    splitTextNodes.add(target);
+  }
+  if (end - start < target.length) {
+    splitTextNodes.add(target.splitText(end - start));
+  }
+
+  target.parentNode.insertBefore(span, target);
+  span.appendChild(target);
+}
+
+/**
+ * Wrap every text node covered by a range in highlight spans
+ * @param {Range} range The range of the keypoint
+ * @param {number} id The highlight id
+ * @param {HighlightOptions} options The highlight options
+ * @returns {Array<HTMLElement>} The created spans
+ */
+function wrapRange(range, id, options) {
+  const segments = getRangeTextSegments(range);
+  const spans = [];
+
+  // wrap from the end, so splitting a node does not move the offsets of the segments before it
+  for (let i = segments.length - 1; i >= 0; i--) {
+    const { node, start, end } = segments[i];
+    const span = createHighlightSpan(id, options);
+    wrapTextSegment(node, start, end, span);
+    spans.unshift(span);
+  }
+
+  return spans;
+}
+
+/**
+ * Find the occurrences of a keypoint in the highlightable text of an element
+ * @param {Element} element The element to search
+ * @param {string} keypoint The keypoint
+ * @param {MatchOptions} [matchOptions] How tolerant the search is
+ * @returns {Array<{start: number, end: number}>} The matches as offsets in the text, they stay valid while only highlights are added
+ */
+function findHighlightMatches(element, keypoint, matchOptions) {
+  const { text } = indexTextNodes(element);
+  return window.IntelliReadMatcher.findKeypointMatches(text, keypoint, matchOptions);
+}
+
+/**
+ * Highlight every occurrence of a keypoint inside an element, including occurrences spanning inline elements
+ * @param {Element} element The element to search
+ * @param {string} keypoint The keypoint to highlight
+ * @param {HighlightOptions} options The highlight options
+ * @returns {Array<HighlightRecord>} The created highlights
+ */
+function highlightKeypoint(element, keypoint, options) {
+  const { text, nodes } = indexTextNodes(element);
+  if (nodes.length === 0) return [];
+
+  // highlight spans only split text nodes, so matches found before still point at the same text
+  const matches = options.matches || window.IntelliReadMatcher.findKeypointMatches(text, keypoint, options.match);
+  const ranges = [];
+
+  for (const match of matches) {
+    const start = locateOffset(nodes, match.start, false);
+    const end = locateOffset(nodes, match.end, true);
+    const range = document.createRange();
+    range.setStart(start.node, start.offset);
+    range.setEnd(end.node, end.offset);
+
+    if (!rangeOverlapsHighlight(range, options.className)) {
+      ranges.push(range);
+    }
+  }
+
+  // wrap from the last match, so earlier ranges keep pointing at unchanged text nodes
+  const records = [];
+  const firstId = nextHighlightId;
+  nextHighlightId += ranges.length;
+  for (let i = ranges.length - 1; i >= 0; i--) {
+    const id = firstId + i;
+    const spans = wrapRange(ranges[i], id, options);
+    // one tab stop per highlight, so keyboard users can reach the explanation
+    if (options.rationale && spans.length > 0) {
+      spans[0].tabIndex = 0;
+    }
+    const record = {
+      id,
+      keypoint,
+      category: options.category,
+      rationale: options.rationale,
+      source: options.source || 'ai',
+      element,
+      spans
+    };
+    highlightRecords.set(id, record);
+    records.unshift(record);
+  }
+
+  return records;
+}
+
+/**
+ * Remove the spans of a highlight and merge the split text nodes back together
+ * @param {number} id The highlight id
+ * @returns {boolean} Returns true if the highlight existed
+ */
+function removeHighlight(id) {
+  const record = highlightRecords.get(id);
+  if (!record) return false;
+
+  const parents = new Set();
+  for (const span of record.spans) {
+    const parent = span.parentNode;
+    if (!parent) continue;
+    while (span.firstChild) {
+      parent.insertBefore(span.firstChild, span);
+    }
+    parent.removeChild(span);
+    parents.add(parent);
+  }
+
+  parents.forEach(mergeSplitTextNodes);
+  highlightRecords.delete(id);
+  return true;
+}
+
+/**
+ * Merge the text nodes split off by the highlighter back into the text node they came from
+ * @param {Node} parent The parent whose children to merge
+ */
+function mergeSplitTextNodes(parent) {
+  let child = parent.firstChild;
+  while (child) {
+    const next = child.nextSibling;
+    const previous = child.previousSibling;
+    if (splitTextNodes.has(child) && previous && previous.nodeType === Node.TEXT_NODE) {
+      previous.appendData(child.data);
+      parent.removeChild(child);
+      splitTextNodes.delete(child);
+    }
+    child = next;
+  }
+}
+
+/**
+ * Remove every highlight and restore the original DOM
+ */
+function clearAllHighlights() {
+  // remove the newest highlights first, they may have split the text of older ones
+  Array.from(highlightRecords.keys()).reverse().forEach(removeHighlight);
+}
+
+/**
+ * Get a highlight by its id
+ * @param {number} id The highlight id
+ * @returns {HighlightRecord|null} The highlight, or null if it does not exist
+ */
+function getHighlight(id) {
+  return highlightRecords.get(id) || null;
+}
+
+/**
+ * Get every highlight currently applied on the page
+ * @returns {Array<HighlightRecord>} The highlights in the order they were applied
+ */
+function getHighlights() {
+  return Array.from(highlightRecords.values());
+}
+
+// mount the functions to the global object
+window.IntelliReadHighlighter.HIGHLIGHT_ID_ATTRIBUTE = HIGHLIGHT_ID_ATTRIBUTE;
+window.IntelliReadHighlighter.RATIONALE_ATTRIBUTE = RATIONALE_ATTRIBUTE;
+window.IntelliReadHighlighter.SOURCE_ATTRIBUTE = SOURCE_ATTRIBUTE;
+window.IntelliReadHighlighter.findHighlightMatches = findHighlightMatches;
+window.IntelliReadHighlighter.highlightKeypoint = highlightKeypoint;
+window.IntelliReadHighlighter.removeHighlight = removeHighlight;
+window.IntelliReadHighlighter.clearAllHighlights = clearAllHighlights;
+window.IntelliReadHighlighter.getHighlight = getHighlight;
+window.IntelliReadHighlighter.getHighlights = getHighlights;
@@ -0,0 +1,227 @@
+document.addEventListener('DOMContentLoaded', () => {
+  const searchInput = document.getElementById('library-search');
+  const domainSelect = document.getElementById('library-domain');
+  const dateSelect = document.getElementById('library-date');
+  const summaryEl = document.getElementById('library-summary');
+  const listEl = document.getElementById('library-list');
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  // every page of the library, newest first
+  let libraryPages = [];
+
+  localizeUI();
+  loadLibrary();
+
+  searchInput.addEventListener('input', renderLibrary);
+  domainSelect.addEventListener('change', renderLibrary);
+  dateSelect.addEventListener('change', renderLibrary);
+
+  // pages analyzed in other tabs show up when coming back to the library
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') {
+      loadLibrary();
+    }
+  });
+
+  function loadLibrary() {
+    window.IntelliReadCache.sendCacheMessage('getLibraryPages', []).then(pages => {
+      libraryPages = pages;
+      renderDomainOptions();
+      renderLibrary();
+    }).catch(error => {
+      console.error('Failed to load the library:', error);
+      summaryEl.textContent = chrome.i18n.getMessage('library_load_failed');
+    });
+  }
+
+  // list the domains of the library, keeping the selected one
+  function renderDomainOptions() {
+    const selectedDomain = domainSelect.value;
+    const domains = Array.from(new Set(libraryPages.map(page => page.domain))).sort();
+
+    while (domainSelect.options.length > 1) {
+      domainSelect.remove(1);
+    }
+    domains.forEach(domain => {
+      const option = document.createElement('option');
+      option.value = domain;
+      option.textContent = domain;
+      domainSelect.appendChild(option);
+    });
+    domainSelect.value = domains.includes(selectedDomain) ? selectedDomain : '';
+  }
+
+  // split the search query into lowercase terms, every term has to match
+  function getSearchTerms() {
+    return searchInput.value.toLowerCase().split(/\s+/).filter(Boolean);
+  }
+
+  /**
+   * Check if a page passes the search and the filters
+   * @param {LibraryPage} page The page
+   * @param {Array<string>} terms The search terms
+   * @returns {boolean} Returns true if the page should be listed
+   */
+  function isPageShown(page, terms) {
+    if (domainSelect.value && page.domain !== domainSelect.value) return false;
+
+    const days = Number(dateSelect.value);
+    if (days > 0 && page.timestamp < Date.now() - days * DAY_MS) return false;
+
+    const searchableText = [page.title, page.url, ...(page.keypoints || []).map(keypoint => keypoint.text)]
+      .join('\n')
+      .toLowerCase();
+    return terms.every(term => searchableText.includes(term));
+  }
+
+  function renderLibrary() {
+    const terms = getSearchTerms();
+    const pages = libraryPages.filter(page => isPageShown(page, terms));
+
+    listEl.textContent = '';
+    summaryEl.textContent = chrome.i18n.getMessage('library_summary', [String(pages.length), String(libraryPages.length)]);
+
+    if (pages.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'library-empty';
+      empty.textContent = chrome.i18n.getMessage(libraryPages.length === 0 ? 'library_empty' : 'library_no_match');
+      listEl.appendChild(empty);
+      return;
+    }
+
+    pages.forEach(page => listEl.appendChild(createPageEntry(page, terms)));
+  }
+
+  /**
+   * Create the entry of a page, with its keypoints linking back to the text on the page
+   * @param {LibraryPage} page The page
+   * @param {Array<string>} terms The search terms to mark
+   * @returns {HTMLElement} The entry
+   */
+  function createPageEntry(page, terms) {
+    const entry = document.createElement('div');
+    entry.className = 'library-page';
+
+    const header = document.createElement('div');
+    header.className = 'library-page-header';
+
+    const title = document.createElement('a');
+    title.className = 'library-page-title';
+    title.href = page.url;
+    title.target = '_blank';
+    title.rel = 'noopener';
+    appendMarkedText(title, page.title || page.url, terms);
+    header.appendChild(title);
+
+    const deleteButton = document.createElement('button');
+    deleteButton.type = 'button';
+    deleteButton.className = 'delete-btn';
+    deleteButton.textContent = chrome.i18n.getMessage('library_delete');
+    deleteButton.addEventListener('click', () => deletePage(page));
+    header.appendChild(deleteButton);
+    entry.appendChild(header);
+
+    const meta = document.createElement('div');
+    meta.className = 'library-page-meta';
+    meta.textContent = `${page.url} · ${new Date(page.timestamp).toLocaleString()}`;
+    if (page.keypoints) {
+      meta.textContent += ` · ${chrome.i18n.getMessage('library_keypoint_count', [String(page.keypoints.length)])}`;
+    }
+    entry.appendChild(meta);
+
+    // pages highlighted before the library list their keypoints once they are opened again
+    if (!page.keypoints) {
+      const note = document.createElement('div');
+      note.className = 'library-page-meta';
+      note.textContent = chrome.i18n.getMessage('library_keypoints_pending');
+      entry.appendChild(note);
+      return entry;
+    }
+
+    const keypointList = document.createElement('ul');
+    keypointList.className = 'library-keypoints';
+    page.keypoints.forEach(keypoint => {
+      const item = document.createElement('li');
+      const link = document.createElement('a');
+      link.href = getTextFragmentUrl(page.url, keypoint.text);
+      link.target = '_blank';
+      link.rel = 'noopener';
+      link.title = keypoint.rationale || chrome.i18n.getMessage('library_open_keypoint');
+      appendMarkedText(link, keypoint.text, terms);
+      item.appendChild(link);
+      keypointList.appendChild(item);
+    });
+    entry.appendChild(keypointList);
+
+    return entry;
+  }
+
+  /**
+   * Append a text to an element, wrapping the search terms in mark elements
+   * @param {HTMLElement} parent The element
+   * @param {string} text The text
+   * @param {Array<string>} terms The lowercase search terms
+   */
+  function appendMarkedText(parent, text, terms) {
+    if (terms.length === 0) {
+      parent.textContent = text;
+      return;
+    }
+
+    const escapedTerms = terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const termRegex = new RegExp(`(${escapedTerms.join('|')})`, 'gi');
+    text.split(termRegex).forEach((part, index) => {
+      // the captured terms are at the odd indexes
+      if (index % 2 === 1) {
+        const mark = document.createElement('mark');
+        mark.textContent = part;
+        parent.appendChild(mark);
+      } else if (part) {
+        parent.appendChild(document.createTextNode(part));
+      }
+    });
+  }
+
+  /**
+   * Build a URL that opens the page scrolled to a text, using a text fragment
+   * @param {string} url The page URL
+   * @param {string} text The text to scroll to
+   * @returns {string} The URL with the text fragment
+   */
+  function getTextFragmentUrl(url, text) {
+    // a dash separates the parts of a text fragment, so it has to be encoded too
+    const encodedText = encodeURIComponent(text).replace(/-/g, '%2D');
+    return `${url}${url.includes('#') ? '' : '#'}:~:text=${encodedText}`;
+  }
+
+  function deletePage(page) {
+    if (!confirm(chrome.i18n.getMessage('library_delete_confirm', [page.title || page.url]))) return;
+
+    window.IntelliReadCache.sendCacheMessage('deleteLibraryPage', [page.url]).then(() => {
+      libraryPages = libraryPages.filter(other => other.url !== page.url);
+      renderDomainOptions();
+      renderLibrary();
+    }).catch(error => {
+      console.error('Failed to delete the library page:', error);
+    });
+  }
+
+  function localizeUI() {
+    document.title = chrome.i18n.getMessage('library_title');
+
+    document.querySelectorAll('h1, option').forEach(el => {
+      if (el.textContent.includes('__MSG_')) {
+        const messageName = el.textContent.match(/__MSG_([a-zA-Z0-9_]+)__/)[1];
+        el.textContent = chrome.i18n.getMessage(messageName);
+      }
+    });
+
+    document.querySelectorAll('input[placeholder]').forEach(el => {
+      if (el.placeholder.includes('__MSG_')) {
+        const messageName = el.placeholder.match(/__MSG_([a-zA-Z0-9_]+)__/)[1];
+        el.placeholder = chrome.i18n.getMessage(messageName);
+      }
+    });
+  }
+});
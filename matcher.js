@@ -0,0 +1,243 @@
+/**
+ * IntelliRead Keypoint Matcher
+ * Find a keypoint in the text of a paragraph even when the model changed it slightly: curly quotes,
+ * collapsed whitespace, full-width punctuation, case and a trailing period are normalized away, and the match
+ * is mapped back to offsets in the original text. Latin-script keypoints only match whole words,
+ * and an optional fuzzy search finds the most similar passage above a threshold.
+ */
+
+// create a global object for IntelliReadMatcher
+window.IntelliReadMatcher = {};
+
+// characters mapped to a plain equivalent before matching, full-width forms are handled by NFKC
+const MATCH_CHAR_REPLACEMENTS = {
+  '“': '"', '”': '"', '„': '"', '‟': '"', '«': '"', '»': '"',
+  '「': '"', '」': '"', '『': '"', '』': '"',
+  '‘': "'", '’': "'", '‚': "'", '‛': "'",
+  '–': '-', '—': '-', '−': '-',
+  '。': '.', '、': ',', '…': '...'
+};
+
+// invisible characters that are dropped, e.g. soft hyphens and zero-width spaces
+const MATCH_IGNORED_CHARS = /[\u00AD\u200B-\u200D\u2060\uFEFF]/;
+
+// punctuation that whitespace around is ignored, full-width punctuation carries its own spacing
+const MATCH_SPACING_PUNCTUATION = /[.,;:!?]/;
+
+// punctuation and quotes trimmed from both ends of a keypoint
+const KEYPOINT_EDGE_PUNCTUATION = /^[\s"'.,;:!?]+|[\s"'.,;:!?]+$/g;
+
+// a letter or digit of a script that separates words with spaces
+const LATIN_WORD_CHAR = /[\p{Script=Latin}\p{Script=Greek}\p{Script=Cyrillic}\p{N}_]/u;
+
+// fuzzy matching is skipped for keypoints shorter than this, they match too much by chance
+const FUZZY_MIN_LENGTH = 4;
+const DEFAULT_FUZZY_THRESHOLD = 0.85;
+
+/**
+ * @typedef {object} MatchOptions
+ * @property {boolean} [wholeWords] - Whether Latin-script keypoints only match whole words, true by default.
+ * @property {boolean} [fuzzy] - Whether to look for the most similar passage when there is no normalized match.
+ * @property {number} [threshold] - The minimum similarity of a fuzzy match, between 0 and 1.
+ */
+
+/**
+ * @typedef {object} NormalizedText
+ * @property {string} text - The normalized text.
+ * @property {Array<number>} starts - The offset in the original text where each UTF-16 unit of the normalized text starts.
+ * @property {Array<number>} ends - The offset in the original text where each UTF-16 unit of the normalized text ends.
+ */
+
+/**
+ * Normalize a text for matching and remember where every normalized character came from
+ * @param {string} text The original text
+ * @returns {NormalizedText} The normalized text with its offset maps
+ */
+function normalizeForMatch(text) {
+  const result = { text: '', starts: [], ends: [] };
+  let lastWasSpace = false;
+
+  let offset = 0;
+  for (const char of text) {
+    const start = offset;
+    offset += char.length;
+    if (MATCH_IGNORED_CHARS.test(char)) continue;
+
+    const normalized = (MATCH_CHAR_REPLACEMENTS[char] || char.normalize('NFKC')).toLowerCase();
+    for (const normalizedChar of normalized) {
+      // a run of whitespace becomes one space that covers the whole run
+      if (/\s/.test(normalizedChar)) {
+        if (lastWasSpace) {
+          result.ends[result.ends.length - 1] = offset;
+          continue;
+        }
+        if (MATCH_SPACING_PUNCTUATION.test(result.text[result.text.length - 1])) continue;
+        lastWasSpace = true;
+        result.text += ' ';
+      } else {
+        if (lastWasSpace && MATCH_SPACING_PUNCTUATION.test(normalizedChar)) {
+          result.text = result.text.slice(0, -1);
+          result.starts.pop();
+          result.ends.pop();
+        }
+        lastWasSpace = false;
+        result.text += normalizedChar;
+      }
+      // the searches count UTF-16 units, so both halves of a surrogate pair such as an emoji get an entry
+      for (let unit = 0; unit < normalizedChar.length; unit++) {
+        result.starts.push(start);
+        result.ends.push(offset);
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Normalize a keypoint the same way as the text, without surrounding quotes and punctuation
+ * @param {string} keypoint The keypoint
+ * @returns {string} The normalized keypoint, may be empty
+ */
+function normalizeKeypoint(keypoint) {
+  return normalizeForMatch(keypoint).text.replace(KEYPOINT_EDGE_PUNCTUATION, '');
+}
+
+/**
+ * Check that a match does not start or end inside a word, for keypoints starting or ending with a Latin-script character
+ * @param {string} text The normalized text
+ * @param {number} start The start of the match
+ * @param {number} end The end of the match
+ * @returns {boolean} Returns true if the match is on word boundaries
+ */
+function isOnWordBoundaries(text, start, end) {
+  const startsWithWordChar = LATIN_WORD_CHAR.test(text[start]);
+  const endsWithWordChar = LATIN_WORD_CHAR.test(text[end - 1]);
+  const continuesBefore = start > 0 && LATIN_WORD_CHAR.test(text[start - 1]);
+  const continuesAfter = end < text.length && LATIN_WORD_CHAR.test(text[end]);
+  return !(startsWithWordChar && continuesBefore) && !(endsWithWordChar && continuesAfter);
+}
+
+/**
+ * Compute the edit distance between a keypoint and the passages of every length starting at one position of a text,
+ * only inside the band of distances up to the maximum, so a passage that cannot match is given up early
+ * @param {string} text The text
+ * @param {number} start Where the passages start
+ * @param {string} keypoint The keypoint
+ * @param {number} maxLength The longest passage
+ * @param {number} maxDistance The largest distance that is needed exactly
+ * @returns {Array<number>} The distance of the passage of each length, larger than maxDistance when it is not needed,
+ * shorter than maxLength + 1 once every longer passage is too far
+ */
+function getPassageDistances(text, start, keypoint, maxLength, maxDistance) {
+  // previous[j] is the distance between the passage so far and the first j characters of the keypoint,
+  // the two rows are reused and the cells next to the band are reset, the cells further out are never read
+  let previous = Array.from({ length: keypoint.length + 1 }, (_, j) => (j <= maxDistance ? j : Infinity));
+  let current = new Array(keypoint.length + 1);
+  const distances = [previous[keypoint.length]];
+
+  const lastLength = Math.min(maxLength, text.length - start);
+  for (let i = 1; i <= lastLength; i++) {
+    const from = Math.max(1, i - maxDistance);
+    const to = Math.min(keypoint.length, i + maxDistance);
+    current[0] = i <= maxDistance ? i : Infinity;
+    current[from - 1] = from > 1 ? Infinity : current[0];
+    if (to < keypoint.length) current[to + 1] = Infinity;
+
+    let rowMin = current[0];
+    for (let j = from; j <= to; j++) {
+      const cost = text[start + i - 1] === keypoint[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    distances.push(to === keypoint.length ? current[keypoint.length] : Infinity);
+    // the distances never get smaller in later rows
+    if (rowMin > maxDistance) break;
+    [previous, current] = [current, previous];
+  }
+
+  return distances;
+}
+
+/**
+ * Find the passage of the text most similar to the keypoint
+ * @param {string} text The normalized text
+ * @param {string} keypoint The normalized keypoint
+ * @param {number} threshold The minimum similarity, between 0 and 1
+ * @param {boolean} wholeWords Whether the passage has to be on word boundaries
+ * @returns {{start: number, end: number}|null} The passage in normalized offsets, or null if none is similar enough
+ */
+function findFuzzyMatch(text, keypoint, threshold, wholeWords) {
+  // a passage more than this many characters longer or shorter can never reach the threshold
+  const maxDistance = Math.floor(keypoint.length * (1 - threshold));
+  // no passage within that length reaches the threshold with a larger distance
+  const maxPassageDistance = Math.ceil((keypoint.length + maxDistance) * (1 - threshold));
+  let best = null;
+
+  for (let start = 0; start < text.length; start++) {
+    if (text[start] === ' ') continue;
+    const distances = getPassageDistances(text, start, keypoint, keypoint.length + maxDistance, maxPassageDistance);
+    for (let length = Math.max(1, keypoint.length - maxDistance); length < distances.length; length++) {
+      const end = start + length;
+      const distance = distances[length];
+      if (distance > maxPassageDistance || text[end - 1] === ' ') continue;
+      if (wholeWords && !isOnWordBoundaries(text, start, end)) continue;
+
+      const similarity = 1 - distance / Math.max(length, keypoint.length);
+      if (similarity >= threshold && (!best || similarity > best.similarity)) {
+        best = { start, end, similarity };
+      }
+    }
+  }
+
+  return best ? { start: best.start, end: best.end } : null;
+}
+
+/**
+ * Find every occurrence of a keypoint in a text, tolerating the differences the model typically introduces
+ * @param {string} text The original text
+ * @param {string} keypoint The keypoint
+ * @param {MatchOptions} [options] The match options
+ * @returns {Array<{start: number, end: number}>} The matches as offsets in the original text, in text order
+ */
+function findKeypointMatches(text, keypoint, options = {}) {
+  const wholeWords = options.wholeWords !== false;
+  const normalizedText = normalizeForMatch(text);
+  const normalizedKeypoint = normalizeKeypoint(keypoint);
+  if (!normalizedKeypoint) return [];
+
+  const matches = [];
+  let index = normalizedText.text.indexOf(normalizedKeypoint);
+  while (index !== -1) {
+    const end = index + normalizedKeypoint.length;
+    if (!wholeWords || isOnWordBoundaries(normalizedText.text, index, end)) {
+      matches.push({ start: index, end });
+      index = normalizedText.text.indexOf(normalizedKeypoint, end);
+    } else {
+      index = normalizedText.text.indexOf(normalizedKeypoint, index + 1);
+    }
+  }
+
+  if (matches.length === 0 && options.fuzzy && normalizedKeypoint.length >= FUZZY_MIN_LENGTH) {
+    const fuzzyMatch = findFuzzyMatch(
+      normalizedText.text,
+      normalizedKeypoint,
+      options.threshold || DEFAULT_FUZZY_THRESHOLD,
+      wholeWords
+    );
+    if (fuzzyMatch) {
+      matches.push(fuzzyMatch);
+    }
+  }
+
+  // map the normalized offsets back to the original text
+  return matches.map(match => ({
+    start: normalizedText.starts[match.start],
+    end: normalizedText.ends[match.end - 1]
+  }));
+}
+
+// mount the functions to the global object
+window.IntelliReadMatcher.DEFAULT_FUZZY_THRESHOLD = DEFAULT_FUZZY_THRESHOLD;
+window.IntelliReadMatcher.normalizeForMatch = normalizeForMatch;
+window.IntelliReadMatcher.findKeypointMatches = findKeypointMatches;
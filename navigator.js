@@ -0,0 +1,170 @@
+/**
+ * IntelliRead Highlight Navigator
+ * Move between highlights from the keyboard, hide and show them, and draw a minimap
+ * along the scrollbar edge showing where the highlights sit in the document.
+ */
+
+// create a global object for IntelliReadNavigator
+window.IntelliReadNavigator = {};
+
+const ACTIVE_HIGHLIGHT_CLASS = 'intelliread-active';
+const HIDDEN_HIGHLIGHTS_CLASS = 'intelliread-highlights-hidden';
+const MINIMAP_ID = 'intelliread-minimap';
+
+// the id of the highlight moved to last, null before the first move
+let activeHighlightId = null;
+
+/**
+ * Get the highlights on the page in document order
+ * @returns {Array<HighlightRecord>} The highlights that are still in the document
+ */
+function getOrderedHighlights() {
+  return window.IntelliReadHighlighter.getHighlights()
+    .filter(record => record.spans.length > 0 && record.spans[0].isConnected)
+    .sort((a, b) => {
+      const position = a.spans[0].compareDocumentPosition(b.spans[0]);
+      return position & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
+    });
+}
+
+/**
+ * Move to the next or previous highlight, starting from the viewport when no highlight was visited yet
+ * @param {number} direction 1 for the next highlight, -1 for the previous one
+ * @returns {boolean} Returns true if there was a highlight to move to
+ */
+function moveToHighlight(direction) {
+  const highlights = getOrderedHighlights();
+  if (highlights.length === 0) return false;
+
+  let index = highlights.findIndex(record => record.id === activeHighlightId);
+  if (index !== -1) {
+    index = (index + direction + highlights.length) % highlights.length;
+  } else {
+    // pick the first highlight below the middle of the viewport, or the last one above it
+    const middle = window.innerHeight / 2;
+    const tops = highlights.map(record => record.spans[0].getBoundingClientRect().top);
+    if (direction > 0) {
+      index = tops.findIndex(top => top > middle);
+      if (index === -1) index = 0;
+    } else {
+      index = tops.map(top => top < middle).lastIndexOf(true);
+      if (index === -1) index = highlights.length - 1;
+    }
+  }
+
+  activateHighlight(highlights[index]);
+  return true;
+}
+
+/**
+ * Scroll a highlight into view, mark it as active and focus it
+ * @param {HighlightRecord} record The highlight
+ */
+function activateHighlight(record) {
+  document.querySelectorAll(`.${ACTIVE_HIGHLIGHT_CLASS}`)
+    .forEach(span => span.classList.remove(ACTIVE_HIGHLIGHT_CLASS));
+
+  record.spans.forEach(span => span.classList.add(ACTIVE_HIGHLIGHT_CLASS));
+  activeHighlightId = record.id;
+
+  const firstSpan = record.spans[0];
+  firstSpan.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  // highlights without a rationale are not tab stops, but can still take focus for screen readers
+  if (!firstSpan.hasAttribute('tabindex')) {
+    firstSpan.tabIndex = -1;
+  }
+  firstSpan.focus({ preventScroll: true });
+}
+
+// move to the next highlight
+function focusNextHighlight() {
+  return moveToHighlight(1);
+}
+
+// move to the previous highlight
+function focusPreviousHighlight() {
+  return moveToHighlight(-1);
+}
+
+/**
+ * Hide or show every highlight without removing it
+ * @returns {boolean} Returns true if the highlights are visible after the toggle
+ */
+function toggleHighlightVisibility() {
+  return !document.documentElement.classList.toggle(HIDDEN_HIGHLIGHTS_CLASS);
+}
+
+// show the highlights again, e.g. after they were cleared
+function showHighlights() {
+  document.documentElement.classList.remove(HIDDEN_HIGHLIGHTS_CLASS);
+}
+
+/**
+ * Get the color of a highlight span, the background or the underline depending on its style
+ * @param {HTMLElement} span The highlight span
+ * @returns {string} The color
+ */
+function getHighlightColor(span) {
+  return span.style.backgroundColor || span.style.borderBottomColor || '#ADD8E6';
+}
+
+/**
+ * Draw a marker for every highlight on a thin bar along the scrollbar, clicking a marker jumps to its highlight
+ */
+function renderMinimap() {
+  const highlights = getOrderedHighlights();
+  if (highlights.length === 0 || !document.body) {
+    removeMinimap();
+    return;
+  }
+
+  let minimap = document.getElementById(MINIMAP_ID);
+  if (!minimap) {
+    minimap = document.createElement('div');
+    minimap.id = MINIMAP_ID;
+    minimap.className = 'intelliread-minimap';
+    minimap.setAttribute('data-intelliread-ui', '');
+    minimap.setAttribute('aria-hidden', 'true');
+    document.body.appendChild(minimap);
+  }
+  minimap.textContent = '';
+
+  const documentHeight = Math.max(document.documentElement.scrollHeight, 1);
+  for (const record of highlights) {
+    const top = record.spans[0].getBoundingClientRect().top + window.scrollY;
+    const marker = document.createElement('div');
+    marker.className = 'intelliread-minimap-marker';
+    marker.style.top = `${Math.min(100, (top / documentHeight) * 100)}%`;
+    marker.style.backgroundColor = getHighlightColor(record.spans[0]);
+    marker.addEventListener('click', () => activateHighlight(record));
+    minimap.appendChild(marker);
+  }
+}
+
+// remove the minimap from the page
+function removeMinimap() {
+  const minimap = document.getElementById(MINIMAP_ID);
+  if (minimap) {
+    minimap.remove();
+  }
+}
+
+// redraw the minimap if it is shown, e.g. after a highlight was removed
+function updateMinimap() {
+  if (document.getElementById(MINIMAP_ID)) {
+    renderMinimap();
+  }
+}
+
+// the marker positions depend on the document height
+window.addEventListener('resize', updateMinimap);
+
+// mount the functions to the global object
+window.IntelliReadNavigator.getOrderedHighlights = getOrderedHighlights;
+window.IntelliReadNavigator.focusNextHighlight = focusNextHighlight;
+window.IntelliReadNavigator.focusPreviousHighlight = focusPreviousHighlight;
+window.IntelliReadNavigator.toggleHighlightVisibility = toggleHighlightVisibility;
+window.IntelliReadNavigator.showHighlights = showHighlights;
+window.IntelliReadNavigator.renderMinimap = renderMinimap;
+window.IntelliReadNavigator.updateMinimap = updateMinimap;
+window.IntelliReadNavigator.removeMinimap = removeMinimap;
@@ -7,41 +7,268 @@ document.addEventListener('DOMContentLoaded', () => {
     highlightStyle: 'background'
   };
 
-  // load saved settings
-  chrome.storage.sync.get(
-    { 
-      apiUrl: 'https://api.openai.com/v1/chat/completions',
-      apiKey: '',
-      modelName: 'gpt-4o-mini',
-      highlightColor: '#ADD8E6',
-      highlightStyle: 'background'
-    }, 
-    (items) => {
-      document.getElementById('api-url').value = items.apiUrl;
-      document.getElementById('api-key').value = items.apiKey;
-      document.getElementById('model-name').value = items.modelName;
-      document.getElementById('highlight-color').value = items.highlightColor;
-      document.getElementById('highlight-style').value = items.highlightStyle;
+  // prompt profiles being edited, saved with the other settings
+  const promptProfileSelect = document.getElementById('prompt-profile');
+  const promptProfileNameInput = document.getElementById('prompt-profile-name');
+  const promptTemplateInput = document.getElementById('prompt-template');
+  let promptProfiles = window.IntelliReadPrompts.getPromptProfiles();
+  let domainPromptProfiles = {};
+
+  document.getElementById('prompt-variables-hint').textContent = chrome.i18n.getMessage(
+    'prompt_variables_hint',
+    [window.IntelliReadPrompts.PROMPT_VARIABLES.map(name => `{{${name}}}`).join(', ')]
+  );
+
+  // the name shown for a profile, the built-in profile has a localized name
+  function getPromptProfileName(profile) {
+    return profile.id === window.IntelliReadPrompts.DEFAULT_PROMPT_PROFILE_ID
+      ? chrome.i18n.getMessage('default_prompt_profile')
+      : profile.name;
+  }
+
+  function renderPromptProfiles(selectedId) {
+    promptProfileSelect.textContent = '';
+    for (const profile of promptProfiles) {
+      const option = document.createElement('option');
+      option.value = profile.id;
+      option.textContent = getPromptProfileName(profile);
+      promptProfileSelect.appendChild(option);
+    }
+    promptProfileSelect.value = selectedId || window.IntelliReadPrompts.DEFAULT_PROMPT_PROFILE_ID;
+    showSelectedPromptProfile();
+  }
+
+  function getSelectedPromptProfile() {
+    return promptProfiles.find(profile => profile.id === promptProfileSelect.value);
+  }
+
+  function showSelectedPromptProfile() {
+    const profile = getSelectedPromptProfile();
+    const isDefault = profile.id === window.IntelliReadPrompts.DEFAULT_PROMPT_PROFILE_ID;
+    promptProfileNameInput.value = getPromptProfileName(profile);
+    promptProfileNameInput.disabled = isDefault;
+    promptTemplateInput.value = profile.template;
+    document.getElementById('delete-prompt-profile-btn').disabled = isDefault;
+  }
+
+  // keep the edits of the shown profile before another one is shown or the settings are saved
+  function storeEditedPromptProfile() {
+    const profile = getSelectedPromptProfile();
+    if (!profile) return;
+    if (profile.id !== window.IntelliReadPrompts.DEFAULT_PROMPT_PROFILE_ID) {
+      profile.name = promptProfileNameInput.value.trim() || profile.name;
+    }
+    profile.template = promptTemplateInput.value;
+  }
+
+  promptProfileSelect.addEventListener('change', showSelectedPromptProfile);
+  promptProfileNameInput.addEventListener('input', () => {
+    storeEditedPromptProfile();
+    promptProfileSelect.selectedOptions[0].textContent = getPromptProfileName(getSelectedPromptProfile());
+  });
+  promptTemplateInput.addEventListener('input', storeEditedPromptProfile);
+
+  document.getElementById('add-prompt-profile-btn').addEventListener('click', () => {
+    const profile = {
+      id: window.IntelliReadPrompts.createPromptProfileId(),
+      name: chrome.i18n.getMessage('new_prompt_profile_name', [String(promptProfiles.length)]),
+      template: window.IntelliReadPrompts.DEFAULT_PROMPT_TEMPLATE
+    };
+    promptProfiles.push(profile);
+    renderPromptProfiles(profile.id);
+    promptProfileNameInput.focus();
+  });
+
+  // a deleted profile is unassigned from its domains, they fall back to the default profile
+  document.getElementById('delete-prompt-profile-btn').addEventListener('click', () => {
+    const profile = getSelectedPromptProfile();
+    if (profile.id === window.IntelliReadPrompts.DEFAULT_PROMPT_PROFILE_ID) return;
+
+    promptProfiles = promptProfiles.filter(other => other.id !== profile.id);
+    for (const domain of Object.keys(domainPromptProfiles)) {
+      if (domainPromptProfiles[domain] === profile.id) {
+        delete domainPromptProfiles[domain];
+      }
+    }
+    renderPromptProfiles();
+  });
+
+  document.getElementById('reset-prompt-template-btn').addEventListener('click', () => {
+    promptTemplateInput.value = window.IntelliReadPrompts.DEFAULT_PROMPT_TEMPLATE;
+    storeEditedPromptProfile();
+  });
+
+  // site rules, saved with the other settings
+  const siteRulesList = document.getElementById('site-rules-list');
+  document.getElementById('site-rules-hint').textContent = chrome.i18n.getMessage('site_rules_hint');
+
+  function createRuleSelect(className, values) {
+    const select = document.createElement('select');
+    select.className = className;
+    for (const value of values) {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = chrome.i18n.getMessage(`site_rule_${value}`);
+      select.appendChild(option);
+    }
+    return select;
+  }
+
+  function createRuleInput(className, value, placeholderMessage) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = className;
+    input.value = value || '';
+    input.placeholder = chrome.i18n.getMessage(placeholderMessage);
+    return input;
+  }
+
+  function addSiteRuleRow(rule) {
+    const row = document.createElement('div');
+    row.className = 'site-rule';
+
+    const patternRow = document.createElement('div');
+    patternRow.className = 'site-rule-row';
+    const patternTypeSelect = createRuleSelect('rule-pattern-type', ['glob', 'regex']);
+    patternTypeSelect.value = rule.patternType || 'glob';
+    const actionSelect = createRuleSelect('rule-action', window.IntelliReadRules.SITE_RULE_ACTIONS);
+    actionSelect.value = rule.action || 'none';
+    const deleteButton = document.createElement('button');
+    deleteButton.className = 'api-preset-btn';
+    deleteButton.textContent = '✕';
+    deleteButton.title = chrome.i18n.getMessage('delete_site_rule');
+    deleteButton.setAttribute('aria-label', chrome.i18n.getMessage('delete_site_rule'));
+    deleteButton.addEventListener('click', () => row.remove());
+    patternRow.appendChild(createRuleInput('rule-pattern', rule.pattern, 'site_rule_pattern_placeholder'));
+    patternRow.appendChild(patternTypeSelect);
+    patternRow.appendChild(actionSelect);
+    patternRow.appendChild(deleteButton);
+
+    const selectorRow = document.createElement('div');
+    selectorRow.className = 'site-rule-row';
+    selectorRow.appendChild(createRuleInput('rule-include', rule.includeSelector, 'site_rule_include_placeholder'));
+    selectorRow.appendChild(createRuleInput('rule-exclude', rule.excludeSelector, 'site_rule_exclude_placeholder'));
+
+    row.appendChild(patternRow);
+    row.appendChild(selectorRow);
+    siteRulesList.appendChild(row);
+    return row;
+  }
+
+  function renderSiteRules(rules) {
+    siteRulesList.textContent = '';
+    rules.forEach(addSiteRuleRow);
+  }
+
+  // rules without a pattern are dropped
+  function collectSiteRules() {
+    return Array.from(siteRulesList.querySelectorAll('.site-rule'))
+      .map(row => ({
+        pattern: row.querySelector('.rule-pattern').value.trim(),
+        patternType: row.querySelector('.rule-pattern-type').value,
+        action: row.querySelector('.rule-action').value,
+        includeSelector: row.querySelector('.rule-include').value.trim(),
+        excludeSelector: row.querySelector('.rule-exclude').value.trim()
+      }))
+      .filter(rule => rule.pattern.length > 0);
+  }
+
+  document.getElementById('add-site-rule-btn').addEventListener('click', () => {
+    addSiteRuleRow({}).querySelector('.rule-pattern').focus();
+  });
+
+  // load saved settings into the form
+  function loadSettings() {
+    chrome.storage.sync.get(
+      { 
+        apiProvider: 'openai',
+        apiUrl: 'https://api.openai.com/v1/chat/completions',
+        apiKey: '',
+        apiVersion: '',
+        modelName: 'gpt-4o-mini',
+        analysisMode: 'full',
+        batchMode: false,
+        batchCharBudget: 4000,
+        requestsPerMinute: 0,
+        tokensPerMinute: 0,
+        dailyBudget: 0,
+        monthlyBudget: 0,
+        modelPrices: {},
+        structuredOutput: 'auto',
+        reuseCacheAcrossModels: false,
+        cacheExpirationDays: 30,
+        maxCacheEntries: 5000,
+        highlightColor: '#ADD8E6',
+        highlightStyle: 'background',
+        categorizeHighlights: false,
+        categoryStyles: {},
+        showRationales: false,
+        showMinimap: false,
+        fuzzyMatching: false,
+        fuzzyMatchThreshold: 0.85,
+        domainPromptProfiles: {},
+        siteRules: []
+      }, 
+      (items) => {
+        document.getElementById('api-provider').value = items.apiProvider;
+        document.getElementById('api-url').value = items.apiUrl;
+        document.getElementById('api-key').value = items.apiKey;
+        document.getElementById('api-version').value = items.apiVersion;
+        document.getElementById('model-name').value = items.modelName;
+        document.getElementById('analysis-mode').value = items.analysisMode;
+        document.getElementById('batch-mode').checked = items.batchMode;
+        document.getElementById('batch-char-budget').value = items.batchCharBudget;
+        document.getElementById('requests-per-minute').value = items.requestsPerMinute;
+        document.getElementById('tokens-per-minute').value = items.tokensPerMinute;
+        document.getElementById('daily-budget').value = items.dailyBudget;
+        document.getElementById('monthly-budget').value = items.monthlyBudget;
+        renderModelPrices(items.modelPrices, items.modelName);
+        document.getElementById('structured-output').value = items.structuredOutput;
+        document.getElementById('reuse-cache-across-models').checked = items.reuseCacheAcrossModels;
+        document.getElementById('cache-expiration-days').value = items.cacheExpirationDays;
+        document.getElementById('max-cache-entries').value = items.maxCacheEntries;
+        updateProviderFields();
+        document.getElementById('highlight-color').value = items.highlightColor;
+        document.getElementById('highlight-style').value = items.highlightStyle;
+        document.getElementById('categorize-highlights').checked = items.categorizeHighlights;
+        renderCategoryStyles(window.IntelliReadCategories.getCategoryStyles(items.categoryStyles));
+        updateCategoryStylesVisibility();
+        document.getElementById('show-rationales').checked = items.showRationales;
+        document.getElementById('show-minimap').checked = items.showMinimap;
+        document.getElementById('fuzzy-matching').checked = items.fuzzyMatching;
+        document.getElementById('fuzzy-match-threshold').value = items.fuzzyMatchThreshold;
+        domainPromptProfiles = items.domainPromptProfiles;
+        window.IntelliReadPrompts.loadPromptProfiles().then(savedProfiles => {
+          promptProfiles = window.IntelliReadPrompts.getPromptProfiles(savedProfiles);
+          renderPromptProfiles();
+        });
+        renderSiteRules(items.siteRules);
       
-      // initial update color preview
-      const colorPreview = document.getElementById('color-preview');
-      const colorValue = document.getElementById('color-value');
-      if (colorPreview) colorPreview.style.backgroundColor = items.highlightColor;
-      if (colorValue) colorValue.textContent = items.highlightColor;
+        // initial update color preview
+        const colorPreview = document.getElementById('color-preview');
+        const colorValue = document.getElementById('color-value');
+        if (colorPreview) colorPreview.style.backgroundColor = items.highlightColor;
+        if (colorValue) colorValue.textContent = items.highlightColor;
       
-      updatePreview();
-    }
-  );
+        updatePreview();
+      }
+    );
+  }
+
+  loadSettings();
 
   // API preset button click event
   const presetButtons = document.querySelectorAll('.api-preset-btn');
   presetButtons.forEach(button => {
     button.addEventListener('click', () => {
+      const apiProvider = button.getAttribute('data-provider') || 'openai';
       const apiUrl = button.getAttribute('data-url');
       const modelName = button.getAttribute('data-model');
       
+      document.getElementById('api-provider').value = apiProvider;
       if (apiUrl) document.getElementById('api-url').value = apiUrl;
-      if (modelName) document.getElementById('model-name').value = modelName;
+      if (modelName !== null) document.getElementById('model-name').value = modelName;
+      updateProviderFields();
       
       // highlight the selected preset button
       presetButtons.forEach(btn => {
@@ -53,6 +280,30 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   });
 
+  // provider select change event, fill in the provider defaults unless a custom URL was entered
+  document.getElementById('api-provider').addEventListener('change', () => {
+    const provider = window.IntelliReadProviders.getProvider(document.getElementById('api-provider').value);
+    const apiUrlInput = document.getElementById('api-url');
+    const isDefaultUrl = window.IntelliReadProviders.listProviders()
+      .some(item => item.defaultUrl === apiUrlInput.value);
+
+    if (!apiUrlInput.value || isDefaultUrl) {
+      apiUrlInput.value = provider.defaultUrl;
+      document.getElementById('model-name').value = provider.defaultModel;
+    }
+    updateProviderFields();
+  });
+
+  // show the fields that only apply to the selected provider
+  function updateProviderFields() {
+    const apiProvider = document.getElementById('api-provider').value;
+    const apiVersionInput = document.getElementById('api-version');
+    document.getElementById('api-version-group').style.display = apiProvider === 'azure' ? 'block' : 'none';
+    if (apiProvider === 'azure' && !apiVersionInput.value) {
+      apiVersionInput.value = window.IntelliReadProviders.AZURE_DEFAULT_API_VERSION;
+    }
+  }
+
   // add preview update function
   function updatePreview() {
     const previewText = document.getElementById('preview-text');
@@ -79,6 +330,134 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   }
 
+  // one price row for the current model, every model with a price and every model with recorded usage
+  async function renderModelPrices(prices, currentModel) {
+    const usage = await window.IntelliReadUsage.getUsage();
+    const usedModels = Object.keys(window.IntelliReadUsage.summarizeUsage(usage, prices).byModel);
+    const models = [...new Set([currentModel, ...Object.keys(prices), ...usedModels])]
+      .filter(model => model)
+      .sort();
+
+    const body = document.querySelector('#model-prices tbody');
+    body.textContent = '';
+    for (const model of models) {
+      const row = document.createElement('tr');
+      row.dataset.model = model;
+
+      const nameCell = document.createElement('td');
+      nameCell.textContent = model;
+      row.appendChild(nameCell);
+
+      for (const kind of ['input', 'output']) {
+        const cell = document.createElement('td');
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = '0';
+        input.step = '0.01';
+        input.placeholder = '0';
+        input.dataset.kind = kind;
+        input.value = prices[model] ? prices[model][kind] : '';
+        cell.appendChild(input);
+        row.appendChild(cell);
+      }
+      body.appendChild(row);
+    }
+  }
+
+  // read the prices from the rows, models without a price are left out
+  function collectModelPrices() {
+    const prices = {};
+    document.querySelectorAll('#model-prices tbody tr').forEach(row => {
+      const input = Math.max(0, parseFloat(row.querySelector('[data-kind="input"]').value) || 0);
+      const output = Math.max(0, parseFloat(row.querySelector('[data-kind="output"]').value) || 0);
+      if (input > 0 || output > 0) {
+        prices[row.dataset.model] = { input, output };
+      }
+    });
+    return prices;
+  }
+
+  // render a color and style picker for every highlight category, the sample text doubles as legend
+  function renderCategoryStyles(styles) {
+    const container = document.getElementById('category-styles');
+    container.textContent = '';
+
+    for (const category of window.IntelliReadCategories.HIGHLIGHT_CATEGORIES) {
+      const row = document.createElement('div');
+      row.className = 'category-row';
+
+      const sample = document.createElement('span');
+      sample.className = 'category-sample';
+      const sampleText = document.createElement('span');
+      sampleText.id = `category-sample-${category}`;
+      sampleText.textContent = chrome.i18n.getMessage(`category_${category}`);
+      sample.appendChild(sampleText);
+
+      const colorInput = document.createElement('input');
+      colorInput.type = 'color';
+      colorInput.id = `category-color-${category}`;
+      colorInput.value = styles[category].color;
+
+      const styleSelect = document.createElement('select');
+      styleSelect.id = `category-style-${category}`;
+      for (const style of ['background', 'underline', 'dashed']) {
+        const option = document.createElement('option');
+        option.value = style;
+        option.textContent = chrome.i18n.getMessage(`style_${style}`);
+        styleSelect.appendChild(option);
+      }
+      styleSelect.value = styles[category].style;
+
+      colorInput.addEventListener('input', () => updateCategorySample(category));
+      styleSelect.addEventListener('change', () => updateCategorySample(category));
+
+      row.appendChild(sample);
+      row.appendChild(colorInput);
+      row.appendChild(styleSelect);
+      container.appendChild(row);
+      updateCategorySample(category);
+    }
+  }
+
+  // apply the picked color and style to the sample text of a category
+  function updateCategorySample(category) {
+    const sampleText = document.getElementById(`category-sample-${category}`);
+    const color = document.getElementById(`category-color-${category}`).value;
+    const style = document.getElementById(`category-style-${category}`).value;
+
+    sampleText.style = '';
+    switch (style) {
+      case 'background':
+        sampleText.style.backgroundColor = color;
+        break;
+      case 'underline':
+        sampleText.style.borderBottom = `2px solid ${color}`;
+        break;
+      case 'dashed':
+        sampleText.style.borderBottom = `2px dashed ${color}`;
+        break;
+    }
+  }
+
+  // read the category styles from the pickers
+  function collectCategoryStyles() {
+    const styles = {};
+    for (const category of window.IntelliReadCategories.HIGHLIGHT_CATEGORIES) {
+      styles[category] = {
+        color: document.getElementById(`category-color-${category}`).value,
+        style: document.getElementById(`category-style-${category}`).value
+      };
+    }
+    return styles;
+  }
+
+  function updateCategoryStylesVisibility() {
+    const enabled = document.getElementById('categorize-highlights').checked;
+    document.getElementById('category-styles').style.display = enabled ? 'block' : 'none';
+  }
+
+  document.getElementById('categorize-highlights').addEventListener('change', updateCategoryStylesVisibility);
+
   // add style and color change listener
   document.getElementById('highlight-style').addEventListener('change', updatePreview);
   document.getElementById('highlight-color').addEventListener('input', updatePreview);
@@ -87,37 +466,504 @@ document.addEventListener('DOMContentLoaded', () => {
   document.getElementById('reset-btn').addEventListener('click', () => {
     document.getElementById('highlight-color').value = defaultHighlightSettings.highlightColor;
     document.getElementById('highlight-style').value = defaultHighlightSettings.highlightStyle;
+    renderCategoryStyles(window.IntelliReadCategories.getCategoryStyles());
     updatePreview();
     showStatus(chrome.i18n.getMessage('settings_reset'), true);
   });
 
   // save settings button click event
   document.getElementById('save-btn').addEventListener('click', () => {
+    const apiProvider = document.getElementById('api-provider').value;
     const apiUrl = document.getElementById('api-url').value;
     const apiKey = document.getElementById('api-key').value;
+    const apiVersion = document.getElementById('api-version').value;
     const modelName = document.getElementById('model-name').value;
+    const analysisMode = document.getElementById('analysis-mode').value;
+    const batchMode = document.getElementById('batch-mode').checked;
+    const batchCharBudget = parseInt(document.getElementById('batch-char-budget').value, 10) || 4000;
+    // 0 turns a rate limit off
+    const requestsPerMinute = Math.max(0, parseInt(document.getElementById('requests-per-minute').value, 10) || 0);
+    const tokensPerMinute = Math.max(0, parseInt(document.getElementById('tokens-per-minute').value, 10) || 0);
+    // 0 turns a budget off
+    const dailyBudget = Math.max(0, parseFloat(document.getElementById('daily-budget').value) || 0);
+    const monthlyBudget = Math.max(0, parseFloat(document.getElementById('monthly-budget').value) || 0);
+    const modelPrices = collectModelPrices();
+    const structuredOutput = document.getElementById('structured-output').value;
+    const reuseCacheAcrossModels = document.getElementById('reuse-cache-across-models').checked;
+    const cacheExpirationDays = Math.max(1, parseInt(document.getElementById('cache-expiration-days').value, 10) || 30);
+    const maxCacheEntries = Math.max(100, parseInt(document.getElementById('max-cache-entries').value, 10) || 5000);
     const highlightColor = document.getElementById('highlight-color').value;
     const highlightStyle = document.getElementById('highlight-style').value;
+    const categorizeHighlights = document.getElementById('categorize-highlights').checked;
+    const categoryStyles = collectCategoryStyles();
+    const showRationales = document.getElementById('show-rationales').checked;
+    const showMinimap = document.getElementById('show-minimap').checked;
+    const fuzzyMatching = document.getElementById('fuzzy-matching').checked;
+    // a threshold below 0.5 would highlight passages that barely resemble the keypoint
+    const fuzzyMatchThreshold = Math.min(1, Math.max(0.5, parseFloat(document.getElementById('fuzzy-match-threshold').value) || 0.85));
+    storeEditedPromptProfile();
+    const siteRules = collectSiteRules();
     
     // validate input
-    if (!apiUrl || !apiKey || !modelName) {
+    if (!window.IntelliReadProviders.isConfigured({ apiProvider, apiUrl, apiKey, modelName })) {
       showStatus(chrome.i18n.getMessage('fill_required'), false);
       return;
     }
 
-    // save settings to Chrome storage
-    chrome.storage.sync.set(
-      {
+    // every template needs the content to analyze
+    const invalidProfile = promptProfiles.find(profile => !window.IntelliReadPrompts.hasContentVariable(profile.template));
+    if (invalidProfile) {
+      promptProfileSelect.value = invalidProfile.id;
+      showSelectedPromptProfile();
+      showStatus(chrome.i18n.getMessage('prompt_template_missing_content', [getPromptProfileName(invalidProfile)]), false);
+      return;
+    }
+
+    const maxTemplateLength = window.IntelliReadPrompts.MAX_PROMPT_TEMPLATE_LENGTH;
+    const oversizedProfile = promptProfiles.find(profile => profile.template.length > maxTemplateLength);
+    if (oversizedProfile) {
+      promptProfileSelect.value = oversizedProfile.id;
+      showSelectedPromptProfile();
+      showStatus(chrome.i18n.getMessage('prompt_template_too_long', [
+        getPromptProfileName(oversizedProfile),
+        String(oversizedProfile.template.length),
+        String(maxTemplateLength)
+      ]), false);
+      return;
+    }
+
+    // a broken pattern or selector would silently never match
+    const invalidRule = siteRules.find(rule => {
+      return !window.IntelliReadRules.isValidSiteRulePattern(rule) ||
+        !window.IntelliReadRules.isValidSelector(rule.includeSelector) ||
+        !window.IntelliReadRules.isValidSelector(rule.excludeSelector);
+    });
+    if (invalidRule) {
+      showStatus(chrome.i18n.getMessage('site_rule_invalid', [invalidRule.pattern]), false);
+      return;
+    }
+
+    // save settings to Chrome storage, the prompt profiles go to local storage
+    window.IntelliReadPrompts.savePromptProfiles(promptProfiles)
+      .then(() => callSyncStorage('set', {
+        apiProvider,
         apiUrl,
         apiKey,
+        apiVersion,
         modelName,
+        analysisMode,
+        batchMode,
+        batchCharBudget,
+        requestsPerMinute,
+        tokensPerMinute,
+        dailyBudget,
+        monthlyBudget,
+        modelPrices,
+        structuredOutput,
+        reuseCacheAcrossModels,
+        cacheExpirationDays,
+        maxCacheEntries,
         highlightColor,
-        highlightStyle
-      },
-      () => {
+        highlightStyle,
+        categorizeHighlights,
+        categoryStyles,
+        showRationales,
+        showMinimap,
+        fuzzyMatching,
+        fuzzyMatchThreshold,
+        domainPromptProfiles,
+        siteRules
+      }))
+      .then(() => {
         showStatus(chrome.i18n.getMessage('settings_saved'), true);
+        // the costs follow the new prices
+        renderUsage();
+      })
+      .catch(error => {
+        console.error('Failed to save the settings:', error);
+        showStatus(chrome.i18n.getMessage('settings_save_failed', [error.message]), false);
+      });
+  });
+
+  // learned feedback per domain
+  const feedbackDomainSelect = document.getElementById('feedback-domain');
+  const feedbackResetButton = document.getElementById('feedback-reset-btn');
+
+  // list the domains with feedback, keeping the selected one when it still has feedback
+  async function renderFeedbackDomains() {
+    const allFeedback = await window.IntelliReadFeedback.getAllDomainFeedback();
+    const domains = Object.keys(allFeedback).sort();
+    const selectedDomain = feedbackDomainSelect.value;
+
+    feedbackDomainSelect.textContent = '';
+    if (domains.length === 0) {
+      const option = document.createElement('option');
+      option.textContent = chrome.i18n.getMessage('feedback_empty');
+      feedbackDomainSelect.appendChild(option);
+    }
+    for (const domain of domains) {
+      const option = document.createElement('option');
+      option.value = domain;
+      option.textContent = chrome.i18n.getMessage('feedback_domain_option', [
+        domain,
+        String(allFeedback[domain].accepted.length),
+        String(allFeedback[domain].rejected.length)
+      ]);
+      feedbackDomainSelect.appendChild(option);
+    }
+    if (domains.includes(selectedDomain)) {
+      feedbackDomainSelect.value = selectedDomain;
+    }
+
+    feedbackDomainSelect.disabled = domains.length === 0;
+    feedbackResetButton.disabled = domains.length === 0;
+    renderFeedbackDetails(allFeedback[feedbackDomainSelect.value]);
+  }
+
+  // show the accepted and rejected keypoints of a domain
+  function renderFeedbackDetails(feedback) {
+    const details = document.getElementById('feedback-details');
+    details.textContent = '';
+    if (!feedback) return;
+
+    const lists = [
+      { title: chrome.i18n.getMessage('feedback_accepted_title'), keypoints: feedback.accepted },
+      { title: chrome.i18n.getMessage('feedback_rejected_title'), keypoints: feedback.rejected }
+    ];
+    for (const { title, keypoints } of lists) {
+      if (keypoints.length === 0) continue;
+
+      const heading = document.createElement('h4');
+      heading.textContent = title;
+      const list = document.createElement('ul');
+      keypoints.forEach(keypoint => {
+        const item = document.createElement('li');
+        item.textContent = keypoint;
+        list.appendChild(item);
+      });
+      details.appendChild(heading);
+      details.appendChild(list);
+    }
+  }
+
+  feedbackDomainSelect.addEventListener('change', renderFeedbackDomains);
+
+  feedbackResetButton.addEventListener('click', async () => {
+    const domain = feedbackDomainSelect.value;
+    if (!domain || !confirm(chrome.i18n.getMessage('feedback_reset_confirm', [domain]))) return;
+
+    // the background script writes the feedback, so a vote in a tab cannot bring the domain back half reset
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'resetFeedback', domain });
+      if (!response || !response.success) throw new Error(response ? response.error : 'no response');
+    } catch (error) {
+      console.error('Failed to reset the feedback:', error);
+      showStatus(chrome.i18n.getMessage('feedback_reset_failed', [error.message]), false);
+      return;
+    }
+    await renderFeedbackDomains();
+    showStatus(chrome.i18n.getMessage('feedback_reset_done', [domain]), true);
+  });
+
+  renderFeedbackDomains();
+
+  // cache storage statistics per domain
+  const cacheStatsTable = document.getElementById('cache-stats');
+
+  // format a size in bytes as KB or MB
+  function formatBytes(bytes) {
+    if (bytes < 1024 * 1024) {
+      return `${(bytes / 1024).toFixed(1)} KB`;
+    }
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  }
+
+  // show the entries, size and hit rate of every domain, with a delete button per domain
+  async function renderCacheStatistics() {
+    let statistics;
+    try {
+      statistics = await window.IntelliReadCache.sendCacheMessage('getCacheStatistics', []);
+    } catch (error) {
+      console.error('Failed to load cache statistics:', error);
+      statistics = [];
+    }
+
+    const body = cacheStatsTable.querySelector('tbody');
+    body.textContent = '';
+    cacheStatsTable.style.display = statistics.length > 0 ? 'table' : 'none';
+
+    const totals = statistics.reduce((sum, item) => ({
+      entries: sum.entries + item.entries,
+      bytes: sum.bytes + item.bytes
+    }), { entries: 0, bytes: 0 });
+    document.getElementById('cache-stats-summary').textContent = statistics.length > 0
+      ? chrome.i18n.getMessage('cache_stats_total', [String(totals.entries), formatBytes(totals.bytes)])
+      : chrome.i18n.getMessage('cache_stats_empty');
+
+    for (const item of statistics) {
+      const lookups = item.hits + item.misses;
+      const hitRate = lookups > 0 ? `${Math.round((item.hits / lookups) * 100)}%` : '-';
+      const row = document.createElement('tr');
+      [
+        item.domain,
+        String(item.entries),
+        String(item.summaries),
+        formatBytes(item.bytes),
+        chrome.i18n.getMessage('cache_stats_hit_rate', [hitRate, String(item.hits), String(item.misses)])
+      ].forEach(text => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+
+      const actionCell = document.createElement('td');
+      const deleteButton = document.createElement('button');
+      deleteButton.type = 'button';
+      deleteButton.className = 'api-preset-btn';
+      deleteButton.textContent = '✕';
+      deleteButton.title = chrome.i18n.getMessage('cache_stats_delete');
+      deleteButton.setAttribute('aria-label', chrome.i18n.getMessage('cache_stats_delete'));
+      deleteButton.addEventListener('click', async () => {
+        if (!confirm(chrome.i18n.getMessage('cache_stats_delete_confirm', [item.domain]))) return;
+
+        try {
+          await window.IntelliReadCache.sendCacheMessage('clearDomainCache', [item.domain]);
+          showStatus(chrome.i18n.getMessage('cache_stats_deleted', [item.domain]), true);
+        } catch (error) {
+          showStatus(error.message, false);
+        }
+        await renderCacheStatistics();
+      });
+      actionCell.appendChild(deleteButton);
+      row.appendChild(actionCell);
+      body.appendChild(row);
+    }
+  }
+
+  document.getElementById('cache-stats-refresh-btn').addEventListener('click', renderCacheStatistics);
+
+  renderCacheStatistics();
+
+  // token usage and cost of the model requests
+  const USAGE_CHART_DAYS = 30;
+  const USAGE_TOP_DOMAINS = 10;
+
+  // fill a usage table with totals, the most expensive first
+  function renderUsageTable(table, totalsByKey, limit) {
+    const rows = Object.entries(totalsByKey)
+      .sort(([, a], [, b]) => b.cost - a.cost || (b.promptTokens + b.completionTokens) - (a.promptTokens + a.completionTokens))
+      .slice(0, limit);
+
+    const body = table.querySelector('tbody');
+    body.textContent = '';
+    table.style.display = rows.length > 0 ? 'table' : 'none';
+
+    for (const [key, totals] of rows) {
+      const row = document.createElement('tr');
+      [
+        key,
+        String(totals.requests),
+        window.IntelliReadUsage.formatTokens(totals.promptTokens),
+        window.IntelliReadUsage.formatTokens(totals.completionTokens),
+        window.IntelliReadUsage.formatCost(totals.cost)
+      ].forEach(text => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+      body.appendChild(row);
+    }
+  }
+
+  // draw the cost of the last days as bars, or the tokens while no model has a price
+  function renderUsageChart(byDay) {
+    const chart = document.getElementById('usage-chart');
+    chart.textContent = '';
+
+    const days = [];
+    for (let i = USAGE_CHART_DAYS - 1; i >= 0; i--) {
+      const dayKey = window.IntelliReadUsage.getDayKey(new Date(Date.now() - i * 24 * 60 * 60 * 1000));
+      const totals = byDay[dayKey] || { promptTokens: 0, completionTokens: 0, cost: 0 };
+      days.push({ dayKey, tokens: totals.promptTokens + totals.completionTokens, cost: totals.cost });
+    }
+
+    const showCost = days.some(day => day.cost > 0);
+    const max = Math.max(...days.map(day => showCost ? day.cost : day.tokens));
+    days.forEach((day, index) => {
+      const bar = document.createElement('div');
+      bar.className = index === days.length - 1 ? 'usage-chart-bar today' : 'usage-chart-bar';
+      bar.style.height = max > 0 ? `${((showCost ? day.cost : day.tokens) / max) * 100}%` : '0';
+      bar.title = `${day.dayKey}: ${window.IntelliReadUsage.formatTokens(day.tokens)} · ${window.IntelliReadUsage.formatCost(day.cost)}`;
+      chart.appendChild(bar);
+    });
+  }
+
+  async function renderUsage() {
+    const usage = await window.IntelliReadUsage.getUsage();
+    const { modelPrices } = await callSyncStorage('get', { modelPrices: {} });
+
+    const month = window.IntelliReadUsage.summarizeUsage(usage, modelPrices, window.IntelliReadUsage.getMonthStartKey());
+    document.getElementById('usage-month-summary').textContent = chrome.i18n.getMessage('usage_month_total', [
+      window.IntelliReadUsage.formatTokens(month.total.promptTokens + month.total.completionTokens),
+      window.IntelliReadUsage.formatCost(month.total.cost),
+      String(month.total.requests)
+    ]);
+
+    const chartStart = window.IntelliReadUsage.getDayKey(new Date(Date.now() - (USAGE_CHART_DAYS - 1) * 24 * 60 * 60 * 1000));
+    renderUsageChart(window.IntelliReadUsage.summarizeUsage(usage, modelPrices, chartStart).byDay);
+    renderUsageTable(document.getElementById('usage-by-model'), month.byModel);
+    renderUsageTable(document.getElementById('usage-by-domain'), month.byDomain, USAGE_TOP_DOMAINS);
+  }
+
+  document.getElementById('usage-clear-btn').addEventListener('click', async () => {
+    if (!confirm(chrome.i18n.getMessage('usage_clear_confirm'))) return;
+    await window.IntelliReadUsage.clearUsage();
+    await renderUsage();
+  });
+
+  renderUsage();
+
+  // model responses that did not follow the expected format
+  const parseFailuresList = document.getElementById('parse-failures');
+
+  async function renderParseFailures() {
+    const failures = await window.IntelliReadResponses.getParseFailures();
+    parseFailuresList.textContent = '';
+    document.getElementById('parse-failures-summary').textContent = failures.length > 0
+      ? chrome.i18n.getMessage('parse_failures_hint')
+      : chrome.i18n.getMessage('parse_failures_empty');
+
+    for (const failure of failures) {
+      const details = document.createElement('details');
+      const summary = document.createElement('summary');
+      summary.textContent = chrome.i18n.getMessage(failure.recovered ? 'parse_failure_recovered' : 'parse_failure_failed', [
+        new Date(failure.timestamp).toLocaleString(),
+        `${failure.provider} / ${failure.model}`,
+        failure.schema
+      ]);
+      details.appendChild(summary);
+
+      const url = document.createElement('p');
+      url.textContent = failure.url;
+      const errors = document.createElement('ul');
+      failure.errors.forEach(error => {
+        const item = document.createElement('li');
+        item.textContent = error;
+        errors.appendChild(item);
+      });
+      const response = document.createElement('pre');
+      response.textContent = failure.response;
+      details.append(url, errors, response);
+
+      const item = document.createElement('li');
+      item.appendChild(details);
+      parseFailuresList.appendChild(item);
+    }
+  }
+
+  document.getElementById('parse-failures-clear-btn').addEventListener('click', async () => {
+    await window.IntelliReadResponses.clearParseFailures();
+    await renderParseFailures();
+  });
+
+  renderParseFailures();
+
+  // backup and restore of the cache and the settings
+  const backupImportFileInput = document.getElementById('backup-import-file');
+  document.getElementById('backup-hint').textContent = chrome.i18n.getMessage('backup_hint');
+
+  // call a chrome.storage.sync function, rejecting with its error
+  function callSyncStorage(method, ...args) {
+    return callStorage('sync', method, ...args);
+  }
+
+  // call a function of a chrome.storage area, rejecting with its error
+  function callStorage(area, method, ...args) {
+    return new Promise((resolve, reject) => {
+      chrome.storage[area][method](...args, (result) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else {
+          resolve(result);
+        }
+      });
+    });
+  }
+
+  document.getElementById('backup-export-btn').addEventListener('click', async () => {
+    try {
+      const settings = await callSyncStorage('get', null);
+      const local = await callStorage('local', 'get', window.IntelliReadBackup.BACKUP_LOCAL_DEFAULTS);
+      const cache = await window.IntelliReadCache.sendCacheMessage('exportCacheData', []);
+      const archive = window.IntelliReadBackup.createBackupArchive(settings, local, cache);
+
+      const url = URL.createObjectURL(new Blob([JSON.stringify(archive)], { type: 'application/json' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = window.IntelliReadBackup.getBackupFileName();
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+      showStatus(chrome.i18n.getMessage('backup_exported'), true);
+    } catch (error) {
+      console.error('Failed to export the backup:', error);
+      showStatus(chrome.i18n.getMessage('backup_export_failed', [error.message]), false);
+    }
+  });
+
+  document.getElementById('backup-import-btn').addEventListener('click', () => {
+    backupImportFileInput.click();
+  });
+
+  backupImportFileInput.addEventListener('change', async () => {
+    const file = backupImportFileInput.files[0];
+    // the same file can be picked again after fixing it
+    backupImportFileInput.value = '';
+    if (!file) return;
+
+    let archive;
+    try {
+      archive = JSON.parse(await file.text());
+    } catch (error) {
+      showStatus(chrome.i18n.getMessage('backup_invalid_json'), false);
+      return;
+    }
+
+    const validation = window.IntelliReadBackup.validateBackupArchive(archive);
+    if (!validation.valid) {
+      showStatus(chrome.i18n.getMessage(validation.messageName, validation.substitutions), false);
+      return;
+    }
+
+    const replace = document.getElementById('backup-import-mode').value === 'replace';
+    if (replace && !confirm(chrome.i18n.getMessage('backup_replace_confirm'))) return;
+
+    try {
+      const imported = await window.IntelliReadCache.sendCacheMessage('importCacheData', [archive.cache, replace]);
+      // settings of other releases are dropped, their types were checked with the archive
+      const settings = window.IntelliReadBackup.pickBackupItems(archive.settings, window.IntelliReadBackup.BACKUP_SETTING_DEFAULTS);
+      const local = window.IntelliReadBackup.pickBackupItems(archive.local || {}, window.IntelliReadBackup.BACKUP_LOCAL_DEFAULTS);
+      if (replace) {
+        // the secrets are not in the archive, keep the ones of this machine
+        const secrets = await callSyncStorage('get', window.IntelliReadBackup.SECRET_SETTING_KEYS);
+        await callSyncStorage('clear');
+        await callSyncStorage('set', { ...settings, ...secrets });
+        await callStorage('local', 'set', local);
+      } else {
+        const currentSettings = await callSyncStorage('get', Object.keys(settings));
+        const currentLocal = await callStorage('local', 'get', Object.keys(local));
+        await callSyncStorage('set', window.IntelliReadBackup.mergeBackupItems(currentSettings, settings));
+        await callStorage('local', 'set', window.IntelliReadBackup.mergeBackupItems(currentLocal, local));
       }
-    );
+
+      loadSettings();
+      renderCacheStatistics();
+      renderFeedbackDomains();
+      renderUsage();
+      showStatus(chrome.i18n.getMessage('backup_imported', [String(imported)]), true);
+    } catch (error) {
+      console.error('Failed to import the backup:', error);
+      showStatus(chrome.i18n.getMessage('backup_import_failed', [error.message]), false);
+    }
   });
 
   // show status message
@@ -148,7 +994,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
     document.title = chrome.i18n.getMessage("options_title");
     
-    const elementsWithText = document.querySelectorAll('h1, h2, h3, label, button, option');
+    const elementsWithText = document.querySelectorAll('h1, h2, h3, label, button, option, th');
     elementsWithText.forEach(el => {
       if (el.textContent.includes('__MSG_')) {
         const messageName = el.textContent.match(/__MSG_([a-zA-Z0-9_]+)__/)[1];
@@ -2,25 +2,109 @@ document.addEventListener('DOMContentLoaded', () => {
   localizeUI();
 
   const analyzeButton = document.getElementById('analyze-btn');
+  const reanalyzeButton = document.getElementById('reanalyze-btn');
+  const cancelButton = document.getElementById('cancel-btn');
+  const summarizeButton = document.getElementById('summarize-btn');
   const settingsButton = document.getElementById('settings-btn');
   const clearButton = document.getElementById('clear-btn');
   const clearDomainCacheButton = document.getElementById('clear-domain-cache-btn');
   const statusDiv = document.getElementById('status');
   const autoHighlightCheckbox = document.getElementById('auto-highlight-checkbox');
   const currentDomainSpan = document.getElementById('current-domain');
+  const domainAnalysisModeSelect = document.getElementById('domain-analysis-mode');
+  const domainPromptProfileSelect = document.getElementById('domain-prompt-profile');
 
   // Get current domain and update the domain text
   getCurrentTabDomain().then(domain => {
     currentDomainSpan.textContent = domain;
     // Check if auto-highlight is enabled for this domain
     checkDomainAutoHighlightStatus();
+    // Load the analysis mode override for this domain
+    chrome.storage.sync.get({ domainAnalysisModes: {} }, (items) => {
+      domainAnalysisModeSelect.value = items.domainAnalysisModes[domain] || '';
+    });
+    // Load the prompt profiles and the one assigned to this domain
+    chrome.storage.sync.get({ domainPromptProfiles: {} }, async (items) => {
+      items.promptProfiles = await window.IntelliReadPrompts.loadPromptProfiles();
+      const profiles = window.IntelliReadPrompts.getPromptProfiles(items.promptProfiles);
+      for (const profile of profiles) {
+        const option = document.createElement('option');
+        option.value = profile.id;
+        option.textContent = profile.id === window.IntelliReadPrompts.DEFAULT_PROMPT_PROFILE_ID
+          ? chrome.i18n.getMessage('default_prompt_profile')
+          : profile.name;
+        domainPromptProfileSelect.appendChild(option);
+      }
+      domainPromptProfileSelect.value = window.IntelliReadPrompts.getDomainPromptProfile(items, domain).id;
+    });
+  });
+
+  // Domain prompt profile change event, the default profile needs no assignment
+  domainPromptProfileSelect.addEventListener('change', () => {
+    const domain = currentDomainSpan.textContent;
+    chrome.storage.sync.get({ domainPromptProfiles: {} }, (items) => {
+      const domainPromptProfiles = items.domainPromptProfiles;
+      if (domainPromptProfileSelect.value !== window.IntelliReadPrompts.DEFAULT_PROMPT_PROFILE_ID) {
+        domainPromptProfiles[domain] = domainPromptProfileSelect.value;
+      } else {
+        delete domainPromptProfiles[domain];
+      }
+      chrome.storage.sync.set({ domainPromptProfiles });
+    });
+  });
+
+  // Domain analysis mode change event, an empty value follows the global setting
+  domainAnalysisModeSelect.addEventListener('change', () => {
+    const domain = currentDomainSpan.textContent;
+    chrome.storage.sync.get({ domainAnalysisModes: {} }, (items) => {
+      const domainAnalysisModes = items.domainAnalysisModes;
+      if (domainAnalysisModeSelect.value) {
+        domainAnalysisModes[domain] = domainAnalysisModeSelect.value;
+      } else {
+        delete domainAnalysisModes[domain];
+      }
+      chrome.storage.sync.set({ domainAnalysisModes });
+    });
   });
 
   // check if API is configured
-  chrome.storage.sync.get(['apiUrl', 'apiKey', 'modelName'], (items) => {
-    if (!items.apiUrl || !items.apiKey || !items.modelName) {
+  chrome.storage.sync.get(['apiProvider', 'apiUrl', 'apiKey', 'modelName'], (items) => {
+    if (!window.IntelliReadProviders.isConfigured(items)) {
       showStatus(chrome.i18n.getMessage('configure_api'), 'warning');
       analyzeButton.disabled = true;
+      reanalyzeButton.disabled = true;
+      summarizeButton.disabled = true;
+    }
+  });
+
+  // show the progress of an analysis that is already running in the current tab
+  chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+    chrome.tabs.sendMessage(
+      tabs[0].id,
+      { action: 'getAnalysisProgress' },
+      (response) => {
+        if (chrome.runtime.lastError) return;
+        if (response && response.progress) {
+          showProgress(response.progress);
+        }
+      }
+    );
+  });
+
+  // live progress sent by the content script of the current tab
+  chrome.runtime.onMessage.addListener((request, sender) => {
+    if (request.action !== 'analysisProgress' || !sender.tab) return;
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+      if (tabs[0] && tabs[0].id === sender.tab.id && request.progress.status === 'running') {
+        showProgress(request.progress);
+      }
+    });
+  });
+
+  // show the legend of the highlight categories when categorized highlights are enabled
+  chrome.storage.sync.get({ categorizeHighlights: false, categoryStyles: {} }, (items) => {
+    if (items.categorizeHighlights) {
+      renderCategoryLegend(window.IntelliReadCategories.getCategoryStyles(items.categoryStyles));
     }
   });
 
@@ -29,27 +113,163 @@ document.addEventListener('DOMContentLoaded', () => {
     setDomainAutoHighlight(autoHighlightCheckbox.checked);
   });
 
-  // analyze current page button
-  analyzeButton.addEventListener('click', () => {
+  // ask before a new request once a spending budget is used up, resolves true if the request may be sent
+  async function confirmBudget() {
+    let budget;
+    try {
+      budget = await chrome.runtime.sendMessage({ action: 'getBudgetStatus' });
+    } catch (error) {
+      console.error('Failed to check the budget:', error);
+      return true;
+    }
+    if (!budget || !budget.exceeded) return true;
+    return confirm(chrome.i18n.getMessage(`budget_exceeded_${budget.period}_confirm`, [
+      budget.spent.toFixed(2),
+      budget.budget.toFixed(2)
+    ]));
+  }
+
+  // analyze the current page, ignoreCache analyzes it again and overwrites its cached keypoints
+  async function analyzeCurrentPage(ignoreCache) {
+    if (!(await confirmBudget())) return;
+
     analyzeButton.disabled = true;
+    reanalyzeButton.disabled = true;
     showStatus(chrome.i18n.getMessage('analyzing'), 'info');
     
     chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
       chrome.tabs.sendMessage(
         tabs[0].id,
-        { action: 'analyzeContent' },
+        // the popup already checked the budget
+        { action: 'analyzeContent', ignoreCache, budgetConfirmed: true },
         (response) => {
-          if (response && response.success) {
+          if (response && response.success && response.failed > 0) {
+            showStatus(chrome.i18n.getMessage('analysis_complete_with_failures', [String(response.failed), response.lastError || '']), 'warning');
+          } else if (response && response.success) {
             showStatus(chrome.i18n.getMessage('analysis_complete'), 'info');
+          } else if (response && response.cancelled) {
+            showStatus(chrome.i18n.getMessage('analysis_cancelled'), 'info');
           } else {
             showStatus(response?.message || chrome.i18n.getMessage('analysis_failed'), 'warning');
           }
           analyzeButton.disabled = false;
+          reanalyzeButton.disabled = false;
+          cancelButton.style.display = 'none';
+        }
+      );
+    });
+  }
+
+  // show the tokens and the cost of today and of this month
+  async function renderUsageSummary() {
+    const usage = await window.IntelliReadUsage.getUsage();
+    const { modelPrices } = await new Promise((resolve) => {
+      chrome.storage.sync.get({ modelPrices: {} }, resolve);
+    });
+    const today = window.IntelliReadUsage.summarizeUsage(usage, modelPrices, window.IntelliReadUsage.getDayKey()).total;
+    const month = window.IntelliReadUsage.summarizeUsage(usage, modelPrices, window.IntelliReadUsage.getMonthStartKey()).total;
+    document.getElementById('usage-summary').textContent = chrome.i18n.getMessage('usage_summary', [
+      window.IntelliReadUsage.formatTokens(today.promptTokens + today.completionTokens),
+      window.IntelliReadUsage.formatCost(today.cost),
+      window.IntelliReadUsage.formatTokens(month.promptTokens + month.completionTokens),
+      window.IntelliReadUsage.formatCost(month.cost)
+    ]);
+  }
+
+  renderUsageSummary();
+
+  // analyze current page button
+  analyzeButton.addEventListener('click', () => analyzeCurrentPage(false));
+
+  // re-analyze current page button, skips the cache
+  reanalyzeButton.addEventListener('click', () => analyzeCurrentPage(true));
+
+  // cancel the running analysis, highlights already applied stay on the page
+  cancelButton.addEventListener('click', () => {
+    cancelButton.disabled = true;
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+      chrome.tabs.sendMessage(
+        tabs[0].id,
+        { action: 'cancelAnalysis' },
+        () => {
+          cancelButton.disabled = false;
+          cancelButton.style.display = 'none';
+          analyzeButton.disabled = false;
+          reanalyzeButton.disabled = false;
+          showStatus(chrome.i18n.getMessage('analysis_cancelled'), 'info');
         }
       );
     });
   });
 
+  // summarize current page button, the summary is shown in a panel on the page
+  summarizeButton.addEventListener('click', async () => {
+    if (!(await confirmBudget())) return;
+
+    summarizeButton.disabled = true;
+    showStatus(chrome.i18n.getMessage('summarizing'), 'info');
+
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+      chrome.tabs.sendMessage(
+        tabs[0].id,
+        { action: 'summarizePage', budgetConfirmed: true },
+        (response) => {
+          if (response && response.success) {
+            showStatus(chrome.i18n.getMessage('summary_complete'), 'info');
+          } else {
+            showStatus(response?.message || chrome.i18n.getMessage('summary_failed'), 'warning');
+          }
+          summarizeButton.disabled = false;
+        }
+      );
+    });
+  });
+
+  // export the highlights of the page, as a file or to the clipboard
+  function requestExport(callback) {
+    const format = document.getElementById('export-format').value;
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+      chrome.tabs.sendMessage(tabs[0].id, { action: 'exportHighlights', format }, (response) => {
+        if (!response || !response.success) {
+          showStatus(response?.message || chrome.i18n.getMessage('export_failed'), 'warning');
+          return;
+        }
+        if (response.count === 0) {
+          showStatus(chrome.i18n.getMessage('export_empty'), 'warning');
+          return;
+        }
+        callback(response);
+      });
+    });
+  }
+
+  document.getElementById('export-download-btn').addEventListener('click', () => {
+    requestExport((response) => {
+      const url = URL.createObjectURL(new Blob([response.content], { type: response.mimeType }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = response.fileName;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+      showStatus(chrome.i18n.getMessage('export_downloaded', [String(response.count)]), 'info');
+    });
+  });
+
+  document.getElementById('export-copy-btn').addEventListener('click', () => {
+    requestExport((response) => {
+      navigator.clipboard.writeText(response.content).then(() => {
+        showStatus(chrome.i18n.getMessage('export_copied', [String(response.count)]), 'info');
+      }).catch(() => {
+        showStatus(chrome.i18n.getMessage('export_failed'), 'warning');
+      });
+    });
+  });
+
+  // open the highlights library in a new tab
+  document.getElementById('library-btn').addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('library.html') });
+  });
+
   // settings button
   settingsButton.addEventListener('click', () => {
     chrome.runtime.openOptionsPage();
@@ -96,6 +316,41 @@ document.addEventListener('DOMContentLoaded', () => {
     statusDiv.className = `status ${type}`;
   }
 
+  // show the progress of a running analysis
+  function showProgress(progress) {
+    analyzeButton.disabled = true;
+    reanalyzeButton.disabled = true;
+    cancelButton.style.display = 'block';
+    showStatus(
+      chrome.i18n.getMessage('analysis_progress', [
+        String(progress.processed),
+        String(progress.total),
+        String(progress.cached),
+        String(progress.failed)
+      ]),
+      progress.failed > 0 ? 'warning' : 'info'
+    );
+  }
+
+  // render a sample of every category in its highlight style
+  function renderCategoryLegend(styles) {
+    const legend = document.getElementById('category-legend');
+    legend.textContent = '';
+
+    for (const category of window.IntelliReadCategories.HIGHLIGHT_CATEGORIES) {
+      const item = document.createElement('span');
+      const { color, style } = styles[category];
+      item.textContent = chrome.i18n.getMessage(`category_${category}`);
+      if (style === 'background') {
+        item.style.backgroundColor = color;
+      } else {
+        item.style.borderBottom = `2px ${style === 'dashed' ? 'dashed' : 'solid'} ${color}`;
+      }
+      legend.appendChild(item);
+    }
+    legend.style.display = 'flex';
+  }
+
   // Get the current tab's domain
   async function getCurrentTabDomain() {
     return new Promise((resolve) => {
@@ -149,6 +404,10 @@ document.addEventListener('DOMContentLoaded', () => {
   function localizeUI() {
     document.getElementById('analyze-btn').textContent = chrome.i18n.getMessage('analyze_button');
     document.getElementById('settings-btn').textContent = chrome.i18n.getMessage('settings_button');
+    document.getElementById('cancel-btn').textContent = chrome.i18n.getMessage('cancel_button');
+    document.getElementById('reanalyze-btn').textContent = chrome.i18n.getMessage('reanalyze_button');
+    document.getElementById('summarize-btn').textContent = chrome.i18n.getMessage('summarize_button');
+    document.getElementById('library-btn').textContent = chrome.i18n.getMessage('library_button');
     document.getElementById('clear-btn').textContent = chrome.i18n.getMessage('clear_button');
     document.getElementById('clear-domain-cache-btn').textContent = chrome.i18n.getMessage('clear_domain_cache_button');
     document.querySelector('h1').textContent = chrome.i18n.getMessage('popup_title');
@@ -161,7 +420,7 @@ document.addEventListener('DOMContentLoaded', () => {
       document.querySelector('label[for="auto-highlight-checkbox"]').textContent = autoHighlightLabel;
     }
     
-    const elementsWithText = document.querySelectorAll('h1, h2, h3, label, button');
+    const elementsWithText = document.querySelectorAll('h1, h2, h3, label, button, option');
     elementsWithText.forEach(el => {
       if (el.textContent.includes('__MSG_')) {
         const messageName = el.textContent.match(/__MSG_([a-zA-Z0-9_]+)__/)[1];
@@ -0,0 +1,155 @@
+/**
+ * IntelliRead Prompt Profiles
+ * Named prompt templates for the keypoint analysis, with {{content}}, {{title}} and {{language}} variables,
+ * and the lookup of the profile assigned to a domain. The profiles are kept in chrome.storage.local,
+ * a few long templates would not fit the 8 KB per item of chrome.storage.sync.
+ * Shared by the content scripts, the options page and the popup.
+ */
+
+// create a global object for IntelliReadPrompts
+window.IntelliReadPrompts = {};
+
+const DEFAULT_PROMPT_PROFILE_ID = 'default';
+
+const PROMPT_PROFILES_STORAGE_KEY = 'promptProfiles';
+
+// a template is sent with every paragraph, a longer one is refused when saving
+const MAX_PROMPT_TEMPLATE_LENGTH = 16000;
+
+// the variables a template can use, {{content}} is required
+const PROMPT_VARIABLES = ['content', 'title', 'language'];
+
+// the template of the default profile, the output format rules are added after it
+const DEFAULT_PROMPT_TEMPLATE = `You are a professional text analysis tool. Your task is to extract the most essential key points from the following text:
+
+"""
+{{content}}
+"""
+
+Please strictly follow these requirements:
+1. Extract only 3-5 most important and core key points from the text
+2. Key points must exist verbatim in the original text, do not add your own interpretations or summaries
+3. Prioritize keywords or phrases that represent the main idea of the article
+4. Keep the key points concise, typically no more than 10 characters each`;
+
+/**
+ * @typedef {object} PromptProfile
+ * @property {string} id - The profile id, default for the built-in profile.
+ * @property {string} name - The name shown to the reader.
+ * @property {string} template - The prompt template.
+ */
+
+/**
+ * Get every prompt profile, the default profile first
+ * @param {Array<PromptProfile>} [savedProfiles] The profiles from settings, may override the default template
+ * @returns {Array<PromptProfile>} The profiles
+ */
+function getPromptProfiles(savedProfiles) {
+  const profiles = (savedProfiles || []).filter(profile => profile.id !== DEFAULT_PROMPT_PROFILE_ID);
+  const savedDefault = (savedProfiles || []).find(profile => profile.id === DEFAULT_PROMPT_PROFILE_ID);
+
+  return [
+    {
+      id: DEFAULT_PROMPT_PROFILE_ID,
+      name: savedDefault ? savedDefault.name : 'Default',
+      template: savedDefault ? savedDefault.template : DEFAULT_PROMPT_TEMPLATE
+    },
+    ...profiles
+  ];
+}
+
+/**
+ * Load the saved prompt profiles
+ * @returns {Promise<Array<PromptProfile>>} The saved profiles, see getPromptProfiles for the complete list
+ */
+function loadPromptProfiles() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get({ [PROMPT_PROFILES_STORAGE_KEY]: [] }, (items) => {
+      resolve(items[PROMPT_PROFILES_STORAGE_KEY]);
+    });
+  });
+}
+
+/**
+ * Save the prompt profiles
+ * @param {Array<PromptProfile>} profiles The profiles
+ * @returns {Promise<void>}
+ * @throws {Error} If the storage rejects them
+ */
+function savePromptProfiles(profiles) {
+  return new Promise((resolve, reject) => {
+    chrome.storage.local.set({ [PROMPT_PROFILES_STORAGE_KEY]: profiles }, () => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+/**
+ * Get the prompt profile assigned to a domain
+ * @param {{promptProfiles: Array<PromptProfile>, domainPromptProfiles: Object<string, string>}} settings The user settings
+ * @param {string} domain The domain
+ * @returns {PromptProfile} The assigned profile, or the default profile if none is assigned or it was deleted
+ */
+function getDomainPromptProfile(settings, domain) {
+  const profiles = getPromptProfiles(settings.promptProfiles);
+  const profileId = (settings.domainPromptProfiles || {})[domain];
+  return profiles.find(profile => profile.id === profileId) || profiles[0];
+}
+
+/**
+ * Fill the variables of a template, a template without {{content}} gets the content appended
+ * @param {string} template The prompt template
+ * @param {{content: string, title: string, language: string}} variables The variable values
+ * @returns {string} The prompt
+ */
+function renderPromptTemplate(template, variables) {
+  const fullTemplate = hasContentVariable(template)
+    ? template
+    : `${template}\n\n"""\n{{content}}\n"""`;
+
+  // a single pass, so variables inside the page content are left alone
+  return fullTemplate.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+    return PROMPT_VARIABLES.includes(name) && variables[name] !== undefined ? variables[name] : match;
+  });
+}
+
+/**
+ * Check if a template uses the {{content}} variable
+ * @param {string} template The prompt template
+ * @returns {boolean} Returns true if the content is placed by the template
+ */
+function hasContentVariable(template) {
+  return /\{\{\s*content\s*\}\}/.test(template);
+}
+
+/**
+ * Check if a profile uses the built-in default template, its results are cached without a profile key
+ * @param {PromptProfile} profile The profile
+ * @returns {boolean} Returns true for the unchanged default template
+ */
+function isDefaultPromptTemplate(profile) {
+  return profile.template === DEFAULT_PROMPT_TEMPLATE;
+}
+
+// create an id for a new profile
+function createPromptProfileId() {
+  return `profile-${Date.now().toString(36)}`;
+}
+
+// mount the functions to the global object
+window.IntelliReadPrompts.DEFAULT_PROMPT_PROFILE_ID = DEFAULT_PROMPT_PROFILE_ID;
+window.IntelliReadPrompts.DEFAULT_PROMPT_TEMPLATE = DEFAULT_PROMPT_TEMPLATE;
+window.IntelliReadPrompts.PROMPT_VARIABLES = PROMPT_VARIABLES;
+window.IntelliReadPrompts.MAX_PROMPT_TEMPLATE_LENGTH = MAX_PROMPT_TEMPLATE_LENGTH;
+window.IntelliReadPrompts.loadPromptProfiles = loadPromptProfiles;
+window.IntelliReadPrompts.savePromptProfiles = savePromptProfiles;
+window.IntelliReadPrompts.getPromptProfiles = getPromptProfiles;
+window.IntelliReadPrompts.getDomainPromptProfile = getDomainPromptProfile;
+window.IntelliReadPrompts.renderPromptTemplate = renderPromptTemplate;
+window.IntelliReadPrompts.hasContentVariable = hasContentVariable;
+window.IntelliReadPrompts.isDefaultPromptTemplate = isDefaultPromptTemplate;
+window.IntelliReadPrompts.createPromptProfileId = createPromptProfileId;
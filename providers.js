@@ -0,0 +1,400 @@
+/**
+ * IntelliRead Provider Adapters
+ * Map request building, auth headers, structured output, response and token usage extraction for every supported LLM API,
+ * so the analyzer only deals with a prompt in and plain text out.
+ */
+
+// create a global object for IntelliReadProviders
+window.IntelliReadProviders = {};
+
+const DEFAULT_PROVIDER = 'openai';
+// the host of the official OpenAI API, other OpenAI compatible servers often reject response_format
+const OPENAI_API_HOST = 'api.openai.com';
+// the first generally available version with JSON schema structured output
+const AZURE_DEFAULT_API_VERSION = '2024-10-21';
+
+/**
+ * @typedef {object} ProviderRequest
+ * @property {string} url - The final request URL.
+ * @property {Object<string, string>} headers - The request headers, including auth.
+ * @property {object} body - The JSON request body.
+ */
+
+/**
+ * @typedef {object} RequestOptions
+ * @property {number} [temperature] - Sampling temperature.
+ * @property {number} [maxTokens] - Maximum number of tokens to generate.
+ * @property {ResponseSchema} [schema] - The JSON schema the response has to follow, for providers with structured output.
+ */
+
+/**
+ * @typedef {object} TokenUsage
+ * @property {number} promptTokens - The tokens of the prompt.
+ * @property {number} completionTokens - The tokens of the answer.
+ */
+
+const PROVIDERS = {
+  // OpenAI chat completions, also used by OpenRouter, llama.cpp server and other compatible APIs
+  openai: {
+    label: 'OpenAI Compatible',
+    defaultUrl: 'https://api.openai.com/v1/chat/completions',
+    defaultModel: 'gpt-4o-mini',
+    requiresApiKey: true,
+    // OpenRouter, llama.cpp server and vLLM reject or ignore a json_schema response_format
+    structuredOutputByDefault(settings) {
+      return getUrlHost(settings.apiUrl) === OPENAI_API_HOST;
+    },
+    buildRequest(prompt, settings, options) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (settings.apiKey) {
+        headers['Authorization'] = `Bearer ${settings.apiKey}`;
+      }
+      const body = {
+        model: settings.modelName,
+        messages: [{
+          role: 'user',
+          content: prompt
+        }],
+        temperature: options.temperature,
+        max_tokens: options.maxTokens
+      };
+      if (options.schema) {
+        body.response_format = buildJsonSchemaResponseFormat(options.schema);
+      }
+      return {
+        url: settings.apiUrl,
+        headers,
+        body
+      };
+    },
+    extractText(data) {
+      return data.choices?.[0]?.message?.content || null;
+    },
+    extractUsage(data) {
+      if (!data.usage) return null;
+      return { promptTokens: data.usage.prompt_tokens || 0, completionTokens: data.usage.completion_tokens || 0 };
+    }
+  },
+
+  // Anthropic Messages API
+  anthropic: {
+    label: 'Anthropic',
+    defaultUrl: 'https://api.anthropic.com/v1/messages',
+    defaultModel: 'claude-3-5-haiku-latest',
+    requiresApiKey: true,
+    structuredOutputByDefault: () => true,
+    buildRequest(prompt, settings, options) {
+      const body = {
+        model: settings.modelName,
+        messages: [{
+          role: 'user',
+          content: prompt
+        }],
+        temperature: options.temperature,
+        max_tokens: options.maxTokens
+      };
+      // the Messages API has no JSON mode, a forced tool call returns arguments that follow the schema
+      if (options.schema) {
+        body.tools = [{
+          name: options.schema.name,
+          description: 'Return the result in the required format',
+          input_schema: options.schema.schema
+        }];
+        body.tool_choice = { type: 'tool', name: options.schema.name };
+      }
+      return {
+        url: settings.apiUrl,
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': settings.apiKey,
+          'anthropic-version': '2023-06-01',
+          // required for requests sent from a browser context
+          'anthropic-dangerous-direct-browser-access': 'true'
+        },
+        body
+      };
+    },
+    extractText(data) {
+      if (!Array.isArray(data.content)) return null;
+      const toolUse = data.content.find(block => block.type === 'tool_use');
+      if (toolUse) {
+        return JSON.stringify(toolUse.input);
+      }
+      const text = data.content
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+      return text || null;
+    },
+    extractUsage(data) {
+      if (!data.usage) return null;
+      return { promptTokens: data.usage.input_tokens || 0, completionTokens: data.usage.output_tokens || 0 };
+    }
+  },
+
+  // Google Gemini generateContent, the model is part of the URL
+  gemini: {
+    label: 'Google Gemini',
+    defaultUrl: 'https://generativelanguage.googleapis.com/v1beta/models/{model}:generateContent',
+    defaultModel: 'gemini-1.5-flash',
+    requiresApiKey: true,
+    structuredOutputByDefault: () => true,
+    buildRequest(prompt, settings, options) {
+      return {
+        url: fillModelPlaceholder(settings.apiUrl, settings.modelName),
+        headers: {
+          'Content-Type': 'application/json',
+          'x-goog-api-key': settings.apiKey
+        },
+        body: {
+          contents: [{
+            role: 'user',
+            parts: [{ text: prompt }]
+          }],
+          generationConfig: {
+            temperature: options.temperature,
+            maxOutputTokens: options.maxTokens,
+            ...(options.schema && {
+              responseMimeType: 'application/json',
+              responseSchema: toGeminiSchema(options.schema.schema)
+            })
+          }
+        }
+      };
+    },
+    extractText(data) {
+      const parts = data.candidates?.[0]?.content?.parts;
+      if (!Array.isArray(parts)) return null;
+      const text = parts.map(part => part.text || '').join('');
+      return text || null;
+    },
+    extractUsage(data) {
+      if (!data.usageMetadata) return null;
+      return {
+        promptTokens: data.usageMetadata.promptTokenCount || 0,
+        completionTokens: data.usageMetadata.candidatesTokenCount || 0
+      };
+    }
+  },
+
+  // Ollama native chat API, no API key needed for a local server
+  ollama: {
+    label: 'Ollama',
+    defaultUrl: 'http://localhost:11434/api/chat',
+    defaultModel: 'llama3.1',
+    requiresApiKey: false,
+    // schemas as format need Ollama 0.5 or later
+    structuredOutputByDefault: () => false,
+    buildRequest(prompt, settings, options) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (settings.apiKey) {
+        headers['Authorization'] = `Bearer ${settings.apiKey}`;
+      }
+      return {
+        url: settings.apiUrl,
+        headers,
+        body: {
+          model: settings.modelName,
+          messages: [{
+            role: 'user',
+            content: prompt
+          }],
+          stream: false,
+          // Ollama takes the JSON schema itself as format
+          ...(options.schema && { format: options.schema.schema }),
+          options: {
+            temperature: options.temperature,
+            num_predict: options.maxTokens
+          }
+        }
+      };
+    },
+    extractText(data) {
+      return data.message?.content || null;
+    },
+    extractUsage(data) {
+      if (data.prompt_eval_count === undefined && data.eval_count === undefined) return null;
+      return { promptTokens: data.prompt_eval_count || 0, completionTokens: data.eval_count || 0 };
+    }
+  },
+
+  // Azure OpenAI, the deployment is part of the URL and the API version is a query parameter
+  azure: {
+    label: 'Azure OpenAI',
+    defaultUrl: 'https://{resource}.openai.azure.com/openai/deployments/{model}/chat/completions',
+    defaultModel: '',
+    requiresApiKey: true,
+    structuredOutputByDefault: () => true,
+    buildRequest(prompt, settings, options) {
+      const url = new URL(fillModelPlaceholder(settings.apiUrl, settings.modelName));
+      if (!url.searchParams.has('api-version')) {
+        url.searchParams.set('api-version', settings.apiVersion || AZURE_DEFAULT_API_VERSION);
+      }
+      return {
+        url: url.toString(),
+        headers: {
+          'Content-Type': 'application/json',
+          'api-key': settings.apiKey
+        },
+        body: {
+          messages: [{
+            role: 'user',
+            content: prompt
+          }],
+          temperature: options.temperature,
+          max_tokens: options.maxTokens,
+          ...(options.schema && { response_format: buildJsonSchemaResponseFormat(options.schema) })
+        }
+      };
+    },
+    extractText(data) {
+      return PROVIDERS.openai.extractText(data);
+    },
+    extractUsage(data) {
+      return PROVIDERS.openai.extractUsage(data);
+    }
+  }
+};
+
+/**
+ * Replace the {model} placeholder in a URL template with the model name
+ * @param {string} url The URL template
+ * @param {string} modelName The model name
+ * @returns {string} The URL with the model filled in
+ */
+function fillModelPlaceholder(url, modelName) {
+  return url.replace('{model}', encodeURIComponent(modelName || ''));
+}
+
+// get the host of a URL, empty for an invalid URL
+function getUrlHost(url) {
+  try {
+    return new URL(url).host;
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Build the OpenAI response_format that makes the model follow a JSON schema
+ * @param {ResponseSchema} responseSchema The response schema
+ * @returns {object} The response_format value
+ */
+function buildJsonSchemaResponseFormat(responseSchema) {
+  return {
+    type: 'json_schema',
+    json_schema: {
+      name: responseSchema.name,
+      strict: true,
+      schema: responseSchema.schema
+    }
+  };
+}
+
+/**
+ * Convert a JSON schema to the OpenAPI subset Gemini accepts, which rejects additionalProperties
+ * @param {object} schema The JSON schema
+ * @returns {object} The Gemini response schema
+ */
+function toGeminiSchema(schema) {
+  const { additionalProperties, properties, items, ...rest } = schema;
+  const result = { ...rest };
+  if (properties) {
+    result.properties = {};
+    for (const [key, value] of Object.entries(properties)) {
+      result.properties[key] = toGeminiSchema(value);
+    }
+  }
+  if (items) {
+    result.items = toGeminiSchema(items);
+  }
+  return result;
+}
+
+/**
+ * Get a provider adapter by id, falling back to the OpenAI compatible adapter
+ * @param {string} providerId The provider id from settings
+ * @returns {object} The provider adapter
+ */
+function getProvider(providerId) {
+  return PROVIDERS[providerId] || PROVIDERS[DEFAULT_PROVIDER];
+}
+
+/**
+ * Build the fetch request for the configured provider
+ * @param {string} prompt The prompt to send
+ * @param {object} settings The user settings
+ * @param {RequestOptions} [options] The generation options
+ * @returns {ProviderRequest} The request description
+ */
+function buildProviderRequest(prompt, settings, options = {}) {
+  return getProvider(settings.apiProvider).buildRequest(prompt, settings, options);
+}
+
+/**
+ * Extract the generated text from a provider response
+ * @param {object} settings The user settings
+ * @param {object} data The parsed JSON response
+ * @returns {string|null} The generated text, or null if the response has none
+ */
+function extractProviderText(settings, data) {
+  if (!data) return null;
+  return getProvider(settings.apiProvider).extractText(data);
+}
+
+/**
+ * Extract the token usage from a provider response
+ * @param {object} settings The user settings
+ * @param {object} data The parsed JSON response
+ * @returns {TokenUsage|null} The token usage, or null if the response does not report it
+ */
+function extractProviderUsage(settings, data) {
+  if (!data) return null;
+  return getProvider(settings.apiProvider).extractUsage(data);
+}
+
+/**
+ * Check whether the settings are complete for the configured provider
+ * @param {object} settings The user settings
+ * @returns {boolean} Returns true if the API can be called with these settings
+ */
+function isProviderConfigured(settings) {
+  if (!settings || !settings.apiUrl || !settings.modelName) return false;
+  return !getProvider(settings.apiProvider).requiresApiKey || !!settings.apiKey;
+}
+
+/**
+ * Check whether to send the response schema to the provider, an explicit on or off wins over the provider default
+ * @param {object} settings The user settings
+ * @returns {boolean} Returns true if the request should ask for structured output
+ */
+function isStructuredOutputEnabled(settings) {
+  if (settings.structuredOutput === 'on') return true;
+  if (settings.structuredOutput === 'off') return false;
+  return getProvider(settings.apiProvider).structuredOutputByDefault(settings);
+}
+
+/**
+ * List the available providers for the settings UI
+ * @returns {Array<{id: string, label: string, defaultUrl: string, defaultModel: string, requiresApiKey: boolean}>}
+ */
+function listProviders() {
+  return Object.entries(PROVIDERS).map(([id, provider]) => ({
+    id,
+    label: provider.label,
+    defaultUrl: provider.defaultUrl,
+    defaultModel: provider.defaultModel,
+    requiresApiKey: provider.requiresApiKey
+  }));
+}
+
+// mount the functions to the global object
+window.IntelliReadProviders.DEFAULT_PROVIDER = DEFAULT_PROVIDER;
+window.IntelliReadProviders.AZURE_DEFAULT_API_VERSION = AZURE_DEFAULT_API_VERSION;
+window.IntelliReadProviders.getProvider = getProvider;
+window.IntelliReadProviders.buildRequest = buildProviderRequest;
+window.IntelliReadProviders.extractText = extractProviderText;
+window.IntelliReadProviders.extractUsage = extractProviderUsage;
+window.IntelliReadProviders.isConfigured = isProviderConfigured;
+window.IntelliReadProviders.isStructuredOutputEnabled = isStructuredOutputEnabled;
+window.IntelliReadProviders.listProviders = listProviders;
@@ -0,0 +1,111 @@
+/**
+ * IntelliRead Request Scheduler
+ * Keep the model requests of every tab under the requests and tokens per minute set in the options,
+ * and hold all tabs back when the API answers with a rate limit. The content scripts ask for a slot
+ * before each request (requests.js) and wait the returned time when none is free.
+ * Loaded by the background service worker. The state is in memory only, a restarted worker starts a new window.
+ */
+
+// create a global object for IntelliReadScheduler
+self.IntelliReadScheduler = {};
+
+const RATE_WINDOW_MS = 60 * 1000;
+
+// a tab asks again after at least this long, so a full window is not polled in a busy loop
+const MIN_SLOT_WAIT_MS = 100;
+
+// a Retry-After longer than this is capped, the analysis would look stuck otherwise
+const MAX_RATE_LIMIT_PAUSE_MS = 5 * 60 * 1000;
+
+/**
+ * @typedef {object} RateLimits
+ * @property {number} requestsPerMinute - The maximum number of requests per minute, 0 for no limit.
+ * @property {number} tokensPerMinute - The maximum number of estimated tokens per minute, 0 for no limit.
+ */
+
+/**
+ * @typedef {object} SlotResult
+ * @property {boolean} granted - Whether the request may be sent now.
+ * @property {number} [waitMs] - How long to wait before asking again, when it was not granted.
+ * @property {string} [error] - Why the limits could not be checked, set by the service worker when the scheduler fails.
+ */
+
+// the requests granted in the last window, oldest first
+let grantedRequests = [];
+
+// no request is granted before this time, set when the API reports a rate limit
+let rateLimitedUntil = 0;
+
+/**
+ * Get the configured rate limits
+ * @returns {Promise<RateLimits>} The rate limits
+ */
+function getRateLimits() {
+  return new Promise((resolve) => {
+    chrome.storage.sync.get({ requestsPerMinute: 0, tokensPerMinute: 0 }, (items) => {
+      resolve(items);
+    });
+  });
+}
+
+/**
+ * Get how long to wait until enough of the oldest requests leave the window to fit a request of the given tokens
+ * @param {number} tokens The estimated tokens of the request
+ * @param {number} tokensPerMinute The token limit
+ * @param {number} now The current time
+ * @returns {number} The wait in milliseconds, 0 if the request fits now
+ */
+function getTokenWait(tokens, tokensPerMinute, now) {
+  let usedTokens = grantedRequests.reduce((sum, request) => sum + request.tokens, 0);
+  // a request larger than the whole budget is granted alone once the window is empty
+  if (usedTokens === 0 || usedTokens + tokens <= tokensPerMinute) return 0;
+
+  for (const request of grantedRequests) {
+    usedTokens -= request.tokens;
+    if (usedTokens === 0 || usedTokens + tokens <= tokensPerMinute) {
+      return request.time + RATE_WINDOW_MS - now;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Ask for a slot to send a model request, the request is counted against the limits when granted
+ * @param {number} tokens The estimated tokens of the request, prompt and answer
+ * @returns {Promise<SlotResult>} Whether the request may be sent, or how long to wait
+ */
+async function requestSlot(tokens) {
+  const limits = await getRateLimits();
+  const now = Date.now();
+  grantedRequests = grantedRequests.filter(request => request.time > now - RATE_WINDOW_MS);
+
+  let waitMs = rateLimitedUntil - now;
+  if (limits.requestsPerMinute > 0 && grantedRequests.length >= limits.requestsPerMinute) {
+    // the request that has to leave the window to make room for one more
+    const blockingRequest = grantedRequests[grantedRequests.length - limits.requestsPerMinute];
+    waitMs = Math.max(waitMs, blockingRequest.time + RATE_WINDOW_MS - now);
+  }
+  if (limits.tokensPerMinute > 0) {
+    waitMs = Math.max(waitMs, getTokenWait(tokens, limits.tokensPerMinute, now));
+  }
+
+  if (waitMs > 0) {
+    return { granted: false, waitMs: Math.max(waitMs, MIN_SLOT_WAIT_MS) };
+  }
+
+  grantedRequests.push({ time: now, tokens });
+  return { granted: true };
+}
+
+/**
+ * Hold back the requests of every tab after the API reported a rate limit
+ * @param {number} waitMs How long to wait, from the Retry-After header or the backoff
+ */
+function reportRateLimit(waitMs) {
+  const pause = Math.min(Math.max(waitMs, 0), MAX_RATE_LIMIT_PAUSE_MS);
+  rateLimitedUntil = Math.max(rateLimitedUntil, Date.now() + pause);
+}
+
+// mount the functions to the global object
+self.IntelliReadScheduler.requestSlot = requestSlot;
+self.IntelliReadScheduler.reportRateLimit = reportRateLimit;
@@ -0,0 +1,180 @@
+/**
+ * IntelliRead Model Requests
+ * Send a model request once the scheduler of the background service worker (request-scheduler.js) grants a slot,
+ * so the requests of all tabs share the configured rate limits. Rate limits pause every tab for the
+ * Retry-After time, and rate limits, server errors and network failures are retried with exponential backoff.
+ * A request whose Retry-After is longer than the longest pause of the scheduler fails instead of waiting.
+ */
+
+// create a global object for IntelliReadRequests
+window.IntelliReadRequests = {};
+
+// the first attempt and up to three retries
+const MAX_REQUEST_ATTEMPTS = 4;
+
+// the backoff doubles from the base delay up to the max delay
+const BACKOFF_BASE_DELAY_MS = 1000;
+const BACKOFF_MAX_DELAY_MS = 30 * 1000;
+
+// the same as MAX_RATE_LIMIT_PAUSE_MS of the scheduler, a longer Retry-After fails the request
+const MAX_RETRY_AFTER_MS = 5 * 60 * 1000;
+
+// a rough estimate that works well enough for English, other scripts use fewer characters per token
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Estimate the tokens of a request, the prompt and the longest possible answer
+ * @param {string} prompt The prompt
+ * @param {number} maxTokens The maximum number of tokens to generate
+ * @returns {number} The estimated tokens
+ */
+function estimateRequestTokens(prompt, maxTokens) {
+  return Math.ceil(prompt.length / CHARS_PER_TOKEN) + (maxTokens || 0);
+}
+
+/**
+ * Wait for some time, rejecting with an AbortError when the signal aborts
+ * @param {number} ms The time to wait
+ * @param {AbortSignal} [signal] The signal of the analysis
+ * @returns {Promise<void>}
+ */
+function waitForDelay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(new DOMException('The request was aborted', 'AbortError'));
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new DOMException('The request was aborted', 'AbortError'));
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Get the backoff delay of a retry, with jitter so the tabs do not retry at the same moment
+ * @param {number} attempt The number of the failed attempt, starting at 0
+ * @returns {number} The delay in milliseconds
+ */
+function getBackoffDelay(attempt) {
+  const delay = Math.min(BACKOFF_MAX_DELAY_MS, BACKOFF_BASE_DELAY_MS * 2 ** attempt);
+  return Math.round(delay * (0.5 + Math.random() / 2));
+}
+
+/**
+ * Parse a Retry-After header, either seconds or an HTTP date
+ * @param {string|null} value The header value
+ * @returns {number|null} The wait in milliseconds, or null if the header is missing or invalid
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// rate limits, timeouts and server errors are worth another attempt, other errors would fail again
+function isRetryableStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Send a message to the scheduler
+ * @param {object} message The message
+ * @returns {Promise<*>} The response, null if the service worker could not be reached
+ */
+function sendSchedulerMessage(message) {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage(message, (response) => {
+      if (chrome.runtime.lastError) {
+        console.warn('Request scheduler unavailable:', chrome.runtime.lastError.message);
+        resolve(null);
+      } else {
+        resolve(response);
+      }
+    });
+  });
+}
+
+/**
+ * Wait until the scheduler grants a slot for a request
+ * @param {number} tokens The estimated tokens of the request
+ * @param {AbortSignal} [signal] The signal of the analysis
+ * @returns {Promise<void>} Resolves when the request may be sent, requests go out unscheduled when the scheduler is unavailable
+ * @throws {Error} If the scheduler failed to check the limits
+ */
+async function acquireRequestSlot(tokens, signal) {
+  for (;;) {
+    const slot = await sendSchedulerMessage({ action: 'requestSlot', tokens });
+    if (slot && slot.error) throw new Error(`Failed to schedule the request: ${slot.error}`);
+    if (!slot || slot.granted) return;
+    await waitForDelay(slot.waitMs, signal);
+  }
+}
+
+/**
+ * Send a model request through the scheduler, retrying transient failures
+ * @param {ProviderRequest} request The provider request
+ * @param {number} tokens The estimated tokens of the request
+ * @param {AbortSignal} [signal] The signal of the analysis
+ * @returns {Promise<object>} The parsed JSON response
+ * @throws {Error} If the request still fails after the retries, fails with an error that is not transient,
+ * or is rate limited for longer than MAX_RETRY_AFTER_MS
+ */
+async function sendModelRequest(request, tokens, signal) {
+  for (let attempt = 0; ; attempt++) {
+    const isLastAttempt = attempt === MAX_REQUEST_ATTEMPTS - 1;
+    await acquireRequestSlot(tokens, signal);
+
+    let response;
+    try {
+      response = await fetch(request.url, {
+        method: 'POST',
+        headers: request.headers,
+        body: JSON.stringify(request.body),
+        signal
+      });
+    } catch (error) {
+      // a network failure, the aborted analysis is not retried
+      if (error.name === 'AbortError' || isLastAttempt) throw error;
+      console.warn(`Model request failed, retrying (attempt ${attempt + 1}):`, error);
+      await waitForDelay(getBackoffDelay(attempt), signal);
+      continue;
+    }
+
+    if (response.ok) {
+      return response.json();
+    }
+
+    const failure = `API request failed: ${response.status} ${response.statusText}`;
+    if (!isRetryableStatus(response.status) || isLastAttempt) {
+      throw new Error(attempt > 0 ? `${failure} (after ${attempt + 1} attempts)` : failure);
+    }
+
+    const delay = parseRetryAfter(response.headers.get('Retry-After')) ?? getBackoffDelay(attempt);
+    if (response.status === 429) {
+      // every tab waits, not only the one that hit the limit
+      sendSchedulerMessage({ action: 'reportRateLimit', waitMs: delay });
+    }
+    if (delay > MAX_RETRY_AFTER_MS) {
+      throw new Error(`${failure}, retry after ${Math.ceil(delay / 1000)} s is longer than the ${MAX_RETRY_AFTER_MS / 60000} minute maximum`);
+    }
+    console.warn(`${failure}, retrying in ${delay} ms (attempt ${attempt + 1})`);
+    await waitForDelay(delay, signal);
+  }
+}
+
+// mount the functions to the global object
+window.IntelliReadRequests.estimateRequestTokens = estimateRequestTokens;
+window.IntelliReadRequests.parseRetryAfter = parseRetryAfter;
+window.IntelliReadRequests.sendModelRequest = sendModelRequest;
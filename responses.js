@@ -0,0 +1,278 @@
+/**
+ * IntelliRead Model Responses
+ * The JSON schemas of what the model returns, sent to providers that support structured output,
+ * and the parsing and validation of the responses against them. Responses that stay invalid are kept
+ * in chrome.storage.local so they can be inspected in the settings. They are only written by the background
+ * service worker, so the failures of all tabs are added one at a time.
+ * Shared by the content scripts, the options page and the background service worker.
+ */
+
+// create a global object for IntelliReadResponses
+self.IntelliReadResponses = {};
+
+const PARSE_FAILURES_STORAGE_KEY = 'modelResponseFailures';
+
+// keep this many failures, the oldest are dropped, and this much of every response
+const MAX_PARSE_FAILURES = 20;
+const PARSE_FAILURE_EXCERPT_LENGTH = 2000;
+
+// report at most this many schema errors, one broken item tends to repeat
+const MAX_SCHEMA_ERRORS = 5;
+
+// failure writes wait for the previous one, every write reads and replaces the whole list
+let parseFailureWriteQueue = Promise.resolve();
+
+/**
+ * @typedef {object} ResponseSchema
+ * @property {string} name - The schema name, required by some providers.
+ * @property {object} schema - The JSON schema, always an object at the top level.
+ */
+
+/**
+ * @typedef {object} ParsedResponse
+ * @property {*} value - The parsed JSON, null if the response is not JSON.
+ * @property {Array<string>} errors - Why the response is invalid, empty if it is valid.
+ */
+
+/**
+ * @typedef {object} ParseFailure
+ * @property {number} timestamp - When the response was received.
+ * @property {string} url - The page that was analyzed.
+ * @property {string} provider - The API provider.
+ * @property {string} model - The model name.
+ * @property {string} schema - The name of the expected schema.
+ * @property {Array<string>} errors - Why the first response was invalid.
+ * @property {string} response - The start of the first response.
+ * @property {boolean} recovered - Whether the retry returned a valid response.
+ */
+
+/**
+ * @typedef {object} KeypointSchemaOptions
+ * @property {boolean} [categories] - Whether every keypoint has a category.
+ * @property {boolean} [rationales] - Whether every keypoint has a reason.
+ */
+
+// an object schema whose properties are all required, as strict structured output demands
+function strictObjectSchema(properties) {
+  return {
+    type: 'object',
+    properties,
+    required: Object.keys(properties),
+    additionalProperties: false
+  };
+}
+
+/**
+ * Build the schema of a single keypoint, a plain string without categories and rationales
+ * @param {KeypointSchemaOptions} options The keypoint fields
+ * @returns {object} The JSON schema
+ */
+function buildKeypointSchema(options) {
+  if (!options.categories && !options.rationales) {
+    return { type: 'string' };
+  }
+
+  const properties = { text: { type: 'string' } };
+  if (options.categories) {
+    properties.category = { type: 'string', enum: [...self.IntelliReadCategories.HIGHLIGHT_CATEGORIES] };
+  }
+  if (options.rationales) {
+    properties.reason = { type: 'string' };
+  }
+  return strictObjectSchema(properties);
+}
+
+/**
+ * Build the schema of the keypoints of one paragraph, {"keypoints": [...]}
+ * @param {KeypointSchemaOptions} options The keypoint fields
+ * @returns {ResponseSchema} The response schema
+ */
+function buildKeypointsSchema(options) {
+  return {
+    name: 'keypoints',
+    schema: strictObjectSchema({
+      keypoints: { type: 'array', items: buildKeypointSchema(options) }
+    })
+  };
+}
+
+/**
+ * Build the schema of the keypoints of several paragraphs, keyed by paragraph id starting at 1
+ * @param {number} count The number of paragraphs
+ * @param {KeypointSchemaOptions} options The keypoint fields
+ * @returns {ResponseSchema} The response schema
+ */
+function buildBatchKeypointsSchema(count, options) {
+  const properties = {};
+  for (let id = 1; id <= count; id++) {
+    properties[id] = { type: 'array', items: buildKeypointSchema(options) };
+  }
+  return { name: 'paragraph_keypoints', schema: strictObjectSchema(properties) };
+}
+
+/**
+ * Build the schema of a page summary, {"points": [{"text": ..., "paragraph": ...}]}
+ * @returns {ResponseSchema} The response schema
+ */
+function buildSummarySchema() {
+  return {
+    name: 'summary',
+    schema: strictObjectSchema({
+      points: {
+        type: 'array',
+        items: strictObjectSchema({
+          text: { type: 'string' },
+          paragraph: { type: 'integer' }
+        })
+      }
+    })
+  };
+}
+
+/**
+ * Parse the JSON of a model response, ignoring a markdown fence and text around the JSON
+ * @param {string} modelResponse The response text
+ * @returns {*} The parsed JSON
+ * @throws {SyntaxError} If the response contains no valid JSON
+ */
+function parseModelJson(modelResponse) {
+  let cleanedResponse = (modelResponse || '').trim();
+  const markdownMatch = cleanedResponse.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
+  if (markdownMatch && markdownMatch[1]) {
+    cleanedResponse = markdownMatch[1];
+  }
+
+  try {
+    return JSON.parse(cleanedResponse);
+  } catch (error) {
+    // models sometimes explain the JSON before or after it
+    const start = cleanedResponse.search(/[[{]/);
+    const end = Math.max(cleanedResponse.lastIndexOf(']'), cleanedResponse.lastIndexOf('}'));
+    if (start === -1 || end <= start) throw error;
+    return JSON.parse(cleanedResponse.slice(start, end + 1));
+  }
+}
+
+// the JSON type of a value, integers are numbers too
+function getJsonType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Validate a value against the subset of JSON schema used by the response schemas
+ * @param {*} value The value
+ * @param {object} schema The JSON schema
+ * @param {string} [path] The path of the value, for the error messages
+ * @returns {Array<string>} The errors, empty if the value is valid
+ */
+function validateJson(value, schema, path = '$') {
+  const type = getJsonType(value);
+  const matchesType = schema.type === 'integer' ? Number.isInteger(value) : type === schema.type;
+  if (!matchesType) {
+    return [`${path} should be ${schema.type}, got ${type}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${path} should be one of ${schema.enum.join(', ')}, got ${JSON.stringify(value)}`];
+  }
+
+  const errors = [];
+  if (type === 'array' && schema.items) {
+    value.forEach((item, index) => errors.push(...validateJson(item, schema.items, `${path}[${index}]`)));
+  }
+  if (type === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || [])
+      .filter(key => !(key in value))
+      .forEach(key => errors.push(`${path}.${key} is missing`));
+    for (const [key, propertyValue] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validateJson(propertyValue, properties[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      }
+    }
+  }
+  return errors.slice(0, MAX_SCHEMA_ERRORS);
+}
+
+/**
+ * Parse a model response and validate it against the expected schema
+ * @param {string} modelResponse The response text
+ * @param {ResponseSchema} responseSchema The expected schema
+ * @returns {ParsedResponse} The parsed response and its errors
+ */
+function parseStructuredResponse(modelResponse, responseSchema) {
+  if (!modelResponse) {
+    return { value: null, errors: ['the response is empty'] };
+  }
+
+  let value;
+  try {
+    value = parseModelJson(modelResponse);
+  } catch (error) {
+    return { value: null, errors: [`the response is not valid JSON: ${error.message}`] };
+  }
+
+  // a bare array is accepted for a schema that only wraps one array, as older prompts asked for
+  const { properties } = responseSchema.schema;
+  const propertyNames = Object.keys(properties);
+  if (Array.isArray(value) && propertyNames.length === 1 && properties[propertyNames[0]].type === 'array') {
+    value = { [propertyNames[0]]: value };
+  }
+
+  return { value, errors: validateJson(value, responseSchema.schema) };
+}
+
+/**
+ * Get the recorded invalid responses
+ * @returns {Promise<Array<ParseFailure>>} The failures, newest first
+ */
+function getParseFailures() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get({ [PARSE_FAILURES_STORAGE_KEY]: [] }, (items) => {
+      resolve(items[PARSE_FAILURES_STORAGE_KEY]);
+    });
+  });
+}
+
+/**
+ * Record an invalid response, keeping only the newest failures, only called by the background service worker
+ * @param {ParseFailure} failure The failure, the response is cut to an excerpt
+ * @returns {Promise<void>}
+ */
+function recordParseFailure(failure) {
+  parseFailureWriteQueue = parseFailureWriteQueue.then(async () => {
+    const failures = await getParseFailures();
+    failures.unshift({ ...failure, response: (failure.response || '').slice(0, PARSE_FAILURE_EXCERPT_LENGTH) });
+
+    await new Promise((resolve) => {
+      chrome.storage.local.set({ [PARSE_FAILURES_STORAGE_KEY]: failures.slice(0, MAX_PARSE_FAILURES) }, resolve);
+    });
+  }).catch(error => {
+    console.error('Failed to record the invalid response:', error);
+  });
+  return parseFailureWriteQueue;
+}
+
+/**
+ * Remove every recorded failure
+ * @returns {Promise<void>}
+ */
+function clearParseFailures() {
+  return new Promise((resolve) => {
+    chrome.storage.local.remove(PARSE_FAILURES_STORAGE_KEY, resolve);
+  });
+}
+
+// mount the functions to the global object
+self.IntelliReadResponses.buildKeypointsSchema = buildKeypointsSchema;
+self.IntelliReadResponses.buildBatchKeypointsSchema = buildBatchKeypointsSchema;
+self.IntelliReadResponses.buildSummarySchema = buildSummarySchema;
+self.IntelliReadResponses.parseModelJson = parseModelJson;
+self.IntelliReadResponses.validateJson = validateJson;
+self.IntelliReadResponses.parseStructuredResponse = parseStructuredResponse;
+self.IntelliReadResponses.getParseFailures = getParseFailures;
+self.IntelliReadResponses.recordParseFailure = recordParseFailure;
+self.IntelliReadResponses.clearParseFailures = clearParseFailures;
@@ -0,0 +1,121 @@
+/**
+ * IntelliRead Site Rules
+ * URL pattern rules that turn auto-highlight on, block analysis, or replace the generic content
+ * extraction with include and exclude CSS selectors.
+ * Shared by the content scripts and the options page.
+ */
+
+// create a global object for IntelliReadRules
+window.IntelliReadRules = {};
+
+// what a rule does to the pages it matches, besides its selectors
+const SITE_RULE_ACTIONS = ['none', 'auto', 'block'];
+
+/**
+ * @typedef {object} SiteRule
+ * @property {string} pattern - The URL pattern.
+ * @property {string} patternType - glob, where * matches anything and ? one character, or regex.
+ * @property {string} action - none, auto to highlight matching pages automatically, or block to never analyze them.
+ * @property {string} includeSelector - Only analyze the content inside these elements, empty for the generic extraction.
+ * @property {string} excludeSelector - Never analyze the content inside these elements.
+ */
+
+/**
+ * @typedef {object} SiteRuleResult
+ * @property {boolean} autoHighlight - Whether a matching rule turns auto-highlight on.
+ * @property {boolean} blocked - Whether a matching rule blocks analysis, it wins over auto-highlight.
+ * @property {string} includeSelector - The include selectors of every matching rule, empty if there are none.
+ * @property {string} excludeSelector - The exclude selectors of every matching rule, empty if there are none.
+ */
+
+/**
+ * Convert a glob pattern to a regular expression matching the whole string
+ * @param {string} pattern The glob pattern
+ * @returns {RegExp} The regular expression
+ */
+function globToRegExp(pattern) {
+  const source = pattern
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Check if a URL matches the pattern of a rule, globs may leave out the scheme
+ * @param {SiteRule} rule The rule
+ * @param {string} url The URL
+ * @returns {boolean} Returns true if the URL matches, false also for an invalid pattern
+ */
+function isSiteRuleMatch(rule, url) {
+  if (!rule.pattern) return false;
+
+  try {
+    if (rule.patternType === 'regex') {
+      return new RegExp(rule.pattern).test(url);
+    }
+    const regex = globToRegExp(rule.pattern);
+    return regex.test(url) || regex.test(url.replace(/^[a-z][a-z0-9+.-]*:\/\//i, ''));
+  } catch (error) {
+    console.error('Invalid site rule pattern:', rule.pattern, error);
+    return false;
+  }
+}
+
+/**
+ * Evaluate the rules for a URL, the selectors of every matching rule are combined
+ * @param {string} url The URL
+ * @param {Array<SiteRule>} [rules] The site rules from settings
+ * @returns {SiteRuleResult} The combined result
+ */
+function matchSiteRules(url, rules) {
+  const matchingRules = (rules || []).filter(rule => isSiteRuleMatch(rule, url));
+  const joinSelectors = key => matchingRules.map(rule => (rule[key] || '').trim()).filter(Boolean).join(', ');
+
+  return {
+    autoHighlight: matchingRules.some(rule => rule.action === 'auto'),
+    blocked: matchingRules.some(rule => rule.action === 'block'),
+    includeSelector: joinSelectors('includeSelector'),
+    excludeSelector: joinSelectors('excludeSelector')
+  };
+}
+
+/**
+ * Check if a rule pattern can be used
+ * @param {SiteRule} rule The rule
+ * @returns {boolean} Returns true for a non-empty glob or a valid regular expression
+ */
+function isValidSiteRulePattern(rule) {
+  if (!rule.pattern) return false;
+  if (rule.patternType !== 'regex') return true;
+
+  try {
+    new RegExp(rule.pattern);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check if a CSS selector is valid, an empty selector is valid
+ * @param {string} selector The selector
+ * @returns {boolean} Returns true if the selector can be queried
+ */
+function isValidSelector(selector) {
+  if (!selector || !selector.trim()) return true;
+
+  try {
+    document.createDocumentFragment().querySelector(selector);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// mount the functions to the global object
+window.IntelliReadRules.SITE_RULE_ACTIONS = SITE_RULE_ACTIONS;
+window.IntelliReadRules.matchSiteRules = matchSiteRules;
+window.IntelliReadRules.isSiteRuleMatch = isSiteRuleMatch;
+window.IntelliReadRules.isValidSiteRulePattern = isValidSiteRulePattern;
+window.IntelliReadRules.isValidSelector = isValidSelector;
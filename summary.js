@@ -0,0 +1,253 @@
+/**
+ * IntelliRead Summary Panel
+ * Render the page summary in a collapsible panel inside a Shadow DOM container,
+ * so the page styles cannot leak into it and its styles cannot leak into the page.
+ */
+
+// create a global object for IntelliReadSummary
+window.IntelliReadSummary = {};
+
+const SUMMARY_HOST_ID = 'intelliread-summary-host';
+
+const SUMMARY_PANEL_STYLES = `
+  :host {
+    all: initial;
+  }
+  .panel {
+    position: fixed;
+    top: 16px;
+    right: 16px;
+    z-index: 2147483646;
+    width: 340px;
+    max-height: 70vh;
+    display: flex;
+    flex-direction: column;
+    background: #fff;
+    color: #333;
+    border-radius: 8px;
+    box-shadow: 0 4px 16px rgba(0, 0, 0, 0.2);
+    font: 14px/1.5 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+    overflow: hidden;
+  }
+  .header {
+    display: flex;
+    align-items: center;
+    gap: 6px;
+    padding: 8px 12px;
+    background: #3498db;
+    color: #fff;
+  }
+  .title {
+    flex: 1;
+    margin: 0;
+    font-size: 15px;
+    font-weight: bold;
+  }
+  .header button {
+    background: transparent;
+    color: #fff;
+    border: none;
+    cursor: pointer;
+    font-size: 14px;
+    padding: 2px 6px;
+    border-radius: 4px;
+  }
+  .header button:hover,
+  .header button:focus-visible {
+    background: rgba(255, 255, 255, 0.2);
+  }
+  .body {
+    overflow-y: auto;
+    padding: 8px 12px;
+  }
+  .body[hidden] {
+    display: none;
+  }
+  ul {
+    margin: 0;
+    padding-left: 18px;
+  }
+  li {
+    margin-bottom: 6px;
+  }
+  .point {
+    all: unset;
+    cursor: pointer;
+    color: #2c3e50;
+  }
+  .point:hover,
+  .point:focus-visible {
+    color: #2980b9;
+    text-decoration: underline;
+  }
+  .message {
+    margin: 0;
+    color: #7f8c8d;
+  }
+`;
+
+/**
+ * @typedef {object} SummaryPoint
+ * @property {string} text - The bullet point.
+ * @property {number} paragraph - The index of the source paragraph in the extracted blocks.
+ * @property {string} anchor - The start of the source paragraph text, used to find it again.
+ */
+
+/**
+ * Get the shadow root of the summary panel, creating the panel on first use
+ * @returns {ShadowRoot} The shadow root
+ */
+function getSummaryRoot() {
+  let host = document.getElementById(SUMMARY_HOST_ID);
+  if (!host) {
+    host = document.createElement('div');
+    host.id = SUMMARY_HOST_ID;
+    host.setAttribute('data-intelliread-ui', '');
+    host.attachShadow({ mode: 'open' });
+    document.body.appendChild(host);
+  }
+  return host.shadowRoot;
+}
+
+/**
+ * Build the panel skeleton with its header and an empty body
+ * @param {ShadowRoot} root The shadow root
+ * @returns {HTMLElement} The panel body
+ */
+function buildSummaryPanel(root) {
+  root.textContent = '';
+
+  const style = document.createElement('style');
+  style.textContent = SUMMARY_PANEL_STYLES;
+  root.appendChild(style);
+
+  const panel = document.createElement('section');
+  panel.className = 'panel';
+  panel.setAttribute('role', 'complementary');
+  panel.setAttribute('aria-labelledby', 'intelliread-summary-title');
+
+  const header = document.createElement('div');
+  header.className = 'header';
+
+  const title = document.createElement('h2');
+  title.className = 'title';
+  title.id = 'intelliread-summary-title';
+  title.textContent = chrome.i18n.getMessage('summary_title');
+
+  const body = document.createElement('div');
+  body.className = 'body';
+  body.id = 'intelliread-summary-body';
+
+  const toggleButton = document.createElement('button');
+  toggleButton.type = 'button';
+  toggleButton.textContent = '▾';
+  toggleButton.setAttribute('aria-expanded', 'true');
+  toggleButton.setAttribute('aria-controls', body.id);
+  toggleButton.setAttribute('aria-label', chrome.i18n.getMessage('summary_toggle'));
+  toggleButton.addEventListener('click', () => {
+    const expanded = toggleButton.getAttribute('aria-expanded') === 'true';
+    toggleButton.setAttribute('aria-expanded', String(!expanded));
+    toggleButton.textContent = expanded ? '▸' : '▾';
+    body.hidden = expanded;
+  });
+
+  const closeButton = document.createElement('button');
+  closeButton.type = 'button';
+  closeButton.textContent = '✕';
+  closeButton.setAttribute('aria-label', chrome.i18n.getMessage('summary_close'));
+  closeButton.addEventListener('click', removeSummaryPanel);
+
+  header.appendChild(title);
+  header.appendChild(toggleButton);
+  header.appendChild(closeButton);
+  panel.appendChild(header);
+  panel.appendChild(body);
+  root.appendChild(panel);
+
+  return body;
+}
+
+/**
+ * Show a message in the summary panel, e.g. while the summary is generated
+ * @param {string} message The message to show
+ */
+function showSummaryMessage(message) {
+  const body = buildSummaryPanel(getSummaryRoot());
+  const paragraph = document.createElement('p');
+  paragraph.className = 'message';
+  paragraph.textContent = message;
+  body.appendChild(paragraph);
+}
+
+/**
+ * Render the summary bullet points, each one scrolls to the paragraph it came from
+ * @param {Array<SummaryPoint>} points The summary bullet points
+ * @param {Array<HTMLElement>} blocks The text blocks of the page, in the order the paragraphs were numbered
+ */
+function renderSummaryPanel(points, blocks) {
+  const body = buildSummaryPanel(getSummaryRoot());
+  const list = document.createElement('ul');
+
+  for (const point of points) {
+    const item = document.createElement('li');
+    const target = findSourceBlock(point, blocks);
+
+    if (target) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'point';
+      button.textContent = point.text;
+      button.addEventListener('click', () => scrollToBlock(target));
+      item.appendChild(button);
+    } else {
+      item.textContent = point.text;
+    }
+
+    list.appendChild(item);
+  }
+
+  body.appendChild(list);
+}
+
+/**
+ * Find the paragraph a bullet point came from, by its text anchor first and by its index otherwise
+ * @param {SummaryPoint} point The bullet point
+ * @param {Array<HTMLElement>} blocks The text blocks of the page
+ * @returns {HTMLElement|null} The source paragraph, or null if it is gone
+ */
+function findSourceBlock(point, blocks) {
+  if (point.anchor) {
+    const block = blocks.find(el => el.isConnected && el.textContent.replace(/\s+/g, ' ').trim().startsWith(point.anchor));
+    if (block) return block;
+  }
+
+  const block = blocks[point.paragraph];
+  return block && block.isConnected ? block : null;
+}
+
+/**
+ * Scroll a paragraph into view and flash it briefly
+ * @param {HTMLElement} block The paragraph
+ */
+function scrollToBlock(block) {
+  block.scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+  const previousOutline = block.style.outline;
+  block.style.outline = '2px solid #3498db';
+  setTimeout(() => {
+    block.style.outline = previousOutline;
+  }, 1500);
+}
+
+// remove the summary panel from the page
+function removeSummaryPanel() {
+  const host = document.getElementById(SUMMARY_HOST_ID);
+  if (host) {
+    host.remove();
+  }
+}
+
+// mount the functions to the global object
+window.IntelliReadSummary.showSummaryMessage = showSummaryMessage;
+window.IntelliReadSummary.renderSummaryPanel = renderSummaryPanel;
+window.IntelliReadSummary.removeSummaryPanel = removeSummaryPanel;
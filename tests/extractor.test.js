@@ -0,0 +1,134 @@
+/**
+ * IntelliRead Extractor Tests
+ * Run extractTextBlocks against the saved pages in fixtures/ and compare the blocks with the elements
+ * each case expects, marked in the fixture with a data attribute. Open extractor.test.html as a page of the
+ * unpacked extension (chrome-extension://<id>/tests/extractor.test.html), the fixtures are fetched from there.
+ */
+
+// the fixtures have no layout, so the visibility check is off in every case
+const EXTRACTOR_TEST_CASES = [
+  {
+    name: 'navigation, header, aside and footer are removed',
+    fixture: 'navigation.html',
+    expect: '[data-expect]'
+  },
+  {
+    name: 'cookie banners and consent dialogs are removed',
+    fixture: 'cookie-banner.html',
+    expect: '[data-expect]'
+  },
+  {
+    name: 'list items, quotes, table cells and definitions are kept',
+    fixture: 'lists-quotes-tables.html',
+    expect: '[data-expect]'
+  },
+  {
+    name: 'pre and code blocks are skipped',
+    fixture: 'code.html',
+    expect: '[data-expect]'
+  },
+  {
+    name: 'blocks shorter than the default minimum length are filtered',
+    fixture: 'min-length.html',
+    expect: '[data-expect]'
+  },
+  {
+    name: 'the minimum length can be lowered',
+    fixture: 'min-length.html',
+    options: { minLength: 10 },
+    expect: '[data-expect-short]'
+  },
+  {
+    name: 'a div-only article is found, with its well scoring sibling and without the boilerplate divs',
+    fixture: 'div-layout.html',
+    expect: '[data-expect]',
+    container: '[data-expect-container]'
+  },
+  {
+    name: 'the tooltip and highlight controls of IntelliRead are skipped',
+    fixture: 'own-ui.html',
+    expect: '[data-expect]'
+  }
+];
+
+/**
+ * Load a fixture as a document
+ * @param {string} fixture The file name in fixtures/
+ * @returns {Promise<Document>} The parsed fixture
+ */
+async function loadExtractorFixture(fixture) {
+  const response = await fetch(`fixtures/${fixture}`);
+  if (!response.ok) {
+    throw new Error(`Failed to load fixture ${fixture}: ${response.status}`);
+  }
+  return new DOMParser().parseFromString(await response.text(), 'text/html');
+}
+
+// a short description of a block for the failure messages
+function describeBlock(element) {
+  return `<${element.tagName.toLowerCase()}> ${element.textContent.replace(/\s+/g, ' ').trim().slice(0, 60)}`;
+}
+
+/**
+ * Run one case
+ * @param {{fixture: string, options: object, expect: string, container: string}} testCase The case, container is the
+ * element findTopContainer has to pick, when the case checks it
+ * @returns {Promise<Array<string>>} The failures, empty if the case passed
+ */
+async function runExtractorTestCase(testCase) {
+  const doc = await loadExtractorFixture(testCase.fixture);
+  const blocks = window.IntelliReadExtractor.extractTextBlocks(doc, { checkVisibility: false, ...testCase.options });
+  const expected = Array.from(doc.querySelectorAll(testCase.expect));
+
+  const failures = [];
+  expected
+    .filter(element => !blocks.includes(element))
+    .forEach(element => failures.push(`missing: ${describeBlock(element)}`));
+  blocks
+    .filter(element => !expected.includes(element))
+    .forEach(element => failures.push(`unexpected: ${describeBlock(element)}`));
+
+  if (testCase.container) {
+    // the same blocks extractTextBlocks scores, with its default minimum length
+    const candidates = window.IntelliReadExtractor.collectTextBlocks(doc, { minLength: 30, checkVisibility: false, ...testCase.options });
+    const top = window.IntelliReadExtractor.findTopContainer(candidates);
+    const expectedContainer = doc.querySelector(testCase.container);
+    if (!top || top.container !== expectedContainer) {
+      failures.push(`top container: ${top ? describeBlock(top.container) : 'none'}`);
+    }
+  }
+  return failures;
+}
+
+// run every case and list the results on the page
+async function runExtractorTests() {
+  const results = document.getElementById('results');
+  let failed = 0;
+
+  for (const testCase of EXTRACTOR_TEST_CASES) {
+    let failures;
+    try {
+      failures = await runExtractorTestCase(testCase);
+    } catch (error) {
+      failures = [error.message];
+    }
+    if (failures.length > 0) failed++;
+
+    const item = document.createElement('li');
+    item.className = failures.length > 0 ? 'fail' : 'pass';
+    item.textContent = `${failures.length > 0 ? 'FAIL' : 'PASS'} ${testCase.name} (${testCase.fixture})`;
+    if (failures.length > 0) {
+      const details = document.createElement('pre');
+      details.textContent = failures.join('\n');
+      item.appendChild(details);
+      console.error(`${testCase.name}:\n${failures.join('\n')}`);
+    }
+    results.appendChild(item);
+  }
+
+  const summary = document.getElementById('summary');
+  summary.className = failed > 0 ? 'fail' : 'pass';
+  summary.textContent = `${EXTRACTOR_TEST_CASES.length - failed} of ${EXTRACTOR_TEST_CASES.length} passed`;
+}
+
+runExtractorTests();
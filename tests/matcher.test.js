@@ -0,0 +1,98 @@
+/**
+ * IntelliRead Matcher Tests
+ * Run findKeypointMatches on short texts and compare the matched passages of the original text with the passages
+ * each case expects. Open matcher.test.html as a page of the unpacked extension
+ * (chrome-extension://<id>/tests/matcher.test.html).
+ */
+
+const MATCHER_TEST_CASES = [
+  {
+    name: 'emoji before the keypoint do not move the match',
+    text: '😀😀 The quick brown fox jumps',
+    keypoint: 'quick brown fox',
+    expect: ['quick brown fox']
+  },
+  {
+    name: 'CJK Extension B characters before the keypoint do not move the match',
+    text: '𠀋𠀋 重要な結論です',
+    keypoint: '重要な結論',
+    expect: ['重要な結論']
+  },
+  {
+    name: 'a keypoint containing emoji is matched whole',
+    text: 'Launch day 🚀 went well, the rollout 🚀 finished early.',
+    keypoint: 'the rollout 🚀 finished',
+    expect: ['the rollout 🚀 finished']
+  },
+  {
+    name: 'curly quotes, spacing and case are normalized',
+    text: 'He said “Hello,  World”. Then he left.',
+    keypoint: '"hello, world".',
+    expect: ['Hello,  World']
+  },
+  {
+    name: 'Latin keypoints only match whole words',
+    text: 'The concatenated cat sat.',
+    keypoint: 'cat',
+    expect: ['cat']
+  },
+  {
+    name: 'a fuzzy match after emoji covers the similar passage',
+    text: '📌📌 The cat sat on the concatenated mat today.',
+    keypoint: 'The cat sit on teh concatenated mat',
+    options: { fuzzy: true, threshold: 0.85 },
+    expect: ['The cat sat on the concatenated mat']
+  },
+  {
+    name: 'a fuzzy search without a similar passage finds nothing',
+    text: 'The dog slept by the warm fire all night long.',
+    keypoint: 'An entirely different sentence',
+    options: { fuzzy: true },
+    expect: []
+  }
+];
+
+/**
+ * Run one case
+ * @param {{text: string, keypoint: string, options: object, expect: Array<string>}} testCase The case
+ * @returns {Array<string>} The failures, empty if the case passed
+ */
+function runMatcherTestCase(testCase) {
+  const matches = window.IntelliReadMatcher.findKeypointMatches(testCase.text, testCase.keypoint, testCase.options);
+  const passages = matches.map(match => testCase.text.slice(match.start, match.end));
+  if (JSON.stringify(passages) === JSON.stringify(testCase.expect)) return [];
+  return [`expected: ${JSON.stringify(testCase.expect)}`, `matched: ${JSON.stringify(passages)}`];
+}
+
+// run every case and list the results on the page
+function runMatcherTests() {
+  const results = document.getElementById('results');
+  let failed = 0;
+
+  for (const testCase of MATCHER_TEST_CASES) {
+    let failures;
+    try {
+      failures = runMatcherTestCase(testCase);
+    } catch (error) {
+      failures = [error.message];
+    }
+    if (failures.length > 0) failed++;
+
+    const item = document.createElement('li');
+    item.className = failures.length > 0 ? 'fail' : 'pass';
+    item.textContent = `${failures.length > 0 ? 'FAIL' : 'PASS'} ${testCase.name}`;
+    if (failures.length > 0) {
+      const details = document.createElement('pre');
+      details.textContent = failures.join('\n');
+      item.appendChild(details);
+      console.error(`${testCase.name}:\n${failures.join('\n')}`);
+    }
+    results.appendChild(item);
+  }
+
+  const summary = document.getElementById('summary');
+  summary.className = failed > 0 ? 'fail' : 'pass';
+  summary.textContent = `${MATCHER_TEST_CASES.length - failed} of ${MATCHER_TEST_CASES.length} passed`;
+}
+
+runMatcherTests();
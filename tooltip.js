@@ -0,0 +1,108 @@
+/**
+ * IntelliRead Tooltip
+ * Show the rationale of a highlighted keypoint in a tooltip on hover and keyboard focus.
+ * A single tooltip element is shared by all highlights and linked with aria-describedby while shown.
+ */
+
+// create a global object for IntelliReadTooltip
+window.IntelliReadTooltip = {};
+
+const TOOLTIP_ID = 'intelliread-tooltip';
+const TOOLTIP_SELECTOR = '[data-intelliread-rationale]';
+
+// the highlight span the tooltip is shown for, null when hidden
+let tooltipTarget = null;
+
+/**
+ * Get the shared tooltip element, creating it on first use
+ * @returns {HTMLElement} The tooltip element
+ */
+function getTooltipElement() {
+  let tooltip = document.getElementById(TOOLTIP_ID);
+  if (!tooltip) {
+    tooltip = document.createElement('div');
+    tooltip.id = TOOLTIP_ID;
+    tooltip.className = 'intelliread-tooltip';
+    tooltip.setAttribute('role', 'tooltip');
+    tooltip.setAttribute('data-intelliread-ui', '');
+    tooltip.hidden = true;
+    (document.body || document.documentElement).appendChild(tooltip);
+  }
+  return tooltip;
+}
+
+/**
+ * Show the rationale of a highlight span next to it
+ * @param {HTMLElement} span The highlight span
+ */
+function showTooltip(span) {
+  if (tooltipTarget === span) return;
+  hideTooltip();
+
+  const tooltip = getTooltipElement();
+  tooltip.textContent = span.getAttribute('data-intelliread-rationale');
+  tooltip.hidden = false;
+
+  // place the tooltip below the span, or above it when there is no room below
+  const rect = span.getBoundingClientRect();
+  const tooltipRect = tooltip.getBoundingClientRect();
+  const top = rect.bottom + 6 + tooltipRect.height > window.innerHeight
+    ? rect.top - 6 - tooltipRect.height
+    : rect.bottom + 6;
+  const left = Math.min(Math.max(4, rect.left), window.innerWidth - tooltipRect.width - 4);
+  tooltip.style.top = `${Math.max(4, top)}px`;
+  tooltip.style.left = `${Math.max(4, left)}px`;
+
+  span.setAttribute('aria-describedby', TOOLTIP_ID);
+  tooltipTarget = span;
+}
+
+// hide the tooltip and unlink it from its highlight
+function hideTooltip() {
+  if (!tooltipTarget) return;
+
+  tooltipTarget.removeAttribute('aria-describedby');
+  tooltipTarget = null;
+  getTooltipElement().hidden = true;
+}
+
+// find the highlight span with a rationale for an event target
+function findTooltipTarget(target) {
+  return target && target.closest ? target.closest(TOOLTIP_SELECTOR) : null;
+}
+
+document.addEventListener('mouseover', (event) => {
+  const span = findTooltipTarget(event.target);
+  if (span) showTooltip(span);
+});
+
+document.addEventListener('mouseout', (event) => {
+  const span = findTooltipTarget(event.target);
+  if (span && span === tooltipTarget && findTooltipTarget(event.relatedTarget) !== span) {
+    hideTooltip();
+  }
+});
+
+document.addEventListener('focusin', (event) => {
+  const span = findTooltipTarget(event.target);
+  if (span) showTooltip(span);
+});
+
+document.addEventListener('focusout', (event) => {
+  if (findTooltipTarget(event.target) === tooltipTarget) {
+    hideTooltip();
+  }
+});
+
+document.addEventListener('keydown', (event) => {
+  if (event.key === 'Escape') {
+    hideTooltip();
+  }
+});
+
+// the page may scroll the highlight away from the tooltip
+window.addEventListener('scroll', hideTooltip, true);
+
+// mount the functions to the global object
+window.IntelliReadTooltip.showTooltip = showTooltip;
+window.IntelliReadTooltip.hideTooltip = hideTooltip;
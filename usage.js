@@ -0,0 +1,232 @@
+/**
+ * IntelliRead Token Usage
+ * Keep the tokens of every model response per day, model and domain in chrome.storage.local,
+ * price them with the per-model prices from the options and check them against the spending budget.
+ * Usage is only written by the background service worker, so the requests of all tabs are added up one at a time.
+ * Shared by the background service worker, the popup and the options page.
+ */
+
+// create a global object for IntelliReadUsage
+self.IntelliReadUsage = {};
+
+const USAGE_STORAGE_KEY = 'tokenUsage';
+
+// days older than this are dropped, long enough for a year of monthly totals
+const USAGE_RETENTION_DAYS = 400;
+
+// prices are entered per million tokens, like the providers list them
+const TOKENS_PER_PRICE_UNIT = 1000000;
+
+/**
+ * @typedef {object} UsageEntry
+ * @property {string} model - The model name.
+ * @property {string} domain - The domain of the analyzed page.
+ * @property {number} promptTokens - The tokens of the prompt.
+ * @property {number} completionTokens - The tokens of the answer.
+ */
+
+/**
+ * @typedef {object} UsageTotals
+ * @property {number} requests - The number of requests.
+ * @property {number} promptTokens - The prompt tokens.
+ * @property {number} completionTokens - The answer tokens.
+ * @property {number} cost - The cost with the configured prices, 0 for models without a price.
+ */
+
+/**
+ * @typedef {object} UsageSummary
+ * @property {UsageTotals} total - The totals of the period.
+ * @property {Object<string, UsageTotals>} byModel - The totals by model.
+ * @property {Object<string, UsageTotals>} byDomain - The totals by domain.
+ * @property {Object<string, UsageTotals>} byDay - The totals by day.
+ */
+
+/**
+ * @typedef {object} BudgetStatus
+ * @property {boolean} exceeded - Whether a budget is used up.
+ * @property {string} [period] - The used up budget, daily or monthly.
+ * @property {number} [spent] - What was spent in the period.
+ * @property {number} [budget] - The budget of the period.
+ */
+
+// usage writes wait for the previous one, every write reads and replaces the whole usage
+let usageWriteQueue = Promise.resolve();
+
+/**
+ * Get the key of a day in local time
+ * @param {Date} [date] The date, today by default
+ * @returns {string} The day as YYYY-MM-DD
+ */
+function getDayKey(date = new Date()) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Get the key of the first day of the month in local time
+ * @param {Date} [date] The date, today by default
+ * @returns {string} The first day of the month as YYYY-MM-DD
+ */
+function getMonthStartKey(date = new Date()) {
+  return `${getDayKey(date).slice(0, 8)}01`;
+}
+
+/**
+ * Get the recorded usage
+ * @returns {Promise<Object<string, Object<string, Object<string, UsageTotals>>>>} The totals by day, model and domain, without cost
+ */
+function getUsage() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get({ [USAGE_STORAGE_KEY]: {} }, (items) => {
+      resolve(items[USAGE_STORAGE_KEY]);
+    });
+  });
+}
+
+/**
+ * Add the tokens of a response to today's usage, only called by the background service worker
+ * @param {UsageEntry} entry The usage of the response
+ * @returns {Promise<void>}
+ */
+function recordUsage(entry) {
+  usageWriteQueue = usageWriteQueue.then(async () => {
+    const usage = await getUsage();
+    const dayKey = getDayKey();
+    const models = usage[dayKey] || (usage[dayKey] = {});
+    const domains = models[entry.model] || (models[entry.model] = {});
+    const totals = domains[entry.domain] || (domains[entry.domain] = { requests: 0, promptTokens: 0, completionTokens: 0 });
+    totals.requests += 1;
+    totals.promptTokens += entry.promptTokens || 0;
+    totals.completionTokens += entry.completionTokens || 0;
+
+    const oldestKey = getDayKey(new Date(Date.now() - USAGE_RETENTION_DAYS * 24 * 60 * 60 * 1000));
+    Object.keys(usage)
+      .filter(key => key < oldestKey)
+      .forEach(key => delete usage[key]);
+
+    await new Promise((resolve) => {
+      chrome.storage.local.set({ [USAGE_STORAGE_KEY]: usage }, resolve);
+    });
+  }).catch(error => {
+    console.error('Failed to record token usage:', error);
+  });
+  return usageWriteQueue;
+}
+
+/**
+ * Remove all recorded usage
+ * @returns {Promise<void>}
+ */
+function clearUsage() {
+  return new Promise((resolve) => {
+    chrome.storage.local.remove(USAGE_STORAGE_KEY, resolve);
+  });
+}
+
+/**
+ * Compute the cost of tokens of a model
+ * @param {string} model The model name
+ * @param {number} promptTokens The prompt tokens
+ * @param {number} completionTokens The answer tokens
+ * @param {Object<string, {input: number, output: number}>} prices The prices per million tokens by model
+ * @returns {number} The cost, 0 if the model has no price
+ */
+function getModelCost(model, promptTokens, completionTokens, prices) {
+  const price = prices && prices[model];
+  if (!price) return 0;
+  return (promptTokens * (price.input || 0) + completionTokens * (price.output || 0)) / TOKENS_PER_PRICE_UNIT;
+}
+
+// add tokens and their cost to a totals object, creating it when missing
+function addToTotals(group, key, totals, cost) {
+  const target = group[key] || (group[key] = { requests: 0, promptTokens: 0, completionTokens: 0, cost: 0 });
+  target.requests += totals.requests;
+  target.promptTokens += totals.promptTokens;
+  target.completionTokens += totals.completionTokens;
+  target.cost += cost;
+}
+
+/**
+ * Add up the usage of a period
+ * @param {object} usage The recorded usage, see getUsage
+ * @param {Object<string, {input: number, output: number}>} prices The prices per million tokens by model
+ * @param {string} [fromDay] The first day of the period as YYYY-MM-DD, all days by default
+ * @returns {UsageSummary} The totals of the period
+ */
+function summarizeUsage(usage, prices, fromDay = '') {
+  const summary = {
+    total: { requests: 0, promptTokens: 0, completionTokens: 0, cost: 0 },
+    byModel: {},
+    byDomain: {},
+    byDay: {}
+  };
+
+  for (const [dayKey, models] of Object.entries(usage)) {
+    if (dayKey < fromDay) continue;
+    for (const [model, domains] of Object.entries(models)) {
+      for (const [domain, totals] of Object.entries(domains)) {
+        const cost = getModelCost(model, totals.promptTokens, totals.completionTokens, prices);
+        addToTotals(summary, 'total', totals, cost);
+        addToTotals(summary.byModel, model, totals, cost);
+        addToTotals(summary.byDomain, domain, totals, cost);
+        addToTotals(summary.byDay, dayKey, totals, cost);
+      }
+    }
+  }
+  return summary;
+}
+
+/**
+ * Check the spending of today and of this month against the budgets
+ * @param {object} usage The recorded usage, see getUsage
+ * @param {{modelPrices: object, dailyBudget: number, monthlyBudget: number}} settings The prices and the budgets, 0 for no budget
+ * @returns {BudgetStatus} The budget status, the daily budget is reported first
+ */
+function getBudgetStatus(usage, settings) {
+  const budgets = [
+    { period: 'daily', budget: settings.dailyBudget, fromDay: getDayKey() },
+    { period: 'monthly', budget: settings.monthlyBudget, fromDay: getMonthStartKey() }
+  ];
+
+  for (const { period, budget, fromDay } of budgets) {
+    if (!(budget > 0)) continue;
+    const spent = summarizeUsage(usage, settings.modelPrices, fromDay).total.cost;
+    if (spent >= budget) {
+      return { exceeded: true, period, spent, budget };
+    }
+  }
+  return { exceeded: false };
+}
+
+/**
+ * Format a number of tokens for display, e.g. 12.3k
+ * @param {number} tokens The tokens
+ * @returns {string} The formatted tokens
+ */
+function formatTokens(tokens) {
+  if (tokens >= 1000000) return `${(tokens / 1000000).toFixed(1)}M`;
+  if (tokens >= 1000) return `${(tokens / 1000).toFixed(1)}k`;
+  return String(tokens);
+}
+
+/**
+ * Format a cost for display, small amounts keep more digits
+ * @param {number} cost The cost in dollars
+ * @returns {string} The formatted cost
+ */
+function formatCost(cost) {
+  return `$${cost.toFixed(cost > 0 && cost < 1 ? 4 : 2)}`;
+}
+
+// mount the functions to the global object
+self.IntelliReadUsage.getDayKey = getDayKey;
+self.IntelliReadUsage.getMonthStartKey = getMonthStartKey;
+self.IntelliReadUsage.getUsage = getUsage;
+self.IntelliReadUsage.recordUsage = recordUsage;
+self.IntelliReadUsage.clearUsage = clearUsage;
+self.IntelliReadUsage.getModelCost = getModelCost;
+self.IntelliReadUsage.summarizeUsage = summarizeUsage;
+self.IntelliReadUsage.getBudgetStatus = getBudgetStatus;
+self.IntelliReadUsage.formatTokens = formatTokens;
+self.IntelliReadUsage.formatCost = formatCost;